@@ -1,9 +1,36 @@
-const { app, BrowserWindow, ipcMain, dialog } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, Notification } = require("electron");
 const path = require("path");
 const fs = require("fs");
 
 const { startServer } = require("./server");
-const { parseCsvForTickers, fetchSctrForTickers } = require("../shared/apiHandlers");
+const {
+  parseCsvForTickers,
+  importTickerFile,
+  fetchSctrForTickers,
+  scanUniverse,
+  cancelRequest,
+  fetchSctrHistory,
+  fetchIndustryLeaderboard,
+  fetchLeaderboardMembers,
+  fetchListingExchanges,
+  listIndustrySources,
+  loadIndustrySourceFile,
+  getIndustrySourceFileStatus,
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistTickers,
+  removeWatchlistTickers,
+  getRefreshScheduler,
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  runRefreshNow,
+  exportResultsWorkbook
+} = require("../shared/apiHandlers");
+const { isAbortError } = require("../shared/httpClient");
+const { setUserDataDir } = require("../shared/userData");
 
 let backend;
 
@@ -81,16 +108,242 @@ ipcMain.handle("api:parse-csv", async (_event, csvText) => {
   }
 });
 
-ipcMain.handle("api:fetch-sctr", async (_event, tickers, industrySource) => {
+// Any supported ticker file (CSV, Excel, TradingView, ThinkorSwim, IBKR); `bytes` is the raw file.
+// `options` override detection ({ format, encoding, delimiter, headerRow, tickerColumn }).
+ipcMain.handle("api:import-tickers", async (_event, { fileName, bytes, options } = {}) => {
   try {
-    const result = await fetchSctrForTickers(tickers, industrySource);
+    const result = await importTickerFile({ fileName, data: Buffer.from(bytes || []), options: options || {} });
     return { success: true, data: result };
   } catch (error) {
     return { success: false, error: error?.message || String(error) };
   }
 });
 
+// Progress is pushed to the calling window on "api:fetch-sctr-progress" while the request runs,
+// tagged with options.requestId so a cancelled run still winding down can't feed a newer one
+ipcMain.handle("api:fetch-sctr", async (event, tickers, industrySource, options) => {
+  try {
+    const onProgress = (progress) => {
+      if (!event.sender.isDestroyed()) event.sender.send("api:fetch-sctr-progress", { ...progress, requestId: options?.requestId ?? null });
+    };
+    const result = await fetchSctrForTickers(tickers, industrySource, { ...(options || {}), onProgress });
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error), cancelled: isAbortError(error) };
+  }
+});
+
+// Universe scan: progress goes to the same channel as api:fetch-sctr, tagged the same way
+ipcMain.handle("api:scan-universe", async (event, criteria, industrySource, options) => {
+  try {
+    const onProgress = (progress) => {
+      if (!event.sender.isDestroyed()) event.sender.send("api:fetch-sctr-progress", { ...progress, requestId: options?.requestId ?? null });
+    };
+    const result = await scanUniverse(criteria, industrySource, { ...(options || {}), onProgress });
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error), cancelled: isAbortError(error) };
+  }
+});
+
+// Abort an in-flight api:fetch-sctr or api:scan-universe started with options.requestId
+ipcMain.handle("api:cancel-request", async (_event, requestId) => {
+  try {
+    return { success: true, data: { cancelled: cancelRequest(requestId) } };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:sctr-history", async (_event, tickers, options) => {
+  try {
+    const result = await fetchSctrHistory(tickers, options);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:industry-leaderboard", async (_event, options) => {
+  try {
+    const result = await fetchIndustryLeaderboard(options || {});
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:leaderboard-members", async (_event, options) => {
+  try {
+    const result = await fetchLeaderboardMembers(options || {});
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:listing-exchanges", async (_event, tickers) => {
+  try {
+    const result = await fetchListingExchanges(tickers || []);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:industry-sources", async () => {
+  try {
+    const result = await listIndustrySources();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:industry-file-status", async () => {
+  try {
+    const result = await getIndustrySourceFileStatus();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:load-industry-file", async (_event, payload) => {
+  try {
+    const result = await loadIndustrySourceFile(payload || {});
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+// Native picker so the main process keeps the file path and re-reads the file when it changes
+ipcMain.handle("api:pick-industry-file", async () => {
+  try {
+    const win = BrowserWindow.getFocusedWindow();
+    const picked = await dialog.showOpenDialog(win, {
+      properties: ["openFile"],
+      filters: [{ name: "Industry mapping", extensions: ["csv", "tsv", "txt", "json"] }, { name: "All Files", extensions: ["*"] }]
+    });
+    if (picked.canceled || !picked.filePaths?.[0]) return { success: true, data: { canceled: true } };
+    const result = await loadIndustrySourceFile({ filePath: picked.filePaths[0] });
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+// Saved watchlists (stored in the user data directory)
+ipcMain.handle("api:watchlists", async () => {
+  try {
+    const result = await listWatchlists();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:watchlist-create", async (_event, payload) => {
+  try {
+    const result = await createWatchlist(payload || {});
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:watchlist-rename", async (_event, id, name) => {
+  try {
+    const result = await renameWatchlist(id, name);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:watchlist-delete", async (_event, id) => {
+  try {
+    const result = await deleteWatchlist(id);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:watchlist-add", async (_event, id, tickers) => {
+  try {
+    const result = await addWatchlistTickers(id, tickers);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:watchlist-remove", async (_event, id, tickers) => {
+  try {
+    const result = await removeWatchlistTickers(id, tickers);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+// Scheduled background refresh of watchlists with change alerts
+ipcMain.handle("api:refresh-settings", async () => {
+  try {
+    const result = await getRefreshSettings();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:save-refresh-settings", async (_event, settings) => {
+  try {
+    const result = await saveRefreshSettings(settings);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:refresh-status", async () => {
+  try {
+    const result = await getRefreshStatus();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:refresh-run-now", async () => {
+  try {
+    const result = await runRefreshNow();
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("api:export-workbook", async (_event, payload) => {
+  try {
+    const buffer = await exportResultsWorkbook(payload || {});
+    return { success: true, data: new Uint8Array(buffer) };
+  } catch (error) {
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
 app.whenReady().then(async () => {
+  // Watchlists and settings live next to Electron's other per-user data
+  setUserDataDir(app.getPath("userData"));
+
+  getRefreshScheduler({
+    notify: ({ title, body }) => {
+      if (Notification.isSupported()) new Notification({ title, body }).show();
+    }
+  }).start();
   const isDev = process.env.NODE_ENV === "development";
   if (isDev) await startDev();
   else await startProd();
@@ -106,17 +359,35 @@ app.whenReady().then(async () => {
 
 app.on("window-all-closed", () => {
   if (backend?.server) backend.server.close();
-  if (process.platform !== "darwin") app.quit();
+  // On macOS the app (and its scheduled refresh) keeps running without windows
+  if (process.platform !== "darwin") {
+    getRefreshScheduler().stop();
+    app.quit();
+  }
 });
 
-ipcMain.handle("saveTextFile", async (_event, { defaultPath, content }) => {
+// Save-dialog filters by file extension; the chosen one is offered first
+const SAVE_FILTERS = {
+  csv: { name: "CSV", extensions: ["csv"] },
+  xlsx: { name: "Excel Workbook", extensions: ["xlsx"] },
+  json: { name: "JSON", extensions: ["json"] },
+  md: { name: "Markdown", extensions: ["md"] },
+  txt: { name: "Text", extensions: ["txt"] }
+};
+
+// The one save channel for every export: `content` is text (written as UTF-8) or bytes (a Uint8Array, written as-is)
+async function saveFileWithDialog({ defaultPath, content }) {
   const win = BrowserWindow.getFocusedWindow();
+  const ext = path.extname(defaultPath || "").slice(1).toLowerCase();
+  const filter = SAVE_FILTERS[ext] || SAVE_FILTERS.csv;
   const result = await dialog.showSaveDialog(win, {
     defaultPath: defaultPath || "output.csv",
-    filters: [{ name: "CSV", extensions: ["csv"] }, { name: "All Files", extensions: ["*"] }]
+    filters: [filter, { name: "All Files", extensions: ["*"] }]
   });
   if (result.canceled || !result.filePath) return { canceled: true };
-  const fs = require("fs");
-  fs.writeFileSync(result.filePath, content, "utf8");
+  if (typeof content === "string") fs.writeFileSync(result.filePath, content, "utf8");
+  else fs.writeFileSync(result.filePath, Buffer.from(content || []));
   return { canceled: false, filePath: result.filePath };
-});
+}
+
+ipcMain.handle("saveFile", (_event, opts) => saveFileWithDialog(opts || {}));
@@ -1,8 +1,36 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("electronAPI", {
-  saveTextFile: (opts) => ipcRenderer.invoke("saveTextFile", opts),
+  // Save dialog for exports; `content` is text or bytes (Uint8Array)
+  saveFile: (opts) => ipcRenderer.invoke("saveFile", opts),
   // API methods - use IPC in Electron, fallback to fetch in browser
   parseCsv: (csvText) => ipcRenderer.invoke("api:parse-csv", csvText),
-  fetchSctr: (tickers, industrySource) => ipcRenderer.invoke("api:fetch-sctr", tickers, industrySource)
+  importTickers: (payload) => ipcRenderer.invoke("api:import-tickers", payload),
+  fetchSctr: (tickers, industrySource, options) => ipcRenderer.invoke("api:fetch-sctr", tickers, industrySource, options),
+  scanUniverse: (criteria, industrySource, options) => ipcRenderer.invoke("api:scan-universe", criteria, industrySource, options),
+  cancelRequest: (requestId) => ipcRenderer.invoke("api:cancel-request", requestId),
+  onFetchSctrProgress: (callback) => {
+    const listener = (_event, progress) => callback(progress);
+    ipcRenderer.on("api:fetch-sctr-progress", listener);
+    return () => ipcRenderer.removeListener("api:fetch-sctr-progress", listener);
+  },
+  fetchSctrHistory: (tickers, options) => ipcRenderer.invoke("api:sctr-history", tickers, options),
+  fetchIndustryLeaderboard: (options) => ipcRenderer.invoke("api:industry-leaderboard", options),
+  fetchLeaderboardMembers: (options) => ipcRenderer.invoke("api:leaderboard-members", options),
+  fetchListingExchanges: (tickers) => ipcRenderer.invoke("api:listing-exchanges", tickers),
+  listIndustrySources: () => ipcRenderer.invoke("api:industry-sources"),
+  getIndustryFileStatus: () => ipcRenderer.invoke("api:industry-file-status"),
+  loadIndustryFile: (payload) => ipcRenderer.invoke("api:load-industry-file", payload),
+  pickIndustryFile: () => ipcRenderer.invoke("api:pick-industry-file"),
+  listWatchlists: () => ipcRenderer.invoke("api:watchlists"),
+  createWatchlist: (payload) => ipcRenderer.invoke("api:watchlist-create", payload),
+  renameWatchlist: (id, name) => ipcRenderer.invoke("api:watchlist-rename", id, name),
+  deleteWatchlist: (id) => ipcRenderer.invoke("api:watchlist-delete", id),
+  addWatchlistTickers: (id, tickers) => ipcRenderer.invoke("api:watchlist-add", id, tickers),
+  removeWatchlistTickers: (id, tickers) => ipcRenderer.invoke("api:watchlist-remove", id, tickers),
+  getRefreshSettings: () => ipcRenderer.invoke("api:refresh-settings"),
+  saveRefreshSettings: (settings) => ipcRenderer.invoke("api:save-refresh-settings", settings),
+  getRefreshStatus: () => ipcRenderer.invoke("api:refresh-status"),
+  runRefreshNow: () => ipcRenderer.invoke("api:refresh-run-now"),
+  exportWorkbook: (payload) => ipcRenderer.invoke("api:export-workbook", payload)
 });
@@ -3,10 +3,73 @@ const cors = require("cors");
 const multer = require("multer");
 const path = require("path");
 
-const { parseCsvForTickers, fetchSctrForTickers } = require("../shared/apiHandlers");
+const {
+  parseCsvForTickers,
+  importTickerFile,
+  fetchSctrForTickers,
+  scanUniverse,
+  cancelRequest,
+  fetchSctrHistory,
+  fetchIndustryLeaderboard,
+  fetchLeaderboardMembers,
+  fetchListingExchanges,
+  listIndustrySources,
+  loadIndustrySourceFile,
+  getIndustrySourceFileStatus,
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistTickers,
+  removeWatchlistTickers,
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  runRefreshNow,
+  exportResultsWorkbook
+} = require("../shared/apiHandlers");
+const { isAbortError } = require("../shared/httpClient");
 
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Answer a long-running request as JSON, or as Server-Sent Events when the client asks for
+// "text/event-stream". `run({ signal, onProgress })` is aborted when the client disconnects.
+async function respondWithProgress(req, res, run) {
+  const stream = String(req.headers.accept || "").includes("text/event-stream");
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const sendEvent = (name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (stream) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+  }
+
+  try {
+    const result = await run({
+      signal: controller.signal,
+      onProgress: stream ? (progress) => sendEvent("progress", progress) : undefined
+    });
+    if (!stream) return res.json(result);
+    sendEvent("result", result);
+    return res.end();
+  } catch (e) {
+    if (res.destroyed) return undefined;
+    if (isAbortError(e)) {
+      if (!stream) return res.status(499).send("Request cancelled");
+      sendEvent("cancelled", { message: "Request cancelled" });
+      return res.end();
+    }
+    if (!stream) return res.status(e?.status || 500).send(e?.message || String(e));
+    sendEvent("error", { message: e?.message || String(e) });
+    return res.end();
+  }
+}
+
 function createApp({ rendererDir, enableCors } = {}) {
   const app = express();
 
@@ -33,6 +96,33 @@ function createApp({ rendererDir, enableCors } = {}) {
 
   app.get("/api/health", (_req, res) => res.json({ ok: true }));
 
+  app.get("/api/industry-sources", async (_req, res) => {
+    try {
+      return res.json(await listIndustrySources());
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.get("/api/industry-file", async (_req, res) => {
+    try {
+      return res.json(await getIndustrySourceFileStatus());
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.post("/api/industry-file", async (req, res) => {
+    try {
+      const content = req.body?.content;
+      if (typeof content !== "string" || !content) return res.status(400).send("Missing industry file 'content'.");
+      const result = await loadIndustrySourceFile({ name: req.body?.name, content });
+      return res.json(result);
+    } catch (e) {
+      return res.status(400).send(e?.message || String(e));
+    }
+  });
+
   app.post("/api/parse-csv", upload.single("file"), async (req, res) => {
     try {
       const buf = req.file?.buffer;
@@ -45,12 +135,210 @@ function createApp({ rendererDir, enableCors } = {}) {
     }
   });
 
-  app.post("/api/fetch-sctr", async (req, res) => {
+  // Any supported ticker file; an optional JSON `options` field overrides detection
+  // ({ format, encoding, delimiter, headerRow, tickerColumn })
+  app.post("/api/import-tickers", upload.single("file"), async (req, res) => {
     try {
+      const buf = req.file?.buffer;
+      if (!buf) return res.status(400).send("Missing file field 'file'.");
+      let options = {};
+      try {
+        options = req.body?.options ? JSON.parse(req.body.options) : {};
+      } catch {
+        return res.status(400).send("Invalid JSON in field 'options'.");
+      }
+      const parsed = await importTickerFile({ fileName: req.file.originalname, data: buf, options });
+      return res.json(parsed);
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  // Clients sending "Accept: text/event-stream" get Server-Sent Events:
+  // "progress" events while the request runs, then a single "result", "cancelled" or "error" event.
+  // A body `requestId` makes the run cancellable via DELETE /api/fetch-sctr/:requestId;
+  // closing the connection early cancels it too.
+  // A `filter` query parameter (or body field) such as "SCTR >= 80 AND industryRS > 10"
+  // returns only matching records; see src/shared/screenerFilter.js for the syntax.
+  app.post("/api/fetch-sctr", (req, res) =>
+    respondWithProgress(req, res, ({ signal, onProgress }) => {
       const tickers = Array.isArray(req.body?.tickers) ? req.body.tickers : [];
       const industrySource = req.body?.industrySource || "finviz";
-      const result = await fetchSctrForTickers(tickers, industrySource);
+      return fetchSctrForTickers(tickers, industrySource, {
+        universe: req.body?.universe,
+        timeframe: req.body?.timeframe,
+        maSpecs: req.body?.maSpecs,
+        indexMethod: req.body?.indexMethod,
+        benchmark: req.body?.benchmark,
+        rsMode: req.body?.rsMode,
+        indicators: req.body?.indicators,
+        localSctrPeers: req.body?.localSctrPeers,
+        filter: req.query.filter ?? req.body?.filter,
+        requestId: req.body?.requestId,
+        signal,
+        onProgress
+      });
+    })
+  );
+
+  // Top N records of a whole universe matching body `criteria`, enriched like /api/fetch-sctr.
+  // Same streaming and cancellation behaviour (cancel with DELETE /api/fetch-sctr/:requestId).
+  app.post("/api/scan-universe", (req, res) =>
+    respondWithProgress(req, res, ({ signal, onProgress }) =>
+      scanUniverse(req.body?.criteria || {}, req.body?.industrySource || "stockcharts", {
+        universe: req.body?.universe,
+        timeframe: req.body?.timeframe,
+        maSpecs: req.body?.maSpecs,
+        indexMethod: req.body?.indexMethod,
+        benchmark: req.body?.benchmark,
+        rsMode: req.body?.rsMode,
+        indicators: req.body?.indicators,
+        requestId: req.body?.requestId,
+        signal,
+        onProgress
+      })
+    )
+  );
+
+  app.delete("/api/fetch-sctr/:requestId", (req, res) => {
+    return res.json({ cancelled: cancelRequest(req.params.requestId) });
+  });
+
+  app.post("/api/sctr-history", async (req, res) => {
+    try {
+      const tickers = Array.isArray(req.body?.tickers) ? req.body.tickers : [];
+      const result = await fetchSctrHistory(tickers, { days: req.body?.days, timeframe: req.body?.timeframe });
+      return res.json(result);
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.post("/api/industry-leaderboard", async (req, res) => {
+    try {
+      const result = await fetchIndustryLeaderboard({
+        universe: req.body?.universe,
+        timeframe: req.body?.timeframe
+      });
+      return res.json(result);
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  // Members of one leaderboard group: body { universe, timeframe, type: "industry" | "sector", name }
+  app.post("/api/leaderboard-members", async (req, res) => {
+    try {
+      const result = await fetchLeaderboardMembers({
+        universe: req.body?.universe,
+        timeframe: req.body?.timeframe,
+        type: req.body?.type,
+        name: req.body?.name
+      });
+      return res.json(result);
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  // Listing exchanges of body `tickers` ({ SYMBOL: "NASDAQ" | "NYSE" | "AMEX" | null }), for TradingView exports
+  app.post("/api/listing-exchanges", async (req, res) => {
+    try {
+      const result = await fetchListingExchanges(Array.isArray(req.body?.tickers) ? req.body.tickers : []);
       return res.json(result);
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  // Saved watchlists. Errors carry an HTTP status (400 bad input, 404 unknown list).
+  app.get("/api/watchlists", async (_req, res) => {
+    try {
+      return res.json(await listWatchlists());
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  app.post("/api/watchlists", async (req, res) => {
+    try {
+      return res.json(await createWatchlist({ name: req.body?.name, tickers: req.body?.tickers }));
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  app.patch("/api/watchlists/:id", async (req, res) => {
+    try {
+      return res.json(await renameWatchlist(req.params.id, req.body?.name));
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  app.delete("/api/watchlists/:id", async (req, res) => {
+    try {
+      return res.json(await deleteWatchlist(req.params.id));
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  app.post("/api/watchlists/:id/tickers", async (req, res) => {
+    try {
+      return res.json(await addWatchlistTickers(req.params.id, req.body?.tickers || []));
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  app.delete("/api/watchlists/:id/tickers", async (req, res) => {
+    try {
+      return res.json(await removeWatchlistTickers(req.params.id, req.body?.tickers || []));
+    } catch (e) {
+      return res.status(e?.status || 500).send(e?.message || String(e));
+    }
+  });
+
+  // Background refresh settings. The schedule itself only runs in the Electron main process.
+  app.get("/api/refresh-settings", async (_req, res) => {
+    try {
+      return res.json(await getRefreshSettings());
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.put("/api/refresh-settings", async (req, res) => {
+    try {
+      return res.json(await saveRefreshSettings(req.body || {}));
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.get("/api/refresh-status", async (_req, res) => {
+    try {
+      return res.json(await getRefreshStatus());
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  app.post("/api/refresh-run", async (_req, res) => {
+    try {
+      return res.json(await runRefreshNow());
+    } catch (e) {
+      return res.status(500).send(e?.message || String(e));
+    }
+  });
+
+  // Body: { records, columns, stats }; responds with the .xlsx file
+  app.post("/api/export-workbook", async (req, res) => {
+    try {
+      const buffer = await exportResultsWorkbook(req.body || {});
+      res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return res.send(buffer);
     } catch (e) {
       return res.status(500).send(e?.message || String(e));
     }
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import { ThemeProvider, useTheme } from "./ThemeContext.jsx";
 import CSVUpload from "./components/CSVUpload.jsx";
 import ManualInput from "./components/ManualInput.jsx";
@@ -6,15 +6,39 @@ import ResultsTable from "./components/ResultsTable.jsx";
 import ExportButton from "./components/ExportButton.jsx";
 import DarkModeToggle from "./components/DarkModeToggle.jsx";
 import IndustrySourceSelector from "./components/IndustrySourceSelector.jsx";
-import { fetchSctr } from "./utils/api.js";
+import UniverseSelector from "./components/UniverseSelector.jsx";
+import IndustryLeaderboard from "./components/IndustryLeaderboard.jsx";
+import MovingAverageSelector from "./components/MovingAverageSelector.jsx";
+import FetchProgress from "./components/FetchProgress.jsx";
+import WatchlistSidebar from "./components/WatchlistSidebar.jsx";
+import RefreshSettings from "./components/RefreshSettings.jsx";
+import FilterBar from "./components/FilterBar.jsx";
+import UniverseScan from "./components/UniverseScan.jsx";
+import { fetchSctr, scanUniverse, cancelFetchSctr, isCancelledError, fetchSctrHistory } from "./utils/api.js";
+import screenerFilter from "../../shared/screenerFilter.js";
+import { sortRecords } from "./utils/sortRecords.js";
+
+const { parseFilter, filterRecords } = screenerFilter;
 
 function AppContent() {
   const { isDark } = useTheme();
   const [tickers, setTickers] = useState([]);
   const [records, setRecords] = useState([]);
+  const [history, setHistory] = useState({});
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  // Bumped on every fetch so progress from an older, superseded fetch is ignored
+  const fetchIdRef = useRef(0);
+  // The in-flight fetch: { requestId, controller } so it can be cancelled
+  const activeRequestRef = useRef(null);
   const [error, setError] = useState("");
   const [lastSource, setLastSource] = useState("");
+  const [activeTab, setActiveTab] = useState("tickers");
+  const [activeWatchlistId, setActiveWatchlistId] = useState("");
+  // Rows of the imported file ({ fileName, columns, rows, rowTickers }) so exports can join results onto them
+  const [sourceTable, setSourceTable] = useState(null);
+  // Industry/sector SCTR stats of the last fetch's universe, for the Excel export
+  const [stats, setStats] = useState(null);
   const [industrySource, setIndustrySource] = useState(() => {
     // Load from localStorage or default to "finviz"
     if (typeof window !== "undefined") {
@@ -23,6 +47,72 @@ function AppContent() {
     }
     return "finviz";
   });
+  const [universe, setUniverse] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("sctrUniverse") || "L";
+    }
+    return "L";
+  });
+  const [timeframe, setTimeframe] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("sctrTimeframe") || "I";
+    }
+    return "I";
+  });
+  const [maSpecs, setMaSpecs] = useState(() => {
+    if (typeof window !== "undefined") {
+      try {
+        const saved = JSON.parse(localStorage.getItem("maSpecs") || "null");
+        if (Array.isArray(saved)) return saved;
+      } catch {
+        // ignore
+      }
+    }
+    return [{ period: 50, type: "SMA" }];
+  });
+  const [indexMethod, setIndexMethod] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("industryIndexMethod") || "cap";
+    }
+    return "cap";
+  });
+  // Peer set for the locally computed SCTR of tickers outside every universe
+  const [localSctrPeers, setLocalSctrPeers] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("localSctrPeers") || "universe";
+    }
+    return "universe";
+  });
+  // Benchmark for the price-based RS rating: "SPY", "QQQ", "IWM", "sector" or "off"
+  const [benchmark, setBenchmark] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("rsBenchmark") || "SPY";
+    }
+    return "SPY";
+  });
+  // Per-ticker indicator columns (ATR, dollar volume, relative volume, 52-week range); off skips their price history
+  const [indicators, setIndicators] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("tickerIndicators") !== "false";
+    }
+    return true;
+  });
+  // How Ind RS / Sec RS compare a ticker with its group: "percent", "percentile", "zscore" or "rank"
+  const [rsMode, setRsMode] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("groupRsMode") || "percent";
+    }
+    return "percent";
+  });
+  const [resultMaSpecs, setResultMaSpecs] = useState([]);
+  const [filterText, setFilterText] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem("screenerFilter") || "";
+    }
+    return "";
+  });
+  // Stable dependency for effects/callbacks that depend on the MA selection
+  const maSpecsKey = JSON.stringify(maSpecs);
 
   // Save industry source preference to localStorage
   useEffect(() => {
@@ -31,43 +121,180 @@ function AppContent() {
     }
   }, [industrySource]);
 
-  // Auto-refresh data when industry source changes (if we have tickers)
+  // Save SCTR universe/timeframe preference to localStorage
   useEffect(() => {
-    if (tickers.length > 0 && !loading) {
-      console.log(`[App] Industry source changed to ${industrySource}, refreshing data...`);
+    if (typeof window !== "undefined") {
+      localStorage.setItem("sctrUniverse", universe);
+      localStorage.setItem("sctrTimeframe", timeframe);
+      localStorage.setItem("localSctrPeers", localSctrPeers);
+      localStorage.setItem("rsBenchmark", benchmark);
+      localStorage.setItem("groupRsMode", rsMode);
+      localStorage.setItem("tickerIndicators", String(indicators));
+    }
+  }, [universe, timeframe, localSctrPeers, benchmark, rsMode, indicators]);
+
+  // Save moving average selection to localStorage
+  useEffect(() => {
+    if (typeof window !== "undefined") {
+      localStorage.setItem("maSpecs", maSpecsKey);
+      localStorage.setItem("industryIndexMethod", indexMethod);
+    }
+  }, [maSpecsKey, indexMethod]);
+
+  // Auto-refresh data when industry source, universe, timeframe, local SCTR peers, RS benchmark/mode, indicators, MAs or index method change (if we have tickers).
+  // A fetch still in flight is cancelled by the new one.
+  useEffect(() => {
+    if (tickers.length > 0) {
+      console.log(`[App] Source changed to ${industrySource} (${universe}/${timeframe}), refreshing data...`);
       fetchSctrData(tickers);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [industrySource]); // Only trigger on industrySource change, fetchSctrData is stable
+  }, [industrySource, universe, timeframe, localSctrPeers, benchmark, rsMode, indicators, maSpecsKey, indexMethod]); // Only trigger on source changes, fetchSctrData is stable
 
   const tickerCount = useMemo(() => tickers.length, [tickers]);
 
-  const fetchSctrData = React.useCallback(async (nextTickers) => {
+  useEffect(() => {
+    if (typeof window !== "undefined") {
+      localStorage.setItem("screenerFilter", filterText);
+    }
+  }, [filterText]);
+
+  // An invalid filter is reported in the filter bar and leaves the table unfiltered
+  const parsedFilter = useMemo(() => {
+    try {
+      return { groups: parseFilter(filterText), error: "" };
+    } catch (e) {
+      return { groups: [], error: e?.message || String(e) };
+    }
+  }, [filterText]);
+  const visibleRecords = useMemo(() => filterRecords(records, parsedFilter.groups), [records, parsedFilter]);
+  // Table order lives here so exports follow what the table shows
+  const [sort, setSort] = useState({ key: "SCTR", dir: "desc" });
+  const sortedRecords = useMemo(() => sortRecords(visibleRecords, sort.key, sort.dir), [visibleRecords, sort]);
+  const filterFields = useMemo(() => {
+    const keys = new Set();
+    for (const r of records.slice(0, 50)) {
+      for (const [k, v] of Object.entries(r || {})) {
+        if (v == null || typeof v !== "object") keys.add(k);
+      }
+    }
+    return Array.from(keys);
+  }, [records]);
+
+  const cancelActiveFetch = React.useCallback(() => {
+    const active = activeRequestRef.current;
+    if (!active) return;
+    activeRequestRef.current = null;
+    active.controller.abort();
+    cancelFetchSctr(active.requestId).catch((e) => console.warn("[App] Failed to cancel fetch:", e?.message || e));
+  }, []);
+
+  // With `scanCriteria` the tickers come from a universe scan instead of `nextTickers`
+  const fetchSctrData = React.useCallback(async (nextTickers, scanCriteria = null) => {
+    cancelActiveFetch();
     const unique = Array.from(new Set(nextTickers.map((t) => t.toUpperCase().trim()).filter(Boolean)));
     setTickers(unique);
     setError("");
     setRecords([]);
-    if (unique.length === 0) return;
+    setStats(null);
+    setHistory({});
+    if (unique.length === 0 && !scanCriteria) return;
+
+    const fetchId = ++fetchIdRef.current;
+    const request = {
+      requestId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      controller: new AbortController()
+    };
+    activeRequestRef.current = request;
+    // Partial results: show rows as soon as they arrive and fill in industry MA50 as each finishes
+    const onProgress = (event) => {
+      if (fetchId !== fetchIdRef.current) return;
+      setProgress(event);
+      if (Array.isArray(event.records)) {
+        setRecords(event.records);
+      } else if (event.phase === "ma50" && event.industry) {
+        setRecords((prev) =>
+          prev.map((r) =>
+            String(r.industry || "").trim() === event.industry
+              ? {
+                  ...r,
+                  industryAboveMA50: event.ma50?.aboveMA ?? null,
+                  industryPercentAboveMA50: event.ma50?.percentAboveMA50 ?? null,
+                  industryBreadthMA50: event.breadth?.percentAboveMA50 ?? null,
+                  industryBreadthMA200: event.breadth?.percentAboveMA200 ?? null
+                }
+              : r
+          )
+        );
+      }
+    };
 
     setLoading(true);
+    setProgress({ phase: "universe", message: "Starting…" });
     try {
-      const data = await fetchSctr(unique, industrySource);
-      setRecords(Array.isArray(data.records) ? data.records : []);
+      const requestOptions = {
+        universe,
+        timeframe,
+        maSpecs,
+        indexMethod,
+        localSctrPeers,
+        benchmark,
+        rsMode,
+        indicators,
+        onProgress,
+        requestId: request.requestId,
+        signal: request.controller.signal
+      };
+      const data = scanCriteria
+        ? await scanUniverse(scanCriteria, industrySource, requestOptions)
+        : await fetchSctr(unique, industrySource, requestOptions);
+      if (fetchId !== fetchIdRef.current) return;
+      if (activeRequestRef.current === request) activeRequestRef.current = null;
+      const nextRecords = Array.isArray(data.records) ? data.records : [];
+      setRecords(nextRecords);
+      setStats(data.stats ? { industries: data.stats.industries || {}, sectors: data.stats.sectors || {} } : null);
+      setResultMaSpecs(Array.isArray(data.maSpecs) ? data.maSpecs : []);
+      // Scanned names become the ticker list, so later source/MA changes refetch them
+      const symbols = scanCriteria ? nextRecords.map((r) => String(r.symbol).toUpperCase()) : unique;
+      if (scanCriteria) {
+        setTickers(symbols);
+        if (data.scan) setLastSource(`Universe scan: top ${symbols.length} of ${data.scan.matched} matches`);
+      }
       
-      // Show warning if some tickers are missing
+      // Show warning if some tickers are missing; those ranked locally are still listed
       const missing = Array.isArray(data.missingTickers) ? data.missingTickers : [];
+      const local = new Set(Array.isArray(data.localSctrTickers) ? data.localSctrTickers : []);
       if (missing.length > 0) {
-        const missingMsg = `${missing.length} ticker(s) not found in SCTR database: ${missing.join(", ")}`;
+        const unranked = missing.filter((t) => !local.has(t));
+        const missingMsg =
+          `${missing.length} ticker(s) not found in any SCTR universe: ${missing.join(", ")}` +
+          (local.size > 0 ? `. SCTR computed locally for ${Array.from(local).join(", ")}` : "") +
+          (local.size > 0 && unranked.length > 0 ? `; no price history for ${unranked.join(", ")}` : "");
         console.warn(missingMsg);
         // Set error to show warning (but don't clear records)
         setError(`Warning: ${missingMsg}`);
       }
+
+      // History is best-effort: the table is still useful without sparklines
+      try {
+        const hist = await fetchSctrHistory(symbols, { timeframe });
+        setHistory(hist?.series || {});
+      } catch (histError) {
+        console.warn("[App] Failed to load SCTR history:", histError?.message || histError);
+      }
     } catch (e) {
-      setError(e?.message || String(e));
+      if (fetchId !== fetchIdRef.current) return;
+      // Keep whatever partial rows arrived before the cancel
+      setError(isCancelledError(e) ? "Fetch cancelled." : e?.message || String(e));
     } finally {
-      setLoading(false);
+      if (fetchId === fetchIdRef.current) {
+        if (activeRequestRef.current === request) activeRequestRef.current = null;
+        setLoading(false);
+        setProgress(null);
+      }
     }
-  }, [industrySource]); // Include industrySource in dependencies
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [industrySource, universe, timeframe, localSctrPeers, benchmark, rsMode, indicators, maSpecsKey, indexMethod]); // Include source selections in dependencies
 
   return (
     <div style={styles.page}>
@@ -88,32 +315,142 @@ function AppContent() {
               </div>
             ) : null}
           </div>
-          <ExportButton records={records} disabled={records.length === 0} />
+          <ExportButton
+            records={sortedRecords}
+            allRecords={records}
+            sourceTable={sourceTable}
+            stats={stats}
+            disabled={visibleRecords.length === 0}
+          />
         </div>
       </div>
 
       <div style={styles.controlsSection}>
         <div style={styles.sourceSelector}>
-          <IndustrySourceSelector value={industrySource} onChange={setIndustrySource} />
-        </div>
-        <div style={styles.controls}>
-          <CSVUpload
-            onTickers={(t, meta) => {
-              setLastSource(meta?.source || "CSV");
-              fetchSctrData(t);
+          <IndustrySourceSelector
+            value={industrySource}
+            onChange={setIndustrySource}
+            onFileLoaded={() => {
+              // A new classification file changes industries, RS and MA50 grouping
+              if (tickers.length > 0) fetchSctrData(tickers);
             }}
           />
-          <ManualInput
-            onTickers={(t) => {
-              setLastSource("Manual");
-              fetchSctrData(t);
-            }}
+          <UniverseSelector
+            universe={universe}
+            timeframe={timeframe}
+            localSctrPeers={localSctrPeers}
+            benchmark={benchmark}
+            rsMode={rsMode}
+            indicators={indicators}
+            onUniverseChange={setUniverse}
+            onTimeframeChange={setTimeframe}
+            onLocalSctrPeersChange={setLocalSctrPeers}
+            onBenchmarkChange={setBenchmark}
+            onRsModeChange={setRsMode}
+            onIndicatorsChange={setIndicators}
           />
+          <MovingAverageSelector
+            value={maSpecs}
+            onChange={setMaSpecs}
+            indexMethod={indexMethod}
+            onIndexMethodChange={setIndexMethod}
+          />
+        </div>
+        <div style={styles.tabs}>
+          {[
+            { key: "tickers", label: "Tickers" },
+            { key: "leaderboard", label: "Industry Leaderboard" },
+            { key: "alerts", label: "Alerts & Schedule" }
+          ].map((tab) => (
+            <button
+              key={tab.key}
+              type="button"
+              onClick={() => setActiveTab(tab.key)}
+              style={{ ...styles.tab, ...(activeTab === tab.key ? styles.tabActive : null) }}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
       </div>
 
-      {error ? <div style={styles.error}>{error}</div> : null}
-      <ResultsTable records={records} loading={loading} />
+      {/* Keep the leaderboard mounted so its data survives tab switches */}
+      <div style={activeTab === "leaderboard" ? null : styles.hidden}>
+        <IndustryLeaderboard
+          universe={universe}
+          timeframe={timeframe}
+          onTickers={(t, meta) => {
+            setLastSource(meta?.source || "Leaderboard");
+            setActiveWatchlistId("");
+            setSourceTable(null);
+            setActiveTab("tickers");
+            fetchSctrData(t);
+          }}
+        />
+      </div>
+      {activeTab === "alerts" ? <RefreshSettings /> : null}
+      {activeTab === "tickers" ? (
+        <div style={styles.tickersLayout}>
+          <WatchlistSidebar
+            currentTickers={tickers}
+            activeId={activeWatchlistId}
+            onOpen={(list) => {
+              setLastSource(`Watchlist: ${list.name}`);
+              setActiveWatchlistId(list.id);
+              setSourceTable(null);
+              fetchSctrData(list.tickers);
+            }}
+          />
+          <div style={styles.tickersMain}>
+            <UniverseScan
+              universe={universe}
+              onScan={(criteria) => {
+                setLastSource("Universe scan");
+                setActiveWatchlistId("");
+                setSourceTable(null);
+                fetchSctrData([], criteria);
+              }}
+            />
+            <div style={styles.controls}>
+              <CSVUpload
+                onTickers={(t, meta) => {
+                  setLastSource(meta?.source || "CSV");
+                  setActiveWatchlistId("");
+                  setSourceTable(meta?.sourceTable || null);
+                  fetchSctrData(t);
+                }}
+              />
+              <ManualInput
+                onTickers={(t) => {
+                  setLastSource("Manual");
+                  setActiveWatchlistId("");
+                  setSourceTable(null);
+                  fetchSctrData(t);
+                }}
+              />
+            </div>
+            {error ? <div style={styles.error}>{error}</div> : null}
+            {loading ? <FetchProgress progress={progress} onCancel={cancelActiveFetch} /> : null}
+            <FilterBar
+              value={filterText}
+              onChange={setFilterText}
+              fields={filterFields}
+              error={parsedFilter.error}
+              matchCount={visibleRecords.length}
+              totalCount={records.length}
+            />
+            <ResultsTable
+              records={sortedRecords}
+              loading={loading}
+              history={history}
+              maSpecs={resultMaSpecs}
+              sortKey={sort.key}
+              sortDir={sort.dir}
+              onSortChange={setSort}
+            />
+          </div>
+        </div>
+      ) : null}
 
       {/* Only show footer in browser dev mode (Vite), not in Electron (dev or prod) */}
       {typeof window !== "undefined" && !window.electronAPI && window.location.hostname === "localhost" ? (
@@ -178,16 +515,54 @@ const styles = {
     marginBottom: 24
   },
   sourceSelector: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "flex-start",
+    gap: 24,
     marginBottom: 16,
     padding: 12,
     background: "var(--bg-secondary)",
     borderRadius: 10,
     border: "1px solid var(--border)"
   },
+  tabs: {
+    display: "flex",
+    gap: 4,
+    marginBottom: 16,
+    borderBottom: "1px solid var(--border)"
+  },
+  tab: {
+    border: "none",
+    borderBottom: "2px solid transparent",
+    background: "transparent",
+    color: "var(--text-secondary)",
+    padding: "8px 16px",
+    cursor: "pointer",
+    fontSize: 14,
+    fontWeight: 600,
+    fontFamily: "inherit"
+  },
+  tabActive: {
+    color: "var(--accent-primary)",
+    borderBottomColor: "var(--accent-primary)"
+  },
+  hidden: {
+    display: "none"
+  },
   controls: {
     display: "grid",
     gridTemplateColumns: "1fr 1fr",
-    gap: 20
+    gap: 20,
+    marginBottom: 24
+  },
+  tickersLayout: {
+    display: "grid",
+    gridTemplateColumns: "240px minmax(0, 1fr)",
+    gap: 20,
+    alignItems: "start"
+  },
+  tickersMain: {
+    minWidth: 0
   },
   meta: {
     fontSize: 13,
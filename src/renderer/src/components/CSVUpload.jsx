@@ -1,36 +1,95 @@
 import React, { useCallback, useRef, useState } from "react";
 import { useTheme } from "../ThemeContext.jsx";
-import { parseCsvFromFile } from "../utils/api.js";
+import { importTickersFromFile } from "../utils/api.js";
+import { loadImportPreference, saveImportPreference, clearImportPreference } from "../utils/importPreferences.js";
+import ImportPreviewDialog from "./ImportPreviewDialog.jsx";
+
+// Only the rows of one section, for exporting that section on its own
+function sectionTable(table, tickers) {
+  if (!table) return null;
+  const wanted = new Set(tickers);
+  const keep = table.rowTickers.map((t) => wanted.has(t));
+  return {
+    ...table,
+    rows: table.rows.filter((_, i) => keep[i]),
+    rowTickers: table.rowTickers.filter((_, i) => keep[i])
+  };
+}
 
 export default function CSVUpload({ onTickers }) {
   const { isDark } = useTheme();
   const inputRef = useRef(null);
   const [dragOver, setDragOver] = useState(false);
   const [status, setStatus] = useState("");
+  // Named sections of the last import (TradingView sections, ThinkorSwim tables, workbook sheets)
+  const [imported, setImported] = useState(null);
+  // Ticker-column values the last import could not use: [{ value, reason, count }]
+  const [rejected, setRejected] = useState([]);
+
+  // Parse in progress or awaiting confirmation: { file, options, result, parsing, error, remembered }
+  const [preview, setPreview] = useState(null);
+  const parseSeq = useRef(0);
+
+  const runParse = useCallback(async (file, options, remembered) => {
+    const seq = ++parseSeq.current;
+    setPreview((prev) => ({ ...prev, file, options, remembered, parsing: true, error: "" }));
+    try {
+      const result = await importTickersFromFile(file, options);
+      if (seq !== parseSeq.current) return;
+      setPreview((prev) => (prev ? { ...prev, result, parsing: false } : prev));
+    } catch (e) {
+      if (seq !== parseSeq.current) return;
+      setPreview((prev) => (prev ? { ...prev, parsing: false, error: e?.message || String(e) } : prev));
+    }
+  }, []);
 
   const parseFile = useCallback(
-    async (file) => {
+    (file) => {
       if (!file) return;
-      setStatus(`Parsing ${file.name}...`);
-      try {
-        const data = await parseCsvFromFile(file);
-        const tickers = Array.isArray(data.tickers) ? data.tickers : [];
-        setStatus(`Found ${tickers.length} tickers (column: ${data.tickerColumnName ?? data.tickerColumnIndex ?? "?"}).`);
-        onTickers?.(tickers, { source: "CSV" });
-      } catch (e) {
-        setStatus(`Error: ${e?.message || String(e)}`);
-      }
+      setStatus("");
+      setImported(null);
+      setRejected([]);
+      const saved = loadImportPreference(file.name);
+      setPreview({ file, options: saved || {}, result: null, parsing: true, error: "", remembered: Boolean(saved) });
+      runParse(file, saved || {}, Boolean(saved));
+    },
+    [runParse]
+  );
+
+  const acceptPreview = useCallback(
+    (remember) => {
+      const { file, options, result: data } = preview;
+      if (remember) saveImportPreference(file.name, options);
+      else if (preview.remembered) clearImportPreference(file.name);
+      setPreview(null);
+      const tickers = Array.isArray(data.tickers) ? data.tickers : [];
+      const groups = Array.isArray(data.groups) ? data.groups : [];
+      const column = data.tickerColumnName ? `, column: ${data.tickerColumnName}` : "";
+      const sections = groups.length > 0 ? `, ${groups.length} sections` : "";
+      setStatus(`Found ${tickers.length} tickers (${data.formatLabel || "CSV"}${column}${sections}).`);
+      // The original rows travel with the tickers so exports can append results to them
+      const sourceTable = Array.isArray(data.rows)
+        ? { fileName: file.name, columns: data.columns || [], rows: data.rows, rowTickers: data.rowTickers || [] }
+        : null;
+      setImported(groups.length > 0 ? { fileName: file.name, label: data.formatLabel, tickers, groups, sourceTable } : null);
+      setRejected(Array.isArray(data.rejected) ? data.rejected : []);
+      onTickers?.(tickers, { source: data.formatLabel || "CSV", sourceTable });
     },
-    [onTickers]
+    [preview, onTickers]
   );
 
+  function cancelPreview() {
+    parseSeq.current += 1;
+    setPreview(null);
+  }
+
   function onBrowse() {
     inputRef.current?.click();
   }
 
   return (
     <div>
-      <div style={styles.label}>CSV drag & drop</div>
+      <div style={styles.label}>File drag & drop</div>
       <div
         style={{
           ...styles.drop,
@@ -60,20 +119,76 @@ export default function CSVUpload({ onTickers }) {
         }}
       >
         <div style={styles.dropIcon}>📄</div>
-        <div style={styles.dropTitle}>Drop a CSV here</div>
-        <div style={styles.dropHint}>We'll auto-detect the ticker/symbol column.</div>
+        <div style={styles.dropTitle}>Drop a ticker list here</div>
+        <div style={styles.dropHint}>CSV, Excel, TradingView, ThinkorSwim or IBKR exports. We'll auto-detect the format and show a preview.</div>
         <button type="button" onClick={onBrowse} style={styles.button}>
           Browse…
         </button>
         <input
           ref={inputRef}
           type="file"
-          accept=".csv,text/csv,application/vnd.ms-excel"
+          accept=".csv,.tsv,.txt,.xlsx,.xlsm,text/csv,text/plain,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
           style={{ display: "none" }}
-          onChange={(e) => parseFile(e.target.files?.[0])}
+          onChange={(e) => {
+            parseFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
         />
       </div>
       {status ? <div style={styles.status}>{status}</div> : null}
+      {rejected.length > 0 ? (
+        <details style={styles.rejected}>
+          <summary style={styles.rejectedSummary}>
+            {rejected.length} {rejected.length === 1 ? "value was" : "values were"} skipped
+          </summary>
+          <ul style={styles.rejectedList}>
+            {rejected.map((r) => (
+              <li key={r.value}>
+                <code>{r.value}</code> — {r.reason}
+                {r.count > 1 ? ` (${r.count} rows)` : ""}
+              </li>
+            ))}
+          </ul>
+        </details>
+      ) : null}
+      {preview ? (
+        <ImportPreviewDialog
+          key={preview.file.name}
+          fileName={preview.file.name}
+          options={preview.options}
+          result={preview.result}
+          parsing={preview.parsing}
+          error={preview.error}
+          remembered={preview.remembered}
+          onChange={(options) => runParse(preview.file, options, preview.remembered)}
+          onConfirm={acceptPreview}
+          onCancel={cancelPreview}
+        />
+      ) : null}
+      {imported ? (
+        <div style={styles.groups}>
+          <button
+            type="button"
+            style={styles.group}
+            onClick={() => onTickers?.(imported.tickers, { source: imported.label, sourceTable: imported.sourceTable })}
+          >
+            All <span style={styles.groupCount}>{imported.tickers.length}</span>
+          </button>
+          {imported.groups.map((g) => (
+            <button
+              key={g.name}
+              type="button"
+              style={styles.group}
+              onClick={() =>
+                onTickers?.(g.tickers, { source: `${imported.label}: ${g.name}`, sourceTable: sectionTable(imported.sourceTable, g.tickers) })
+              }
+              title={`Fetch the "${g.name}" section of ${imported.fileName}`}
+            >
+              {g.name} <span style={styles.groupCount}>{g.tickers.length}</span>
+            </button>
+          ))}
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -137,5 +252,43 @@ const styles = {
     padding: "8px 12px",
     background: "var(--bg-secondary)",
     borderRadius: 6
+  },
+  rejected: {
+    marginTop: 8,
+    fontSize: 12,
+    color: "var(--text-secondary)",
+    padding: "6px 12px",
+    border: "1px solid var(--border)",
+    borderRadius: 6
+  },
+  rejectedSummary: {
+    cursor: "pointer",
+    fontWeight: 600
+  },
+  rejectedList: {
+    margin: "6px 0 0",
+    paddingLeft: 18,
+    maxHeight: 160,
+    overflowY: "auto"
+  },
+  groups: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 6,
+    marginTop: 8
+  },
+  group: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 999,
+    padding: "4px 10px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  groupCount: {
+    color: "var(--text-tertiary)",
+    marginLeft: 2
   }
 };
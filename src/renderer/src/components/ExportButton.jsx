@@ -1,13 +1,41 @@
-import React from "react";
+import React, { useState } from "react";
 import { useTheme } from "../ThemeContext.jsx";
+import { exportWorkbook, fetchListingExchanges } from "../utils/api.js";
+
+const BASE_COLUMNS = ["date", "symbol", "name", "SCTR", "sctrSource", "industryRS", "sectorRS", "rsMode", "industryRSOf", "sectorRSOf", "rsBenchmark", "rsRating", "rsVsBenchmark", "weightedPerf", "perf3m", "perf6m", "perf9m", "perf12m", "rsLineNewHigh", "industryAboveMA50", "industryPercentAboveMA50", "industryMA50Method", "industryBreadthMA50", "industryBreadthMA200", "delta", "close", "marketCap", "vol", "atr", "atrPct", "avgDollarVolume", "relVolume", "pctFrom52wHigh", "pctFrom52wLow", "industry", "sector", "exchange"];
+
+// Appended to the user's own file by default
+const DEFAULT_JOIN_COLUMNS = ["SCTR", "industryRS", "sectorRS", "industryAboveMA50", "delta", "industry", "sector"];
+const JOIN_COLUMNS_KEY = "exportJoinColumns";
+
+const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV", fileName: "sctr.csv", mime: "text/csv;charset=utf-8" },
+  { value: "xlsx", label: "Excel", fileName: "sctr.xlsx", mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  { value: "json", label: "JSON", fileName: "sctr.json", mime: "application/json" },
+  { value: "md", label: "Markdown", fileName: "sctr.md", mime: "text/markdown;charset=utf-8" },
+  { value: "tradingview", label: "TradingView watchlist", fileName: "sctr-watchlist.txt", mime: "text/plain;charset=utf-8" },
+  { value: "thinkorswim", label: "ThinkorSwim watchlist", fileName: "sctr-watchlist.csv", mime: "text/csv;charset=utf-8" },
+  { value: "symbols", label: "Symbol list", fileName: "sctr-symbols.txt", mime: "text/plain;charset=utf-8" }
+];
+const FORMAT_KEY = "exportFormat";
+const TV_SECTIONS_KEY = "exportTradingViewSections";
+
+function escape(v) {
+  const s = v == null ? "" : String(v);
+  if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+function exportColumns(records) {
+  const cols = [...BASE_COLUMNS];
+  // Requested moving-average distance columns vary per fetch
+  const maCols = Object.keys(records?.[0] || {}).filter((k) => /^(dist|industryDist)[A-Z]+\d+$/.test(k));
+  cols.splice(cols.indexOf("industryBreadthMA200") + 1, 0, ...maCols);
+  return cols;
+}
 
 function toCsv(records) {
-  const cols = ["date", "symbol", "name", "SCTR", "industryRS", "sectorRS", "industryAboveMA50", "industryPercentAboveMA50", "delta", "close", "marketCap", "vol", "industry", "sector"];
-  const escape = (v) => {
-    const s = v == null ? "" : String(v);
-    if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-    return s;
-  };
+  const cols = exportColumns(records);
   const lines = [cols.join(",")];
   for (const r of records || []) {
     lines.push(cols.map((c) => escape(r?.[c])).join(","));
@@ -15,49 +43,316 @@ function toCsv(records) {
   return lines.join("\n") + "\n";
 }
 
-export default function ExportButton({ records, disabled }) {
+function toJson(records, stats) {
+  const cols = exportColumns(records);
+  const rows = (records || []).map((r) => Object.fromEntries(cols.map((c) => [c, r?.[c] ?? null])));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), count: rows.length, records: rows, stats: stats || null }, null, 2) + "\n";
+}
+
+function markdownCell(v) {
+  if (v == null) return "";
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : v.toFixed(2);
+  return String(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function toMarkdown(records) {
+  const cols = exportColumns(records);
+  // Numeric columns are right-aligned
+  const numeric = cols.map((c) => (records || []).some((r) => typeof r?.[c] === "number"));
+  const lines = [`| ${cols.join(" | ")} |`, `| ${numeric.map((n) => (n ? "---:" : "---")).join(" | ")} |`];
+  for (const r of records || []) {
+    lines.push(`| ${cols.map((c) => markdownCell(r?.[c])).join(" | ")} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// EXCHANGE:SYMBOL, preferring the record's listing exchange over one from an imported list
+// (a bare symbol only when neither knows it). StockCharts writes share classes as BRK/B; TradingView wants BRK.B
+function tradingViewSymbol(record, exchanges) {
+  const s = String(record.symbol || "").toUpperCase().replace("/", ".");
+  const exchange = record.exchange || exchanges.get(String(record.symbol || "").toUpperCase());
+  return exchange ? `${exchange}:${s}` : s;
+}
+
+// Exchanges known from an imported TradingView-style list ("NASDAQ:AAPL" cells), keyed by ticker
+function importedExchanges(sourceTable) {
+  const exchanges = new Map();
+  (sourceTable?.rows || []).forEach((row, i) => {
+    const ticker = sourceTable.rowTickers[i];
+    if (!ticker) return;
+    for (const value of Object.values(row || {})) {
+      const m = String(value ?? "").trim().match(/^([A-Za-z_]+)\s*:\s*(\S+)$/);
+      if (m && m[2].toUpperCase().replace(/[.\-]/g, "/") === ticker) exchanges.set(ticker, m[1].toUpperCase());
+    }
+  });
+  return exchanges;
+}
+
+// Exchanges for records without a listing exchange (fetched without indicators): an imported list's
+// first, then looked up. A failed lookup only leaves those symbols bare.
+async function knownExchanges(records, sourceTable) {
+  const exchanges = importedExchanges(sourceTable);
+  const missing = (records || [])
+    .filter((r) => r?.symbol && !r.exchange && !exchanges.has(String(r.symbol).toUpperCase()))
+    .map((r) => String(r.symbol).toUpperCase());
+  if (missing.length === 0) return exchanges;
+  try {
+    const found = await fetchListingExchanges(missing);
+    for (const [symbol, exchange] of Object.entries(found || {})) {
+      if (exchange) exchanges.set(symbol, exchange);
+    }
+  } catch (e) {
+    console.warn("[Export] Exchange lookup failed:", e?.message || e);
+  }
+  return exchanges;
+}
+
+// TradingView import list: comma-separated symbols, optionally in "###Industry" sections
+// (sections in order of their first record, records in table order within each)
+function toTradingView(records, { sections, exchanges }) {
+  const list = (records || []).filter((r) => r?.symbol);
+  if (!sections) return list.map((r) => tradingViewSymbol(r, exchanges)).join(",") + "\n";
+  const groups = new Map();
+  for (const r of list) {
+    const industry = String(r.industry || "").trim() || "Other";
+    if (!groups.has(industry)) groups.set(industry, []);
+    groups.get(industry).push(tradingViewSymbol(r, exchanges));
+  }
+  // Commas would split a section name in TradingView's parser
+  return Array.from(groups, ([name, symbols]) => [`###${name.replace(/\s*,\s*/g, " ")}`, ...symbols].join(",")).join(",") + "\n";
+}
+
+// ThinkorSwim watchlist import: a CSV whose first column holds symbols
+function toThinkorswim(records) {
+  const lines = ["Symbol"];
+  for (const r of records || []) {
+    if (r?.symbol) lines.push(escape(String(r.symbol).toUpperCase()));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function toSymbolList(records) {
+  return (records || []).filter((r) => r?.symbol).map((r) => String(r.symbol).toUpperCase()).join("\n") + "\n";
+}
+
+// The imported file's rows in their original order, with the chosen result columns appended.
+// Rows share a record when they repeat a ticker; rows without a match get empty cells.
+function toJoinedCsv(sourceTable, records, joinColumns) {
+  const bySymbol = new Map((records || []).map((r) => [String(r.symbol || "").toUpperCase(), r]));
+  const taken = new Set(sourceTable.columns);
+  const headers = joinColumns.map((c) => (taken.has(c) ? `${c} (stk)` : c));
+  const lines = [[...sourceTable.columns, ...headers].map(escape).join(",")];
+  sourceTable.rows.forEach((row, i) => {
+    const record = bySymbol.get(sourceTable.rowTickers[i]) || null;
+    const original = sourceTable.columns.map((c) => escape(row?.[c]));
+    const appended = joinColumns.map((c) => escape(record?.[c]));
+    lines.push([...original, ...appended].join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function loadJoinColumns() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(JOIN_COLUMNS_KEY) || "null");
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // ignore
+  }
+  return DEFAULT_JOIN_COLUMNS;
+}
+
+// `content` is text or bytes (Uint8Array)
+async function saveFile(content, fileName, mime = "text/csv;charset=utf-8") {
+  // If running inside Electron and a preload exposes an API, use it.
+  if (window?.electronAPI?.saveFile) {
+    await window.electronAPI.saveFile({ defaultPath: fileName, content });
+    return;
+  }
+
+  // Browser fallback (Vite dev): download a file.
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// `records` are the visible rows; `allRecords` (all fetched rows) are joined onto `sourceTable` when given.
+// `stats` ({ industries, sectors }) fills the Excel export's stats sheet.
+export default function ExportButton({ records, allRecords, sourceTable, stats, disabled }) {
   const { isDark } = useTheme();
+  const [format, setFormat] = useState(() => {
+    const saved = localStorage.getItem(FORMAT_KEY);
+    return EXPORT_FORMATS.some((f) => f.value === saved) ? saved : "csv";
+  });
+  const [tvSections, setTvSections] = useState(() => localStorage.getItem(TV_SECTIONS_KEY) === "true");
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const [joinOpen, setJoinOpen] = useState(false);
+  const [joinColumns, setJoinColumns] = useState(loadJoinColumns);
+  const joinRecords = allRecords || records;
+  const available = exportColumns(joinRecords).filter((c) => c !== "symbol");
+  const selected = available.filter((c) => joinColumns.includes(c));
+
+  function toggleColumn(col) {
+    const next = joinColumns.includes(col) ? joinColumns.filter((c) => c !== col) : [...joinColumns, col];
+    setJoinColumns(next);
+    try {
+      localStorage.setItem(JOIN_COLUMNS_KEY, JSON.stringify(next));
+    } catch {
+      // ignore
+    }
+  }
+
+  function chooseFormat(next) {
+    setFormat(next);
+    try {
+      localStorage.setItem(FORMAT_KEY, next);
+    } catch {
+      // ignore
+    }
+  }
 
+  function toggleTvSections(next) {
+    setTvSections(next);
+    try {
+      localStorage.setItem(TV_SECTIONS_KEY, String(next));
+    } catch {
+      // ignore
+    }
+  }
+
+  // `records` arrive filtered and in table order, so every format matches the screen
   async function onExport() {
-    const csv = toCsv(records);
-
-    // If running inside Electron and a preload exposes an API, use it.
-    if (window?.electronAPI?.saveTextFile) {
-      await window.electronAPI.saveTextFile({
-        defaultPath: "sctr.csv",
-        content: csv
-      });
-      return;
+    const { fileName, mime } = EXPORT_FORMATS.find((f) => f.value === format);
+    setExporting(true);
+    setExportError("");
+    try {
+      if (format === "xlsx") {
+        const bytes = await exportWorkbook({ records, columns: exportColumns(records), stats });
+        await saveFile(bytes, fileName, mime);
+      } else if (format === "json") {
+        await saveFile(toJson(records, stats), fileName, mime);
+      } else if (format === "md") {
+        await saveFile(toMarkdown(records), fileName, mime);
+      } else if (format === "tradingview") {
+        await saveFile(toTradingView(records, { sections: tvSections, exchanges: await knownExchanges(records, sourceTable) }), fileName, mime);
+      } else if (format === "thinkorswim") {
+        await saveFile(toThinkorswim(records), fileName, mime);
+      } else if (format === "symbols") {
+        await saveFile(toSymbolList(records), fileName, mime);
+      } else {
+        await saveFile(toCsv(records), fileName, mime);
+      }
+    } catch (e) {
+      console.warn("[Export] Export failed:", e?.message || e);
+      setExportError(e?.message || String(e));
+    } finally {
+      setExporting(false);
     }
+  }
 
-    // Browser fallback (Vite dev): download a file.
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "sctr.csv";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+  async function onExportJoined() {
+    const base = String(sourceTable.fileName || "tickers").replace(/\.[^.]+$/, "");
+    setExporting(true);
+    setExportError("");
+    try {
+      await saveFile(toJoinedCsv(sourceTable, joinRecords, selected), `${base}-sctr.csv`);
+      setJoinOpen(false);
+    } catch (e) {
+      console.warn("[Export] Joined export failed:", e?.message || e);
+      setExportError(e?.message || String(e));
+    } finally {
+      setExporting(false);
+    }
   }
 
   return (
-    <button
-      type="button"
-      onClick={onExport}
-      disabled={disabled}
-      style={{
-        ...styles.button,
-        ...(disabled ? styles.disabled : null)
-      }}
-    >
-      📥 Export CSV
-    </button>
+    <div style={styles.wrap}>
+      <select
+        value={format}
+        onChange={(e) => chooseFormat(e.target.value)}
+        disabled={disabled || exporting}
+        style={styles.select}
+        aria-label="Export format"
+      >
+        {EXPORT_FORMATS.map((f) => (
+          <option key={f.value} value={f.value}>
+            {f.label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onExport}
+        disabled={disabled || exporting}
+        style={{
+          ...styles.button,
+          ...(disabled || exporting ? styles.disabled : null)
+        }}
+        title={exportError || undefined}
+      >
+        {exporting ? "Exporting…" : "📥 Export"}
+      </button>
+      {format === "tradingview" ? (
+        <label style={styles.inlineCheck} title="Group symbols into ###Industry sections">
+          <input type="checkbox" checked={tvSections} onChange={(e) => toggleTvSections(e.target.checked)} disabled={disabled} />
+          Sections
+        </label>
+      ) : null}
+      {exportError ? <span style={styles.error}>Export failed</span> : null}
+      {sourceTable ? (
+        <button
+          type="button"
+          onClick={() => setJoinOpen((o) => !o)}
+          disabled={disabled || exporting}
+          style={{ ...styles.button, ...(disabled || exporting ? styles.disabled : null) }}
+          title={`Write ${sourceTable.fileName} back with result columns appended`}
+        >
+          📎 Export with original columns
+        </button>
+      ) : null}
+      {joinOpen && sourceTable ? (
+        <div style={styles.popover}>
+          <div style={styles.popoverTitle}>Append to {sourceTable.fileName}</div>
+          <div style={styles.columns}>
+            {available.map((c) => (
+              <label key={c} style={styles.check}>
+                <input type="checkbox" checked={joinColumns.includes(c)} onChange={() => toggleColumn(c)} />
+                {c}
+              </label>
+            ))}
+          </div>
+          <div style={styles.popoverRow}>
+            <span style={styles.hint}>
+              {sourceTable.rows.length} rows, {selected.length} columns
+            </span>
+            <button
+              type="button"
+              onClick={onExportJoined}
+              disabled={exporting}
+              style={{ ...styles.button, ...(exporting ? styles.disabled : null) }}
+              title={exportError || undefined}
+            >
+              {exporting ? "Exporting…" : "Export"}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
   );
 }
 
 const styles = {
+  wrap: {
+    position: "relative",
+    display: "flex",
+    gap: 8
+  },
   button: {
     border: "1px solid var(--border)",
     background: "var(--bg-secondary)",
@@ -73,9 +368,73 @@ const styles = {
     alignItems: "center",
     gap: 6
   },
+  select: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "8px 10px",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  inlineCheck: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+    fontSize: 12,
+    color: "var(--text-secondary)"
+  },
+  error: {
+    alignSelf: "center",
+    fontSize: 12,
+    color: "var(--error-text)"
+  },
   disabled: {
     opacity: 0.5,
     cursor: "not-allowed",
     boxShadow: "none"
+  },
+  popover: {
+    position: "absolute",
+    top: "calc(100% + 6px)",
+    right: 0,
+    zIndex: 10,
+    width: 320,
+    padding: 12,
+    borderRadius: 10,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    boxShadow: "0 6px 20px rgba(0,0,0,0.15)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 10
+  },
+  popoverTitle: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "var(--text-secondary)"
+  },
+  columns: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: "4px 10px",
+    maxHeight: 220,
+    overflowY: "auto"
+  },
+  check: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 12,
+    color: "var(--text-primary)"
+  },
+  popoverRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center"
+  },
+  hint: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
   }
 };
@@ -0,0 +1,108 @@
+import React, { useRef } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+
+// Share of the overall bar given to each phase of a fetch-sctr run: [start, end] in percent
+const PHASE_RANGES = {
+  universe: [0, 8],
+  localSctr: [8, 15],
+  industries: [15, 60],
+  ma50: [60, 85],
+  tickerMAs: [85, 93],
+  benchmarkRS: [93, 100],
+  done: [100, 100]
+};
+
+function overallPercent(progress) {
+  const range = PHASE_RANGES[progress?.phase];
+  if (!range) return 0;
+  const [start, end] = range;
+  const fraction = progress.total > 0 ? Math.min(1, (progress.done || 0) / progress.total) : 0;
+  return start + (end - start) * fraction;
+}
+
+export default function FetchProgress({ progress, onCancel }) {
+  const { isDark } = useTheme();
+  // MA50 and ticker MA phases overlap, so never let the bar move backwards
+  const highest = useRef(0);
+  if (!progress) {
+    highest.current = 0;
+    return null;
+  }
+  highest.current = Math.max(highest.current, overallPercent(progress));
+  const percent = highest.current;
+
+  return (
+    <div style={styles.wrap} role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(percent)}>
+      <div style={styles.row}>
+        <span style={styles.message}>{progress.message || "Working…"}</span>
+        <span style={styles.right}>
+          <span style={styles.percent}>{percent.toFixed(0)}%</span>
+          {onCancel ? (
+            <button type="button" onClick={onCancel} style={styles.cancel}>
+              Cancel
+            </button>
+          ) : null}
+        </span>
+      </div>
+      <div style={styles.track}>
+        <div style={{ ...styles.bar, width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    border: "1px solid var(--border)",
+    borderRadius: 10,
+    padding: "10px 14px",
+    marginBottom: 12,
+    background: "var(--bg-secondary)"
+  },
+  row: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 6,
+    fontSize: 13
+  },
+  message: {
+    color: "var(--text-secondary)",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap"
+  },
+  right: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexShrink: 0
+  },
+  cancel: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "4px 10px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  percent: {
+    color: "var(--text-tertiary)",
+    fontVariantNumeric: "tabular-nums"
+  },
+  track: {
+    height: 6,
+    borderRadius: 999,
+    background: "var(--bg-primary)",
+    overflow: "hidden"
+  },
+  bar: {
+    height: "100%",
+    borderRadius: 999,
+    background: "var(--accent-primary)",
+    transition: "width 0.3s ease"
+  }
+};
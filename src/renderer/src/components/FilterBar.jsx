@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import screenerFilter from "../../../shared/screenerFilter.js";
+
+const { OPERATORS } = screenerFilter;
+
+const PRESETS_KEY = "screenerPresets";
+
+// Offered before any results are loaded
+const DEFAULT_FIELDS = ["SCTR", "delta", "industryRS", "sectorRS", "industryAboveMA50", "industryBreadthMA50", "marketCap", "close", "vol", "industry", "sector", "symbol"];
+
+function loadPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((p) => p?.name && typeof p.filter === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch {
+    // ignore
+  }
+}
+
+// Quote text values that would not survive as a single bare word
+function formatValue(raw) {
+  const s = String(raw).trim();
+  if (s === "") return '""';
+  if (/^[^\s=!<>~"']+$/.test(s)) return s;
+  return `"${s.replace(/["\\]/g, "\\$&")}"`;
+}
+
+export default function FilterBar({ value, onChange, fields, error, matchCount, totalCount }) {
+  const { isDark } = useTheme();
+  const fieldOptions = fields?.length > 0 ? fields : DEFAULT_FIELDS;
+  const [field, setField] = useState("SCTR");
+  const [op, setOp] = useState(">=");
+  const [operand, setOperand] = useState("");
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState("");
+  const selectedField = fieldOptions.includes(field) ? field : fieldOptions[0];
+
+  function addCondition(e) {
+    e.preventDefault();
+    const condition = `${selectedField} ${op} ${formatValue(operand)}`;
+    onChange(value.trim() ? `${value.trim()} AND ${condition}` : condition);
+    setOperand("");
+  }
+
+  function savePreset(e) {
+    e.preventDefault();
+    const name = presetName.trim();
+    if (!name || !value.trim()) return;
+    const next = [...presets.filter((p) => p.name !== name), { name, filter: value.trim() }].sort((a, b) => a.name.localeCompare(b.name));
+    setPresets(next);
+    savePresets(next);
+    setPresetName("");
+  }
+
+  function deletePreset(name) {
+    const next = presets.filter((p) => p.name !== name);
+    setPresets(next);
+    savePresets(next);
+  }
+
+  const activePreset = presets.find((p) => p.filter === value.trim());
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.row}>
+        <input
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Filter, e.g. SCTR >= 80 AND industryRS > 10 AND industryAboveMA50 = true"
+          style={{ ...styles.input, ...styles.expression, ...(error ? styles.inputError : null) }}
+          aria-label="Filter expression"
+          spellCheck={false}
+        />
+        {value ? (
+          <button type="button" style={styles.button} onClick={() => onChange("")}>
+            Clear
+          </button>
+        ) : null}
+        <span style={styles.count}>
+          {value.trim() && !error ? `${matchCount} of ${totalCount} shown` : `${totalCount} rows`}
+        </span>
+      </div>
+      {error ? <div style={styles.error}>{error}</div> : null}
+
+      <div style={styles.row}>
+        <form onSubmit={addCondition} style={styles.group}>
+          <select value={selectedField} onChange={(e) => setField(e.target.value)} style={styles.input} aria-label="Column">
+            {fieldOptions.map((f) => (
+              <option key={f} value={f}>
+                {f}
+              </option>
+            ))}
+          </select>
+          <select value={op} onChange={(e) => setOp(e.target.value)} style={styles.input} aria-label="Operator">
+            {OPERATORS.map((o) => (
+              <option key={o} value={o}>
+                {o === "~" ? "contains" : o}
+              </option>
+            ))}
+          </select>
+          <input
+            value={operand}
+            onChange={(e) => setOperand(e.target.value)}
+            placeholder="value"
+            style={{ ...styles.input, width: 110 }}
+            aria-label="Value"
+          />
+          <button type="submit" style={styles.button}>
+            {value.trim() ? "AND" : "Add"}
+          </button>
+        </form>
+
+        <div style={styles.group}>
+          <select
+            value={activePreset?.name || ""}
+            onChange={(e) => {
+              const preset = presets.find((p) => p.name === e.target.value);
+              if (preset) onChange(preset.filter);
+            }}
+            style={styles.input}
+            aria-label="Filter presets"
+          >
+            <option value="">{presets.length > 0 ? "Presets…" : "No presets"}</option>
+            {presets.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          {activePreset ? (
+            <button
+              type="button"
+              style={styles.icon}
+              onClick={() => deletePreset(activePreset.name)}
+              aria-label={`Delete preset ${activePreset.name}`}
+              title="Delete preset"
+            >
+              ×
+            </button>
+          ) : null}
+          <form onSubmit={savePreset} style={styles.group}>
+            <input
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+              style={{ ...styles.input, width: 120 }}
+              aria-label="Preset name"
+            />
+            <button
+              type="submit"
+              disabled={!presetName.trim() || !value.trim() || Boolean(error)}
+              style={{ ...styles.button, ...(!presetName.trim() || !value.trim() || error ? styles.buttonDisabled : null) }}
+            >
+              Save preset
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    border: "1px solid var(--border)",
+    borderRadius: 10,
+    padding: "10px 12px",
+    marginBottom: 12,
+    background: "var(--bg-secondary)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 8
+  },
+  row: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: 8
+  },
+  group: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6
+  },
+  input: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  expression: {
+    flex: 1,
+    minWidth: 240,
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace"
+  },
+  inputError: {
+    borderColor: "var(--error-border)"
+  },
+  button: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "6px 10px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+    cursor: "not-allowed"
+  },
+  icon: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: "2px 4px",
+    fontSize: 14,
+    lineHeight: 1
+  },
+  count: {
+    fontSize: 12,
+    color: "var(--text-tertiary)",
+    fontVariantNumeric: "tabular-nums"
+  },
+  error: {
+    fontSize: 12,
+    color: "var(--error-text)"
+  }
+};
@@ -0,0 +1,362 @@
+import React, { useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import { fileNamePattern } from "../utils/importPreferences.js";
+
+// Mirrors IMPORT_FORMATS, DELIMITERS and ENCODINGS in src/shared/tickerImport.js
+const FORMATS = [
+  { value: "", label: "Auto-detect" },
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel workbook" },
+  { value: "tradingview", label: "TradingView watchlist" },
+  { value: "thinkorswim", label: "ThinkorSwim export" },
+  { value: "ibkr", label: "IBKR portfolio" }
+];
+
+const DELIMITERS = [
+  { value: "", label: "Auto-detect" },
+  { value: ",", label: "Comma" },
+  { value: "\t", label: "Tab" },
+  { value: ";", label: "Semicolon" },
+  { value: "|", label: "Pipe" }
+];
+
+const ENCODINGS = [
+  { value: "", label: "Auto (UTF-8)" },
+  { value: "utf-8", label: "UTF-8" },
+  { value: "utf-16le", label: "UTF-16 LE" },
+  { value: "windows-1252", label: "Windows-1252" },
+  { value: "iso-8859-1", label: "ISO-8859-1" }
+];
+
+const HEADER_ROWS = 10;
+const PREVIEW_ROWS = 8;
+
+function delimiterLabel(d) {
+  return DELIMITERS.find((x) => x.value === d && x.value)?.label || (d ? JSON.stringify(d) : "—");
+}
+
+/**
+ * Preview of a parsed ticker file with overrides. `result` is the latest parse for `options`;
+ * onChange(options) re-parses, onConfirm(remember) accepts the result.
+ */
+export default function ImportPreviewDialog({ fileName, options, result, parsing, error, remembered, onChange, onConfirm, onCancel }) {
+  const { isDark } = useTheme();
+  const [remember, setRemember] = useState(Boolean(remembered));
+  const format = result?.format || options.format || "";
+  const tabular = format === "csv" || format === "xlsx";
+  const columns = result?.columns || [];
+  const rows = (result?.rows || []).slice(0, PREVIEW_ROWS);
+  const tickerCount = result?.tickers?.length || 0;
+
+  function set(patch) {
+    onChange({ ...options, ...patch });
+  }
+
+  return (
+    <div style={styles.overlay} role="dialog" aria-modal="true" aria-label={`Preview ${fileName}`}>
+      <div style={styles.dialog}>
+        <div style={styles.header}>
+          <div style={styles.title}>{fileName}</div>
+          <div style={styles.subtitle}>
+            {result?.formatLabel || "…"}
+            {format === "csv" ? ` · delimiter: ${delimiterLabel(result?.delimiter)}` : ""}
+            {result?.encoding ? ` · ${result.encoding}` : ""}
+            {tabular && result?.detectedTickerColumnName ? ` · detected column: ${result.detectedTickerColumnName}` : ""}
+          </div>
+        </div>
+
+        <div style={styles.controls}>
+          <label style={styles.field}>
+            <span style={styles.label}>Format</span>
+            <select value={options.format || ""} onChange={(e) => set({ format: e.target.value || undefined })} style={styles.input}>
+              {FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Encoding</span>
+            <select
+              value={options.encoding || ""}
+              onChange={(e) => set({ encoding: e.target.value || undefined })}
+              style={styles.input}
+              disabled={format === "xlsx"}
+            >
+              {ENCODINGS.map((enc) => (
+                <option key={enc.value} value={enc.value}>
+                  {enc.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Delimiter</span>
+            <select
+              value={options.delimiter || ""}
+              onChange={(e) => set({ delimiter: e.target.value || undefined })}
+              style={styles.input}
+              disabled={format !== "csv"}
+            >
+              {DELIMITERS.map((d) => (
+                <option key={d.label} value={d.value}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Header row</span>
+            <select
+              value={options.headerRow === null ? "none" : String(options.headerRow ?? 0)}
+              onChange={(e) => set({ headerRow: e.target.value === "none" ? null : Number(e.target.value), tickerColumn: undefined })}
+              style={styles.input}
+              disabled={!tabular}
+            >
+              <option value="none">No header</option>
+              {Array.from({ length: HEADER_ROWS }, (_, i) => (
+                <option key={i} value={String(i)}>
+                  Row {i + 1}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Ticker column</span>
+            <select
+              value={result?.tickerColumnName || ""}
+              onChange={(e) => set({ tickerColumn: e.target.value })}
+              style={styles.input}
+              disabled={!tabular || columns.length === 0}
+            >
+              {columns.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {error ? <div style={styles.error}>{error}</div> : null}
+
+        <div style={styles.tableWrap}>
+          {rows.length === 0 ? (
+            <div style={styles.empty}>{parsing ? "Parsing…" : "No rows found."}</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  {columns.map((c) => (
+                    <th key={c} style={{ ...styles.th, ...(c === result?.tickerColumnName ? styles.tickerCol : null) }}>
+                      {c}
+                    </th>
+                  ))}
+                  <th style={styles.th}>→ Ticker</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, i) => (
+                  <tr key={i}>
+                    {columns.map((c) => (
+                      <td key={c} style={{ ...styles.td, ...(c === result?.tickerColumnName ? styles.tickerCol : null) }}>
+                        {row?.[c] ?? ""}
+                      </td>
+                    ))}
+                    <td style={{ ...styles.td, ...styles.ticker }}>{result?.rowTickers?.[i] || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div style={styles.hint}>
+          {result?.rows?.length > PREVIEW_ROWS ? `Showing ${PREVIEW_ROWS} of ${result.rows.length} rows. ` : ""}
+          {tickerCount} unique tickers found
+          {result?.rejected?.length ? `, ${result.rejected.length} values rejected (${result.rejected.slice(0, 3).map((r) => r.value).join(", ")}${result.rejected.length > 3 ? ", …" : ""})` : ""}.
+        </div>
+
+        <div style={styles.footer}>
+          <label style={styles.check}>
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+            Remember for files like <code style={styles.code}>{fileNamePattern(fileName)}</code>
+          </label>
+          <div style={styles.actions}>
+            <button type="button" onClick={onCancel} style={styles.button}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => onConfirm(remember)}
+              disabled={parsing || tickerCount === 0}
+              style={{ ...styles.button, ...styles.primary, ...(parsing || tickerCount === 0 ? styles.buttonDisabled : null) }}
+            >
+              Fetch {tickerCount} tickers
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    inset: 0,
+    zIndex: 100,
+    background: "rgba(0,0,0,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20
+  },
+  dialog: {
+    width: "min(900px, 100%)",
+    maxHeight: "90vh",
+    display: "flex",
+    flexDirection: "column",
+    gap: 12,
+    padding: 20,
+    borderRadius: 12,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    boxShadow: "0 12px 40px rgba(0,0,0,0.3)"
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 700
+  },
+  subtitle: {
+    fontSize: 13,
+    color: "var(--text-secondary)"
+  },
+  controls: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 12
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  },
+  label: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
+  },
+  input: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit",
+    minWidth: 130
+  },
+  error: {
+    background: "var(--error-bg)",
+    border: "1px solid var(--error-border)",
+    color: "var(--error-text)",
+    padding: 8,
+    borderRadius: 8,
+    fontSize: 12
+  },
+  tableWrap: {
+    overflow: "auto",
+    border: "1px solid var(--border)",
+    borderRadius: 8,
+    minHeight: 120
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12
+  },
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-secondary)",
+    whiteSpace: "nowrap",
+    position: "sticky",
+    top: 0
+  },
+  td: {
+    padding: "5px 8px",
+    borderBottom: "1px solid var(--border)",
+    whiteSpace: "nowrap",
+    maxWidth: 220,
+    overflow: "hidden",
+    textOverflow: "ellipsis"
+  },
+  tickerCol: {
+    background: "var(--accent-bg)",
+    color: "var(--accent-primary)",
+    fontWeight: 600
+  },
+  ticker: {
+    fontWeight: 600,
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace"
+  },
+  empty: {
+    padding: 20,
+    textAlign: "center",
+    color: "var(--text-tertiary)",
+    fontSize: 13
+  },
+  hint: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
+  },
+  footer: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    flexWrap: "wrap"
+  },
+  check: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 13,
+    color: "var(--text-secondary)"
+  },
+  code: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: 12
+  },
+  actions: {
+    display: "flex",
+    gap: 8
+  },
+  button: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "8px 14px",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600
+  },
+  primary: {
+    background: "var(--accent-primary)",
+    borderColor: "var(--accent-primary)",
+    color: "white"
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+    cursor: "not-allowed"
+  }
+};
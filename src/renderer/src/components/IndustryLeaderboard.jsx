@@ -0,0 +1,386 @@
+import React, { useMemo, useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import { fetchIndustryLeaderboard, fetchLeaderboardMembers } from "../utils/api.js";
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (typeof a === "boolean" && typeof b === "boolean") return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+const columns = [
+  { key: "rank", label: "#" },
+  { key: "name", label: "Group" },
+  { key: "sector", label: "Sector", industriesOnly: true },
+  { key: "avg", label: "Avg SCTR" },
+  { key: "median", label: "Median" },
+  { key: "max", label: "Min–Max" },
+  { key: "count", label: "Members" },
+  { key: "advancingPct", label: "Advancing %" },
+  { key: "percentAboveMA50", label: "vs MA50" }
+];
+
+export default function IndustryLeaderboard({ universe, timeframe, onTickers }) {
+  const { isDark } = useTheme();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [groupType, setGroupType] = useState("industries");
+  const [sortKey, setSortKey] = useState("avg");
+  const [sortDir, setSortDir] = useState("desc");
+  const [expanded, setExpanded] = useState("");
+  // Drill-down members by groupKey, loaded when a group is first expanded
+  const [membersByGroup, setMembersByGroup] = useState({});
+  const [membersError, setMembersError] = useState("");
+
+  async function load() {
+    setLoading(true);
+    setError("");
+    try {
+      setData(await fetchIndustryLeaderboard({ universe, timeframe }));
+      setExpanded("");
+      setMembersByGroup({});
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const rows = useMemo(() => {
+    const list = Array.isArray(data?.[groupType]) ? [...data[groupType]] : [];
+    list.sort((a, b) => {
+      const c = compare(a?.[sortKey], b?.[sortKey]);
+      return sortDir === "asc" ? c : -c;
+    });
+    return list;
+  }, [data, groupType, sortKey, sortDir]);
+
+  // Universe, timeframe and type included: an industry and a sector can share a name
+  function groupKey(row) {
+    return `${data?.universe}/${data?.timeframe}/${row.type}/${row.name}`;
+  }
+
+  async function toggleGroup(row) {
+    const key = groupKey(row);
+    if (expanded === key) {
+      setExpanded("");
+      return;
+    }
+    setExpanded(key);
+    setMembersError("");
+    if (membersByGroup[key]) return;
+    try {
+      const members = await fetchLeaderboardMembers({ universe: data?.universe, timeframe: data?.timeframe, type: row.type, name: row.name });
+      setMembersByGroup((prev) => ({ ...prev, [key]: Array.isArray(members) ? members : [] }));
+    } catch (e) {
+      setMembersError(e?.message || String(e));
+    }
+  }
+
+  function toggleSort(nextKey) {
+    if (sortKey === nextKey) {
+      setSortDir((d) => (d === "asc" ? "desc" : "asc"));
+    } else {
+      setSortKey(nextKey);
+      setSortDir(nextKey === "name" || nextKey === "sector" || nextKey === "rank" ? "asc" : "desc");
+    }
+  }
+
+  function formatMA50(row) {
+    if (row.aboveMA50 == null) return "—";
+    const pct = row.percentAboveMA50 != null ? Math.abs(row.percentAboveMA50).toFixed(1) : "";
+    return `${row.aboveMA50 ? "↑" : "↓"} ${pct}%`;
+  }
+
+  const visibleColumns = columns.filter((c) => !c.industriesOnly || groupType === "industries");
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.topRow}>
+        <div style={styles.topTitle}>
+          Industry & Sector Leaderboard
+          {data?.date ? <span style={styles.asOf}> as of {data.date}</span> : null}
+        </div>
+        <div style={styles.controls}>
+          <div style={styles.toggle}>
+            {["industries", "sectors"].map((t) => (
+              <button
+                key={t}
+                type="button"
+                onClick={() => {
+                  setGroupType(t);
+                  setExpanded("");
+                }}
+                style={{ ...styles.toggleButton, ...(groupType === t ? styles.toggleActive : null) }}
+              >
+                {t === "industries" ? "Industries" : "Sectors"}
+              </button>
+            ))}
+          </div>
+          <button type="button" onClick={load} disabled={loading} style={styles.button}>
+            {loading ? "Loading…" : data ? "Refresh" : "Load leaderboard"}
+          </button>
+        </div>
+      </div>
+
+      {error ? <div style={styles.error}>{error}</div> : null}
+      {!data && !loading ? (
+        <div style={styles.empty}>Load the full SCTR universe to rank every industry and sector.</div>
+      ) : null}
+
+      {rows.length > 0 ? (
+        <div style={styles.tableWrap}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                {visibleColumns.map((c) => (
+                  <th key={c.key} style={styles.th} onClick={() => toggleSort(c.key)} title="Click to sort">
+                    {c.label}
+                    {sortKey === c.key ? <span style={styles.sort}> {sortDir === "asc" ? "▲" : "▼"}</span> : null}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, idx) => {
+                const isOpen = expanded === groupKey(row);
+                const loaded = membersByGroup[groupKey(row)];
+                const members = loaded || [];
+                return (
+                  <React.Fragment key={row.name}>
+                    <tr
+                      style={{ ...styles.tr, ...(idx % 2 === 0 ? styles.trEven : null), ...styles.clickable }}
+                      onClick={() => toggleGroup(row)}
+                      title="Click to show member tickers"
+                    >
+                      <td style={{ ...styles.td, ...styles.num }}>{row.rank}</td>
+                      <td style={{ ...styles.td, fontWeight: 600 }}>
+                        {isOpen ? "▾" : "▸"} {row.name}
+                      </td>
+                      {groupType === "industries" ? <td style={styles.td}>{row.sector}</td> : null}
+                      <td style={{ ...styles.td, ...styles.num }}>{fmt(row.avg, 1)}</td>
+                      <td style={{ ...styles.td, ...styles.num }}>{fmt(row.median, 1)}</td>
+                      <td style={{ ...styles.td, ...styles.num }}>
+                        {fmt(row.min, 1)}–{fmt(row.max, 1)}
+                      </td>
+                      <td style={{ ...styles.td, ...styles.num }}>{row.count}</td>
+                      <td style={{ ...styles.td, ...styles.num }}>{fmt(row.advancingPct, 0)}%</td>
+                      <td
+                        style={{
+                          ...styles.td,
+                          ...styles.num,
+                          ...(row.aboveMA50 == null ? null : { color: row.aboveMA50 ? "var(--rs-good)" : "var(--rs-poor)" })
+                        }}
+                        title={row.ma50Etf ? `via ${row.ma50Etf}` : "No ETF for this group"}
+                      >
+                        {formatMA50(row)}
+                      </td>
+                    </tr>
+                    {isOpen ? (
+                      <tr>
+                        <td colSpan={visibleColumns.length} style={styles.drill}>
+                          <div style={styles.drillHeader}>
+                            <span>
+                              {loaded ? `${members.length} members of ` : membersError ? `${membersError} — ` : "Loading members of "}
+                              <strong>{row.name}</strong>
+                            </span>
+                            <button
+                              type="button"
+                              style={styles.button}
+                              disabled={!loaded}
+                              onClick={() => onTickers?.(members.map((m) => m.symbol), { source: `Leaderboard: ${row.name}` })}
+                            >
+                              Fetch these tickers
+                            </button>
+                          </div>
+                          <div style={styles.members}>
+                            {members.map((m) => (
+                              <span key={m.symbol} style={styles.member} title={m.name}>
+                                <span style={styles.mono}>{m.symbol}</span> {fmt(m.SCTR, 1)}
+                                {typeof m.delta === "number" ? (
+                                  <span style={{ color: m.delta >= 0 ? "var(--rs-good)" : "var(--rs-poor)" }}>
+                                    {" "}
+                                    {m.delta >= 0 ? "+" : ""}
+                                    {fmt(m.delta, 1)}
+                                  </span>
+                                ) : null}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ) : null}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function fmt(v, p) {
+  if (v == null || v === "") return "";
+  const n = Number(v);
+  if (Number.isNaN(n)) return String(v);
+  return n.toFixed(p);
+}
+
+const styles = {
+  wrap: {
+    border: "1px solid var(--border)",
+    borderRadius: 12,
+    padding: 16,
+    background: "var(--bg-secondary)",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.05)"
+  },
+  topRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 12,
+    marginBottom: 12
+  },
+  topTitle: {
+    fontWeight: 700,
+    fontSize: 18,
+    color: "var(--text-primary)"
+  },
+  asOf: {
+    fontWeight: 400,
+    fontSize: 13,
+    color: "var(--text-tertiary)"
+  },
+  controls: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10
+  },
+  toggle: {
+    display: "flex",
+    border: "1px solid var(--border)",
+    borderRadius: 8,
+    overflow: "hidden"
+  },
+  toggleButton: {
+    border: "none",
+    background: "var(--bg-primary)",
+    color: "var(--text-secondary)",
+    padding: "6px 12px",
+    cursor: "pointer",
+    fontSize: 13
+  },
+  toggleActive: {
+    background: "var(--accent-primary)",
+    color: "white",
+    fontWeight: 600
+  },
+  button: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "6px 14px",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600
+  },
+  error: {
+    background: "var(--error-bg)",
+    border: "1px solid var(--error-border)",
+    color: "var(--error-text)",
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 12,
+    fontSize: 14
+  },
+  empty: {
+    padding: 24,
+    color: "var(--text-tertiary)",
+    fontSize: 14,
+    textAlign: "center"
+  },
+  tableWrap: {
+    overflowX: "auto",
+    borderRadius: 8
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13
+  },
+  th: {
+    textAlign: "left",
+    borderBottom: "2px solid var(--border)",
+    padding: "12px 10px",
+    position: "sticky",
+    top: 0,
+    background: "var(--bg-secondary)",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+    fontWeight: 600,
+    color: "var(--text-secondary)"
+  },
+  tr: {
+    borderBottom: "1px solid var(--border)",
+    transition: "background-color 0.15s ease"
+  },
+  trEven: {
+    background: "var(--bg-primary)"
+  },
+  clickable: {
+    cursor: "pointer"
+  },
+  td: {
+    padding: "10px 10px",
+    verticalAlign: "top",
+    color: "var(--text-primary)"
+  },
+  num: {
+    textAlign: "right",
+    whiteSpace: "nowrap",
+    fontVariantNumeric: "tabular-nums"
+  },
+  sort: {
+    fontSize: 11,
+    color: "var(--accent-primary)",
+    marginLeft: 4
+  },
+  drill: {
+    padding: "12px 16px",
+    background: "var(--accent-bg)",
+    borderBottom: "1px solid var(--border)"
+  },
+  drillHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 10,
+    fontSize: 13,
+    color: "var(--text-secondary)"
+  },
+  members: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8
+  },
+  member: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 6,
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    fontVariantNumeric: "tabular-nums"
+  },
+  mono: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+    fontWeight: 600
+  }
+};
@@ -1,14 +1,73 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useTheme } from "../ThemeContext.jsx";
+import { fetchIndustrySources, getIndustryFileStatus, pickIndustryFile, uploadIndustryFile } from "../utils/api.js";
 
-const INDUSTRY_SOURCES = [
+// Shown until the backend reports its registered providers (or if that call fails)
+const FALLBACK_SOURCES = [
   { value: "finviz", label: "Finviz", description: "Finviz industry definitions (cached)" },
   { value: "stockcharts", label: "StockCharts", description: "StockCharts SCTR data" },
   { value: "yahoo", label: "Yahoo Finance", description: "Yahoo Finance classifications" }
 ];
 
-export default function IndustrySourceSelector({ value, onChange }) {
+function describeFile(status) {
+  if (!status?.loaded) return "No file loaded";
+  return `${status.fileName}: ${status.tickerCount} tickers, ${status.industryCount} industries, ${status.sectorCount} sectors`;
+}
+
+export default function IndustrySourceSelector({ value, onChange, onFileLoaded }) {
   const { isDark } = useTheme();
+  const [sources, setSources] = useState(FALLBACK_SOURCES);
+  const [fileStatus, setFileStatus] = useState(null);
+  const [fileError, setFileError] = useState("");
+  const inputRef = useRef(null);
+  const selected = sources.find((s) => s.value === value);
+  const requiresFile = Boolean(selected?.requiresFile);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchIndustrySources()
+      .then((list) => {
+        if (!cancelled && Array.isArray(list) && list.length > 0) setSources(list);
+      })
+      .catch((e) => console.warn("[IndustrySourceSelector] Failed to load industry sources:", e?.message || e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!requiresFile) return;
+    getIndustryFileStatus()
+      .then(setFileStatus)
+      .catch((e) => setFileError(e?.message || String(e)));
+  }, [requiresFile]);
+
+  function handleLoaded(status) {
+    if (!status || status.canceled) return;
+    setFileStatus(status);
+    setFileError("");
+    onFileLoaded?.(status);
+  }
+
+  async function onChooseFile() {
+    try {
+      const picked = await pickIndustryFile();
+      // Browser dev mode: fall back to a file input
+      if (picked === null) inputRef.current?.click();
+      else handleLoaded(picked);
+    } catch (e) {
+      setFileError(e?.message || String(e));
+    }
+  }
+
+  async function onInputFile(file) {
+    if (!file) return;
+    try {
+      handleLoaded(await uploadIndustryFile(file));
+    } catch (e) {
+      setFileError(e?.message || String(e));
+    }
+  }
 
   return (
     <div style={styles.container}>
@@ -21,15 +80,33 @@ export default function IndustrySourceSelector({ value, onChange }) {
         onChange={(e) => onChange?.(e.target.value)}
         style={styles.select}
       >
-        {INDUSTRY_SOURCES.map((source) => (
+        {sources.map((source) => (
           <option key={source.value} value={source.value}>
             {source.label}
           </option>
         ))}
       </select>
       <div style={styles.description}>
-        {INDUSTRY_SOURCES.find((s) => s.value === value)?.description}
+        {selected?.description}
       </div>
+      {requiresFile ? (
+        <div style={styles.fileRow}>
+          <button type="button" onClick={onChooseFile} style={styles.fileButton}>
+            Choose file…
+          </button>
+          <span style={fileError ? styles.fileError : styles.fileStatus}>{fileError || describeFile(fileStatus)}</span>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              onInputFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -63,5 +140,28 @@ const styles = {
     fontSize: 11,
     color: "var(--text-tertiary)",
     fontStyle: "italic"
+  },
+  fileRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8
+  },
+  fileButton: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "6px 12px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 500
+  },
+  fileStatus: {
+    fontSize: 12,
+    color: "var(--text-secondary)"
+  },
+  fileError: {
+    fontSize: 12,
+    color: "var(--error-text)"
   }
 };
@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+
+const COMMON_PERIODS = [10, 21, 50, 150, 200];
+const MA_TYPES = ["SMA", "EMA", "WMA"];
+const INDEX_METHODS = [
+  { value: "cap", label: "Cap-weighted" },
+  { value: "equal", label: "Equal-weight" },
+  { value: "price", label: "Price average" }
+];
+
+export function maKey(spec) {
+  return `${spec.type}${spec.period}`;
+}
+
+export default function MovingAverageSelector({ value, onChange, indexMethod, onIndexMethodChange }) {
+  const { isDark } = useTheme();
+  const [period, setPeriod] = useState("21");
+  const [type, setType] = useState("EMA");
+  const specs = Array.isArray(value) ? value : [];
+
+  function addSpec() {
+    const p = Math.trunc(Number(period));
+    if (!Number.isFinite(p) || p < 2 || p > 400) return;
+    const next = { period: p, type };
+    if (specs.some((s) => maKey(s) === maKey(next))) return;
+    onChange?.([...specs, next].sort((a, b) => a.period - b.period));
+  }
+
+  function removeSpec(key) {
+    onChange?.(specs.filter((s) => maKey(s) !== key));
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.label}>Moving Averages:</div>
+      <div style={styles.row}>
+        {specs.map((s) => (
+          <span key={maKey(s)} style={styles.chip}>
+            {s.type} {s.period}
+            <button
+              type="button"
+              style={styles.chipRemove}
+              onClick={() => removeSpec(maKey(s))}
+              aria-label={`Remove ${s.type} ${s.period}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="number"
+          min={2}
+          max={400}
+          list="ma-common-periods"
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          style={styles.input}
+          aria-label="MA period"
+        />
+        <datalist id="ma-common-periods">
+          {COMMON_PERIODS.map((p) => (
+            <option key={p} value={p} />
+          ))}
+        </datalist>
+        <select value={type} onChange={(e) => setType(e.target.value)} style={styles.select} aria-label="MA type">
+          {MA_TYPES.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={addSpec} style={styles.add}>
+          Add
+        </button>
+      </div>
+      <div style={styles.row}>
+        <label style={styles.inlineLabel} htmlFor="industry-index-method">
+          Industry index:
+        </label>
+        <select
+          id="industry-index-method"
+          value={indexMethod || "cap"}
+          onChange={(e) => onIndexMethodChange?.(e.target.value)}
+          style={styles.select}
+          title="How industries without an ETF are built from their members"
+        >
+          {INDEX_METHODS.map((m) => (
+            <option key={m.value} value={m.value}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.description}>
+        Adds % distance from each MA per ticker and per industry. Industries without an ETF use an index of their largest members.
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 6
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "var(--text-secondary)",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px"
+  },
+  inlineLabel: {
+    fontSize: 12,
+    color: "var(--text-secondary)"
+  },
+  row: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6
+  },
+  chip: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 4,
+    padding: "4px 8px",
+    borderRadius: 999,
+    border: "1px solid var(--border)",
+    background: "var(--accent-bg)",
+    color: "var(--text-primary)",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  chipRemove: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: 14,
+    lineHeight: 1
+  },
+  input: {
+    width: 64,
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  select: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    cursor: "pointer",
+    fontFamily: "inherit"
+  },
+  add: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "6px 12px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  description: {
+    fontSize: 11,
+    color: "var(--text-tertiary)",
+    fontStyle: "italic"
+  }
+};
@@ -0,0 +1,434 @@
+import React, { useEffect, useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import {
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  runRefreshNow,
+  listWatchlists,
+  fetchIndustrySources
+} from "../utils/api.js";
+
+// Mirrors RULE_TYPES in src/shared/refreshScheduler.js
+const RULE_TYPES = [
+  { value: "sctrCrossAbove", label: "SCTR crosses above", needsValue: true },
+  { value: "sctrCrossBelow", label: "SCTR crosses below", needsValue: true },
+  { value: "deltaAbove", label: "Daily Δ rises above", needsValue: true },
+  { value: "deltaBelow", label: "Daily Δ falls below", needsValue: true },
+  { value: "industryBelowMA50", label: "Industry flips below MA50", needsValue: false },
+  { value: "industryAboveMA50", label: "Industry flips above MA50", needsValue: false }
+];
+
+const TIME_ZONES = ["America/New_York", "America/Chicago", "America/Los_Angeles", "Europe/London", "Asia/Jerusalem", "UTC"];
+
+const UNIVERSES = [
+  { value: "L", label: "Large Cap" },
+  { value: "M", label: "Mid Cap" },
+  { value: "S", label: "Small Cap" },
+  { value: "E", label: "ETFs" }
+];
+
+function ruleType(type) {
+  return RULE_TYPES.find((r) => r.value === type) || RULE_TYPES[0];
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+export default function RefreshSettings() {
+  const { isDark } = useTheme();
+  const [settings, setSettings] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [lists, setLists] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  async function loadStatus() {
+    try {
+      setStatus(await getRefreshStatus());
+    } catch (e) {
+      console.warn("[RefreshSettings] Failed to load status:", e?.message || e);
+    }
+  }
+
+  useEffect(() => {
+    Promise.all([getRefreshSettings(), listWatchlists(), fetchIndustrySources().catch(() => [])])
+      .then(([s, l, src]) => {
+        setSettings(s);
+        setLists(l);
+        setSources(src);
+      })
+      .catch((e) => setError(e?.message || String(e)));
+    loadStatus();
+  }, []);
+
+  function update(patch) {
+    setSettings((prev) => ({ ...prev, ...patch }));
+    setDirty(true);
+    setNotice("");
+  }
+
+  function updateRule(idx, patch) {
+    update({ rules: settings.rules.map((r, i) => (i === idx ? { ...r, ...patch } : r)) });
+  }
+
+  function toggleWatchlist(id) {
+    const ids = new Set(settings.watchlistIds);
+    if (ids.has(id)) ids.delete(id);
+    else ids.add(id);
+    update({ watchlistIds: Array.from(ids) });
+  }
+
+  async function handleSave() {
+    setBusy("save");
+    setError("");
+    try {
+      setSettings(await saveRefreshSettings(settings));
+      setDirty(false);
+      setNotice("Settings saved.");
+      await loadStatus();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function handleRunNow() {
+    setBusy("run");
+    setError("");
+    setNotice("");
+    try {
+      const run = await runRefreshNow();
+      setNotice(
+        run.tickerCount === 0
+          ? "No watchlist tickers to refresh."
+          : `Refreshed ${run.tickerCount} tickers: ${run.alerts.length} alert(s).`
+      );
+      await loadStatus();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  if (!settings) {
+    return error ? <div style={styles.error}>{error}</div> : <div style={styles.muted}>Loading settings…</div>;
+  }
+
+  const alerts = status?.lastRun?.alerts || [];
+
+  return (
+    <div style={styles.layout}>
+      <div style={styles.panel}>
+        <div style={styles.title}>Schedule</div>
+        <label style={styles.check}>
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Refresh watchlists automatically
+        </label>
+        <div style={styles.row}>
+          <label style={styles.field}>
+            <span style={styles.label}>Time</span>
+            <input type="time" value={settings.time} onChange={(e) => update({ time: e.target.value })} style={styles.input} />
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Time zone</span>
+            <select value={settings.timeZone} onChange={(e) => update({ timeZone: e.target.value })} style={styles.input}>
+              {Array.from(new Set([settings.timeZone, ...TIME_ZONES])).map((tz) => (
+                <option key={tz} value={tz}>
+                  {tz}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <label style={styles.check}>
+          <input
+            type="checkbox"
+            checked={settings.weekdaysOnly}
+            onChange={(e) => update({ weekdaysOnly: e.target.checked })}
+          />
+          Weekdays only
+        </label>
+        <div style={styles.row}>
+          <label style={styles.field}>
+            <span style={styles.label}>Industry source</span>
+            <select value={settings.industrySource} onChange={(e) => update({ industrySource: e.target.value })} style={styles.input}>
+              {(sources.length > 0 ? sources : [{ value: settings.industrySource, label: settings.industrySource }]).map((s) => (
+                <option key={s.value} value={s.value}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            <span style={styles.label}>Universe</span>
+            <select value={settings.universe} onChange={(e) => update({ universe: e.target.value })} style={styles.input}>
+              {UNIVERSES.map((u) => (
+                <option key={u.value} value={u.value}>
+                  {u.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div style={styles.title}>Watchlists</div>
+        {lists.length === 0 ? (
+          <div style={styles.muted}>No watchlists yet. Save some on the Tickers tab.</div>
+        ) : (
+          <>
+            <div style={styles.muted}>None selected refreshes every watchlist.</div>
+            {lists.map((list) => (
+              <label key={list.id} style={styles.check}>
+                <input type="checkbox" checked={settings.watchlistIds.includes(list.id)} onChange={() => toggleWatchlist(list.id)} />
+                {list.name}
+                <span style={styles.muted}>({list.tickers.length})</span>
+              </label>
+            ))}
+          </>
+        )}
+      </div>
+
+      <div style={styles.panel}>
+        <div style={styles.title}>Alert rules</div>
+        {settings.rules.length === 0 ? <div style={styles.muted}>No rules. Runs will only record a new baseline.</div> : null}
+        {settings.rules.map((rule, idx) => (
+          <div key={rule.id} style={styles.ruleRow}>
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) => updateRule(idx, { enabled: e.target.checked })}
+              aria-label="Rule enabled"
+            />
+            <select
+              value={rule.type}
+              onChange={(e) => {
+                const meta = ruleType(e.target.value);
+                updateRule(idx, { type: meta.value, value: meta.needsValue ? rule.value ?? 0 : null });
+              }}
+              style={{ ...styles.input, flex: 1 }}
+            >
+              {RULE_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            {ruleType(rule.type).needsValue ? (
+              <input
+                type="number"
+                value={rule.value ?? ""}
+                onChange={(e) => updateRule(idx, { value: e.target.value === "" ? null : Number(e.target.value) })}
+                style={{ ...styles.input, width: 72 }}
+                aria-label="Threshold"
+              />
+            ) : null}
+            <button
+              type="button"
+              style={styles.icon}
+              onClick={() => update({ rules: settings.rules.filter((_, i) => i !== idx) })}
+              aria-label="Remove rule"
+              title="Remove"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          style={styles.link}
+          onClick={() =>
+            update({ rules: [...settings.rules, { id: `rule-${Date.now()}`, type: "sctrCrossAbove", value: 90, enabled: true }] })
+          }
+        >
+          + Add rule
+        </button>
+
+        <div style={styles.actions}>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!dirty || Boolean(busy)}
+            style={{ ...styles.button, ...styles.primary, ...(!dirty || busy ? styles.buttonDisabled : null) }}
+          >
+            {busy === "save" ? "Saving…" : "Save"}
+          </button>
+          <button
+            type="button"
+            onClick={handleRunNow}
+            disabled={Boolean(busy)}
+            style={{ ...styles.button, ...(busy ? styles.buttonDisabled : null) }}
+          >
+            {busy === "run" ? "Refreshing…" : "Run now"}
+          </button>
+        </div>
+        {error ? <div style={styles.error}>{error}</div> : null}
+        {notice ? <div style={styles.muted}>{notice}</div> : null}
+
+        <div style={styles.title}>Status</div>
+        <div style={styles.meta}>
+          <div>
+            <span style={styles.metaLabel}>Next run:</span>
+            {status?.nextRunAt ? formatTime(status.nextRunAt) : "Not scheduled"}
+            {status?.nextRunAt && !status.scheduled ? " (runs only in the desktop app)" : ""}
+          </div>
+          <div>
+            <span style={styles.metaLabel}>Last run:</span>
+            {status?.lastRun ? `${formatTime(status.lastRun.ranAt)}, ${status.lastRun.tickerCount} tickers` : "Never"}
+          </div>
+        </div>
+        {alerts.length > 0 ? (
+          <ul style={styles.alerts}>
+            {alerts.map((a, i) => (
+              <li key={`${a.ruleId}-${a.symbol || a.industry}-${i}`}>{a.message}</li>
+            ))}
+          </ul>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  layout: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 20,
+    alignItems: "start"
+  },
+  panel: {
+    border: "1px solid var(--border)",
+    borderRadius: 12,
+    padding: 16,
+    background: "var(--bg-secondary)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 10
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "var(--text-secondary)",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px",
+    marginTop: 4
+  },
+  row: {
+    display: "flex",
+    gap: 12,
+    flexWrap: "wrap"
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4,
+    flex: 1,
+    minWidth: 140
+  },
+  label: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
+  },
+  check: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 13,
+    color: "var(--text-primary)"
+  },
+  input: {
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  ruleRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8
+  },
+  icon: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: "2px 4px",
+    fontSize: 15,
+    lineHeight: 1
+  },
+  link: {
+    border: "none",
+    background: "transparent",
+    color: "var(--accent-primary)",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: 12,
+    textAlign: "left",
+    alignSelf: "flex-start"
+  },
+  actions: {
+    display: "flex",
+    gap: 8,
+    marginTop: 6
+  },
+  button: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "8px 14px",
+    cursor: "pointer",
+    fontSize: 13,
+    fontWeight: 600
+  },
+  primary: {
+    background: "var(--accent-primary)",
+    borderColor: "var(--accent-primary)",
+    color: "#fff"
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+    cursor: "not-allowed"
+  },
+  error: {
+    background: "var(--error-bg)",
+    border: "1px solid var(--error-border)",
+    color: "var(--error-text)",
+    padding: 8,
+    borderRadius: 8,
+    fontSize: 12
+  },
+  muted: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
+  },
+  meta: {
+    fontSize: 13,
+    color: "var(--text-secondary)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  },
+  metaLabel: {
+    color: "var(--text-tertiary)",
+    marginRight: 4
+  },
+  alerts: {
+    margin: 0,
+    paddingLeft: 18,
+    fontSize: 13,
+    color: "var(--text-primary)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  }
+};
@@ -1,50 +1,69 @@
-import React, { useMemo, useState } from "react";
+import React, { useMemo } from "react";
 import { useTheme } from "../ThemeContext.jsx";
+import Sparkline from "./Sparkline.jsx";
+import rsModes from "../../../shared/rsModes.js";
 
-function compare(a, b) {
-  if (a == null && b == null) return 0;
-  if (a == null) return 1;
-  if (b == null) return -1;
-  if (typeof a === "number" && typeof b === "number") return a - b;
-  return String(a).localeCompare(String(b));
-}
+const { rsStrength, formatRS } = rsModes;
 
 const columns = [
   { key: "date", label: "Date" },
   { key: "symbol", label: "Symbol" },
   { key: "name", label: "Name" },
   { key: "SCTR", label: "SCTR" },
+  { key: "history", label: "SCTR Trend", sortable: false },
   { key: "industryRS", label: "Ind RS" },
   { key: "sectorRS", label: "Sec RS" },
+  { key: "rsRating", label: "RS Rtg" },
+  { key: "rsVsBenchmark", label: "RS vs Bench" },
+  { key: "weightedPerf", label: "Wtd Perf" },
+  { key: "rsLineNewHigh", label: "RS Line" },
   { key: "industryAboveMA50", label: "Ind vs MA50" },
+  { key: "industryBreadthMA50", label: "Ind % >MA50/200" },
   { key: "delta", label: "Δ" },
   { key: "close", label: "Close" },
   { key: "marketCap", label: "MktCap(M)" },
   { key: "vol", label: "Vol" },
+  { key: "atrPct", label: "ATR%" },
+  { key: "avgDollarVolume", label: "$Vol 20d" },
+  { key: "relVolume", label: "RVOL" },
+  { key: "pctFrom52wHigh", label: "vs 52w Hi" },
+  { key: "pctFrom52wLow", label: "vs 52w Lo" },
   { key: "industry", label: "Industry" },
   { key: "sector", label: "Sector" }
 ];
 
-export default function ResultsTable({ records, loading }) {
+const INDEX_METHOD_LABELS = {
+  cap: "cap-weighted",
+  equal: "equal-weight",
+  price: "price-average"
+};
+
+// `records` arrive sorted (see utils/sortRecords.js); header clicks report the next order via onSortChange({ key, dir })
+export default function ResultsTable({ records, loading, history, maSpecs, sortKey, sortDir, onSortChange }) {
   const { isDark } = useTheme();
-  const [sortKey, setSortKey] = useState("SCTR");
-  const [sortDir, setSortDir] = useState("desc");
-
-  const sorted = useMemo(() => {
-    const copy = Array.isArray(records) ? [...records] : [];
-    copy.sort((ra, rb) => {
-      const c = compare(ra?.[sortKey], rb?.[sortKey]);
-      return sortDir === "asc" ? c : -c;
-    });
-    return copy;
-  }, [records, sortKey, sortDir]);
+
+  // Requested moving averages add a ticker and an industry distance column each
+  const maColumns = useMemo(
+    () =>
+      (Array.isArray(maSpecs) ? maSpecs : []).flatMap((s) => [
+        { key: `dist${s.key}`, label: `% vs ${s.type}${s.period}` },
+        { key: `industryDist${s.key}`, label: `Ind % vs ${s.type}${s.period}` }
+      ]),
+    [maSpecs]
+  );
+  const visibleColumns = useMemo(() => {
+    const idx = columns.findIndex((c) => c.key === "industryBreadthMA50") + 1;
+    return [...columns.slice(0, idx), ...maColumns, ...columns.slice(idx)];
+  }, [maColumns]);
+
+  const sorted = Array.isArray(records) ? records : [];
 
   function toggleSort(nextKey) {
     if (sortKey === nextKey) {
-      setSortDir((d) => (d === "asc" ? "desc" : "asc"));
+      onSortChange?.({ key: nextKey, dir: sortDir === "asc" ? "desc" : "asc" });
     } else {
-      setSortKey(nextKey);
-      setSortDir(nextKey === "SCTR" || nextKey === "industryRS" || nextKey === "sectorRS" ? "desc" : "asc");
+      const descFirst = ["SCTR", "industryRS", "sectorRS", "rsRating", "rsVsBenchmark", "weightedPerf", "rsLineNewHigh", "industryBreadthMA50", "avgDollarVolume", "relVolume"].includes(nextKey) || maColumns.some((c) => c.key === nextKey);
+      onSortChange?.({ key: nextKey, dir: descFirst ? "desc" : "asc" });
     }
   }
 
@@ -57,6 +76,31 @@ export default function ResultsTable({ records, loading }) {
     return {};
   }
 
+  // industryRS / sectorRS bands depend on the RS mode the records were fetched with
+  function getGroupRSColor(value, mode, of) {
+    const strength = rsStrength(value, mode, of);
+    return strength ? { color: `var(--rs-${strength})` } : {};
+  }
+
+  function getRatingColor(rating) {
+    if (rating == null) return {};
+    if (rating >= 90) return { color: "var(--rs-strong)", fontWeight: 700 };
+    if (rating >= 80) return { color: "var(--rs-good)" };
+    if (rating < 30) return { color: "var(--rs-weak)" };
+    if (rating < 50) return { color: "var(--rs-poor)" };
+    return {};
+  }
+
+  function describePerformance(record) {
+    const parts = [
+      ["3m", record.perf3m],
+      ["6m", record.perf6m],
+      ["9m", record.perf9m],
+      ["12m", record.perf12m]
+    ].filter(([, v]) => v != null);
+    return parts.length > 0 ? parts.map(([label, v]) => `${label} ${v > 0 ? "+" : ""}${fmt(v, 1)}%`).join(" · ") : undefined;
+  }
+
   function formatMA50Status(aboveMA, percentAbove) {
     if (aboveMA == null) return "—";
     if (aboveMA) {
@@ -66,6 +110,24 @@ export default function ResultsTable({ records, loading }) {
     }
   }
 
+  function describeMA50Method(record) {
+    if (record.industryMA50Method === "ETF") return `Industry MA50 via ${record.industryMA50Etf || "ETF"}`;
+    if (record.industryMA50Method) return `Industry MA50 from a ${INDEX_METHOD_LABELS[record.industryMA50Method] || record.industryMA50Method} index of members`;
+    return undefined;
+  }
+
+  function formatBreadth(pct50, pct200) {
+    if (pct50 == null) return "—";
+    return `${pct50.toFixed(0)}% / ${pct200 != null ? `${pct200.toFixed(0)}%` : "—"}`;
+  }
+
+  function getBreadthColor(pct) {
+    if (pct == null) return {};
+    if (pct >= 60) return { color: "var(--rs-good)" };
+    if (pct <= 40) return { color: "var(--rs-poor)" };
+    return {};
+  }
+
   function getMA50Color(aboveMA) {
     if (aboveMA == null) return {};
     if (aboveMA) return { color: "var(--rs-good)" };
@@ -86,12 +148,12 @@ export default function ResultsTable({ records, loading }) {
           <table style={styles.table}>
             <thead>
               <tr>
-                {columns.map((c) => (
+                {visibleColumns.map((c) => (
                   <th
                     key={c.key}
-                    style={styles.th}
-                    onClick={() => toggleSort(c.key)}
-                    title="Click to sort"
+                    style={{ ...styles.th, ...(c.sortable === false ? styles.thStatic : null) }}
+                    onClick={c.sortable === false ? undefined : () => toggleSort(c.key)}
+                    title={c.sortable === false ? undefined : "Click to sort"}
                   >
                     {c.label}
                     {sortKey === c.key ? <span style={styles.sort}> {sortDir === "asc" ? "▲" : "▼"}</span> : null}
@@ -105,20 +167,74 @@ export default function ResultsTable({ records, loading }) {
                   <td style={styles.td}>{r.date}</td>
                   <td style={{ ...styles.td, ...styles.mono }}>{r.symbol}</td>
                   <td style={styles.td}>{r.name}</td>
-                  <td style={{ ...styles.td, ...styles.num }}>{fmt(r.SCTR, 1)}</td>
-                  <td style={{ ...styles.td, ...styles.num, ...getRSColor(r.industryRS) }}>
-                    {r.industryRS != null ? `${r.industryRS > 0 ? "+" : ""}${fmt(r.industryRS, 1)}%` : "—"}
+                  <td
+                    style={{ ...styles.td, ...styles.num }}
+                    title={
+                      r.sctrSource === "Local"
+                        ? `Computed locally from price history, ranked against ${r.localSctrPeers ?? "?"} peers`
+                        : undefined
+                    }
+                  >
+                    {fmt(r.SCTR, 1)}
+                    {r.sctrSource === "Local" ? <span style={styles.localTag}>local</span> : null}
                   </td>
-                  <td style={{ ...styles.td, ...styles.num, ...getRSColor(r.sectorRS) }}>
-                    {r.sectorRS != null ? `${r.sectorRS > 0 ? "+" : ""}${fmt(r.sectorRS, 1)}%` : "—"}
+                  <td style={styles.td}>
+                    <Sparkline points={history?.[String(r.symbol || "").toUpperCase()]} />
                   </td>
-                  <td style={{ ...styles.td, ...styles.num, ...getMA50Color(r.industryAboveMA50) }}>
+                  <td style={{ ...styles.td, ...styles.num, ...getGroupRSColor(r.industryRS, r.rsMode, r.industryRSOf) }}>
+                    {formatRS(r.industryRS, r.rsMode, r.industryRSOf)}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.num, ...getGroupRSColor(r.sectorRS, r.rsMode, r.sectorRSOf) }}>
+                    {formatRS(r.sectorRS, r.rsMode, r.sectorRSOf)}
+                  </td>
+                  <td
+                    style={{ ...styles.td, ...styles.num, ...getRatingColor(r.rsRating) }}
+                    title={r.rsBenchmark ? `Weighted 3/6/9/12-month performance vs ${r.rsBenchmark}, ranked 1–99` : undefined}
+                  >
+                    {r.rsRating != null ? r.rsRating : "—"}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.num, ...getRSColor(r.rsVsBenchmark) }}>
+                    {r.rsVsBenchmark != null ? `${r.rsVsBenchmark > 0 ? "+" : ""}${fmt(r.rsVsBenchmark, 1)}%` : "—"}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.num }} title={describePerformance(r)}>
+                    {r.weightedPerf != null ? `${r.weightedPerf > 0 ? "+" : ""}${fmt(r.weightedPerf, 1)}%` : "—"}
+                  </td>
+                  <td
+                    style={{ ...styles.td, ...(r.rsLineNewHigh ? { color: "var(--rs-strong)", fontWeight: 600 } : null) }}
+                    title={r.rsBenchmark ? `Ratio of price to ${r.rsBenchmark}; new high = highest in 52 weeks` : undefined}
+                  >
+                    {r.rsLineNewHigh == null ? "—" : r.rsLineNewHigh ? "★ New high" : ""}
+                  </td>
+                  <td
+                    style={{ ...styles.td, ...styles.num, ...getMA50Color(r.industryAboveMA50) }}
+                    title={describeMA50Method(r)}
+                  >
                     {formatMA50Status(r.industryAboveMA50, r.industryPercentAboveMA50)}
                   </td>
+                  <td
+                    style={{ ...styles.td, ...styles.num, ...getBreadthColor(r.industryBreadthMA50) }}
+                    title="Share of industry members above their own 50-day / 200-day MA"
+                  >
+                    {formatBreadth(r.industryBreadthMA50, r.industryBreadthMA200)}
+                  </td>
+                  {maColumns.map((c) => (
+                    <td key={c.key} style={{ ...styles.td, ...styles.num, ...getMA50Color(r[c.key] == null ? null : r[c.key] > 0) }}>
+                      {r[c.key] != null ? `${r[c.key] > 0 ? "+" : ""}${fmt(r[c.key], 1)}%` : "—"}
+                    </td>
+                  ))}
                   <td style={{ ...styles.td, ...styles.num }}>{fmt(r.delta, 1)}</td>
                   <td style={{ ...styles.td, ...styles.num }}>{fmt(r.close, 2)}</td>
                   <td style={{ ...styles.td, ...styles.num }}>{fmt(r.marketCap, 2)}</td>
                   <td style={{ ...styles.td, ...styles.num }}>{fmtInt(r.vol)}</td>
+                  <td style={{ ...styles.td, ...styles.num }} title={r.atr != null ? `ATR(14) ${fmt(r.atr, 2)}` : undefined}>
+                    {r.atrPct != null ? `${fmt(r.atrPct, 1)}%` : "—"}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.num }}>{fmtDollars(r.avgDollarVolume)}</td>
+                  <td style={{ ...styles.td, ...styles.num, ...(r.relVolume >= 1.5 ? { color: "var(--rs-good)" } : null) }}>
+                    {r.relVolume != null ? `${fmt(r.relVolume, 2)}×` : "—"}
+                  </td>
+                  <td style={{ ...styles.td, ...styles.num }}>{r.pctFrom52wHigh != null ? `${fmt(r.pctFrom52wHigh, 1)}%` : "—"}</td>
+                  <td style={{ ...styles.td, ...styles.num }}>{r.pctFrom52wLow != null ? `+${fmt(r.pctFrom52wLow, 1)}%` : "—"}</td>
                   <td style={styles.td}>{r.industry}</td>
                   <td style={styles.td}>{r.sector}</td>
                 </tr>
@@ -138,6 +254,16 @@ function fmt(v, p) {
   return n.toFixed(p);
 }
 
+// Compact dollars: $950K, $12.3M, $1.2B
+function fmtDollars(v) {
+  if (v == null || !Number.isFinite(Number(v))) return "—";
+  const n = Number(v);
+  if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(0)}K`;
+  return `$${n.toFixed(0)}`;
+}
+
 function fmtInt(v) {
   if (v == null || v === "") return "";
   const n = Number(v);
@@ -196,6 +322,9 @@ const styles = {
     color: "var(--text-secondary)",
     transition: "background-color 0.15s ease"
   },
+  thStatic: {
+    cursor: "default"
+  },
   tr: {
     borderBottom: "1px solid var(--border)",
     transition: "background-color 0.15s ease"
@@ -217,6 +346,15 @@ const styles = {
     whiteSpace: "nowrap",
     fontVariantNumeric: "tabular-nums"
   },
+  localTag: {
+    marginLeft: 4,
+    padding: "0 4px",
+    borderRadius: 4,
+    fontSize: 10,
+    fontWeight: 600,
+    color: "var(--accent-primary)",
+    background: "var(--accent-bg)"
+  },
   sort: {
     fontSize: 11,
     color: "var(--accent-primary)",
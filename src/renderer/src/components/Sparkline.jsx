@@ -0,0 +1,50 @@
+import React from "react";
+
+// Small inline SVG line chart for a ticker's SCTR history.
+export default function Sparkline({ points, valueKey = "SCTR", width = 90, height = 22, min = 0, max = 100 }) {
+  const values = (Array.isArray(points) ? points : []).filter((p) => typeof p?.[valueKey] === "number");
+  if (values.length < 2) {
+    return <span style={styles.empty}>{values.length === 1 ? "1 day" : "—"}</span>;
+  }
+
+  const lo = Math.min(min, ...values.map((p) => p[valueKey]));
+  const hi = Math.max(max, ...values.map((p) => p[valueKey]));
+  const span = hi - lo || 1;
+  const stepX = (width - 2) / (values.length - 1);
+  const coords = values.map((p, i) => {
+    const x = 1 + i * stepX;
+    const y = 1 + (height - 2) * (1 - (p[valueKey] - lo) / span);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  const first = values[0];
+  const last = values[values.length - 1];
+  const rising = last[valueKey] >= first[valueKey];
+  const rank = last.industryRank != null ? `, industry rank ${last.industryRank}/${last.industryCount}` : "";
+  const title = `${first.date} → ${last.date}: ${valueKey} ${first[valueKey].toFixed(1)} → ${last[valueKey].toFixed(1)}${rank}`;
+
+  return (
+    <svg width={width} height={height} style={styles.svg} role="img" aria-label={title}>
+      <title>{title}</title>
+      <polyline
+        points={coords.join(" ")}
+        fill="none"
+        stroke={rising ? "var(--rs-good)" : "var(--rs-poor)"}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+      <circle cx={coords[coords.length - 1].split(",")[0]} cy={coords[coords.length - 1].split(",")[1]} r="2" fill="var(--accent-primary)" />
+    </svg>
+  );
+}
+
+const styles = {
+  svg: {
+    display: "block"
+  },
+  empty: {
+    fontSize: 11,
+    color: "var(--text-tertiary)"
+  }
+};
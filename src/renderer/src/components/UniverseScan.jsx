@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+
+// Mirrors MARKET_CAP_BANDS in src/shared/universeScan.js
+const MARKET_CAP_BANDS = [
+  { value: "", label: "Any market cap" },
+  { value: "mega", label: "Mega (> $200B)" },
+  { value: "large", label: "Large ($10B–$200B)" },
+  { value: "mid", label: "Mid ($2B–$10B)" },
+  { value: "small", label: "Small ($300M–$2B)" },
+  { value: "micro", label: "Micro (< $300M)" }
+];
+
+const STORAGE_KEY = "universeScanCriteria";
+
+const DEFAULT_CRITERIA = { minSCTR: "80", sector: "", industry: "", marketCapBand: "", minDelta: "", maxDelta: "", limit: "50" };
+
+function loadCriteria() {
+  try {
+    return { ...DEFAULT_CRITERIA, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") };
+  } catch {
+    return DEFAULT_CRITERIA;
+  }
+}
+
+export default function UniverseScan({ universe, onScan }) {
+  const { isDark } = useTheme();
+  const [open, setOpen] = useState(false);
+  const [criteria, setCriteria] = useState(loadCriteria);
+
+  function update(patch) {
+    setCriteria((prev) => ({ ...prev, ...patch }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(criteria));
+    } catch {
+      // ignore
+    }
+    onScan?.(criteria);
+  }
+
+  const numberField = (key, label, placeholder) => (
+    <label style={styles.field}>
+      <span style={styles.fieldLabel}>{label}</span>
+      <input
+        type="number"
+        value={criteria[key]}
+        onChange={(e) => update({ [key]: e.target.value })}
+        placeholder={placeholder}
+        style={styles.input}
+      />
+    </label>
+  );
+
+  return (
+    <div style={styles.wrap}>
+      <button type="button" style={styles.toggle} onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        {open ? "▾" : "▸"} Scan the whole universe
+        <span style={styles.hint}>Find the top SCTR names without a ticker list</span>
+      </button>
+      {open ? (
+        <form onSubmit={handleSubmit} style={styles.form}>
+          {numberField("minSCTR", "Min SCTR", "any")}
+          <label style={styles.field}>
+            <span style={styles.fieldLabel}>Sector</span>
+            <input value={criteria.sector} onChange={(e) => update({ sector: e.target.value })} placeholder="any" style={styles.input} />
+          </label>
+          <label style={styles.field}>
+            <span style={styles.fieldLabel}>Industry</span>
+            <input value={criteria.industry} onChange={(e) => update({ industry: e.target.value })} placeholder="any" style={styles.input} />
+          </label>
+          <label style={styles.field}>
+            <span style={styles.fieldLabel}>Market cap</span>
+            <select value={criteria.marketCapBand} onChange={(e) => update({ marketCapBand: e.target.value })} style={styles.input}>
+              {MARKET_CAP_BANDS.map((b) => (
+                <option key={b.value} value={b.value}>
+                  {b.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {numberField("minDelta", "Min Δ", "any")}
+          {numberField("maxDelta", "Max Δ", "any")}
+          {numberField("limit", "Top N", "50")}
+          <button
+            type="submit"
+            style={styles.button}
+            title={`Scan the ${universe} universe with the selected industry source`}
+          >
+            Scan
+          </button>
+        </form>
+      ) : null}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    border: "1px solid var(--border)",
+    borderRadius: 10,
+    padding: "10px 12px",
+    marginBottom: 16,
+    background: "var(--bg-secondary)"
+  },
+  toggle: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-secondary)",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: 13,
+    fontWeight: 600,
+    textTransform: "uppercase",
+    letterSpacing: "0.5px",
+    display: "flex",
+    alignItems: "baseline",
+    gap: 10,
+    fontFamily: "inherit"
+  },
+  hint: {
+    fontSize: 12,
+    fontWeight: 400,
+    textTransform: "none",
+    letterSpacing: 0,
+    color: "var(--text-tertiary)"
+  },
+  form: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "flex-end",
+    gap: 10,
+    marginTop: 10
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: "var(--text-tertiary)"
+  },
+  input: {
+    width: 120,
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  button: {
+    border: "none",
+    background: "var(--accent-primary)",
+    color: "white",
+    borderRadius: 8,
+    padding: "8px 18px",
+    cursor: "pointer",
+    fontSize: 14,
+    fontWeight: 600,
+    boxShadow: "0 2px 4px rgba(0,0,0,0.1)"
+  }
+};
@@ -0,0 +1,202 @@
+import React from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import rsModes from "../../../shared/rsModes.js";
+
+const { RS_MODES, RS_MODE_LABELS } = rsModes;
+
+const UNIVERSES = [
+  { value: "L", label: "Large Cap" },
+  { value: "M", label: "Mid Cap" },
+  { value: "S", label: "Small Cap" },
+  { value: "E", label: "ETFs" }
+];
+
+const TIMEFRAMES = [
+  { value: "I", label: "Intraday" },
+  { value: "D", label: "End of Day" }
+];
+
+// Mirrors LOCAL_SCTR_PEER_SETS in src/shared/localSctr.js
+const LOCAL_SCTR_PEERS = [
+  { value: "universe", label: "Universe sample" },
+  { value: "tickers", label: "My tickers" },
+  { value: "off", label: "Off" }
+];
+
+// Mirrors BENCHMARKS in src/shared/benchmarkRS.js
+const BENCHMARKS = [
+  { value: "SPY", label: "SPY (S&P 500)" },
+  { value: "QQQ", label: "QQQ (Nasdaq 100)" },
+  { value: "IWM", label: "IWM (Russell 2000)" },
+  { value: "sector", label: "Sector ETF" },
+  { value: "off", label: "Off" }
+];
+
+export default function UniverseSelector({
+  universe,
+  timeframe,
+  localSctrPeers,
+  benchmark,
+  rsMode,
+  indicators,
+  onUniverseChange,
+  onTimeframeChange,
+  onLocalSctrPeersChange,
+  onBenchmarkChange,
+  onRsModeChange,
+  onIndicatorsChange
+}) {
+  const { isDark } = useTheme();
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="sctr-universe">
+          SCTR Universe:
+        </label>
+        <select
+          id="sctr-universe"
+          value={universe}
+          onChange={(e) => onUniverseChange?.(e.target.value)}
+          style={styles.select}
+        >
+          {UNIVERSES.map((u) => (
+            <option key={u.value} value={u.value}>
+              {u.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="sctr-timeframe">
+          Timeframe:
+        </label>
+        <select
+          id="sctr-timeframe"
+          value={timeframe}
+          onChange={(e) => onTimeframeChange?.(e.target.value)}
+          style={styles.select}
+        >
+          {TIMEFRAMES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="local-sctr-peers">
+          Local SCTR Peers:
+        </label>
+        <select
+          id="local-sctr-peers"
+          value={localSctrPeers || "universe"}
+          onChange={(e) => onLocalSctrPeersChange?.(e.target.value)}
+          style={styles.select}
+          title="What tickers outside every SCTR universe are ranked against"
+        >
+          {LOCAL_SCTR_PEERS.map((p) => (
+            <option key={p.value} value={p.value}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="rs-benchmark">
+          RS Benchmark:
+        </label>
+        <select
+          id="rs-benchmark"
+          value={benchmark || "SPY"}
+          onChange={(e) => onBenchmarkChange?.(e.target.value)}
+          style={styles.select}
+          title="Benchmark for the price-based RS rating and RS line"
+        >
+          {BENCHMARKS.map((b) => (
+            <option key={b.value} value={b.value}>
+              {b.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="group-rs-mode">
+          Ind/Sec RS:
+        </label>
+        <select
+          id="group-rs-mode"
+          value={rsMode || "percent"}
+          onChange={(e) => onRsModeChange?.(e.target.value)}
+          style={styles.select}
+          title="How Ind RS and Sec RS compare a ticker's SCTR with its industry and sector"
+        >
+          {RS_MODES.map((m) => (
+            <option key={m} value={m}>
+              {RS_MODE_LABELS[m]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.field}>
+        <label style={styles.label} htmlFor="ticker-indicators">
+          Indicators:
+        </label>
+        <select
+          id="ticker-indicators"
+          value={indicators === false ? "off" : "on"}
+          onChange={(e) => onIndicatorsChange?.(e.target.value === "on")}
+          style={styles.select}
+          title="ATR, dollar volume, relative volume and 52-week range columns (each needs a year of price history per ticker)"
+        >
+          <option value="on">On</option>
+          <option value="off">Off</option>
+        </select>
+      </div>
+      <div style={styles.description}>
+        Tickers missing from this universe are searched in the others; any still missing get an SCTR computed locally
+        from price history. RS ratings (1–99) rank weighted 3/6/9/12-month performance vs the benchmark across this
+        universe.
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "flex-end",
+    gap: 12
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 6
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "var(--text-secondary)",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px"
+  },
+  select: {
+    padding: "8px 12px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-secondary)",
+    color: "var(--text-primary)",
+    fontSize: 14,
+    cursor: "pointer",
+    transition: "all 0.2s ease",
+    fontFamily: "inherit",
+    minWidth: 130
+  },
+  description: {
+    width: "100%",
+    fontSize: 11,
+    color: "var(--text-tertiary)",
+    fontStyle: "italic"
+  }
+};
@@ -0,0 +1,384 @@
+import React, { useEffect, useState } from "react";
+import { useTheme } from "../ThemeContext.jsx";
+import {
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistTickers,
+  removeWatchlistTickers
+} from "../utils/api.js";
+
+function splitTickers(text) {
+  return String(text || "")
+    .split(/[\s,;]+/g)
+    .map((t) => t.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+export default function WatchlistSidebar({ currentTickers = [], activeId, onOpen }) {
+  const { isDark } = useTheme();
+  const [lists, setLists] = useState([]);
+  const [error, setError] = useState("");
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState("");
+  const [editName, setEditName] = useState("");
+  const [expandedId, setExpandedId] = useState("");
+  const [addText, setAddText] = useState("");
+
+  async function refresh() {
+    try {
+      setLists(await listWatchlists());
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Run a mutation, then reload the lists; errors are shown in the sidebar
+  async function mutate(action) {
+    setError("");
+    try {
+      const result = await action();
+      await refresh();
+      return result;
+    } catch (e) {
+      setError(e?.message || String(e));
+      return null;
+    }
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    const created = await mutate(() => createWatchlist(newName, currentTickers));
+    if (created) {
+      setNewName("");
+      setExpandedId(created.id);
+    }
+  }
+
+  async function handleRename(id) {
+    const renamed = await mutate(() => renameWatchlist(id, editName));
+    if (renamed) setEditingId("");
+  }
+
+  async function handleDelete(list) {
+    if (!window.confirm(`Delete watchlist "${list.name}"?`)) return;
+    await mutate(() => deleteWatchlist(list.id));
+  }
+
+  async function handleAdd(id, tickers) {
+    if (tickers.length === 0) return;
+    const updated = await mutate(() => addWatchlistTickers(id, tickers));
+    if (updated) setAddText("");
+  }
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.title}>Watchlists</div>
+
+      <form onSubmit={handleCreate} style={styles.createRow}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New list name"
+          style={styles.input}
+          aria-label="New watchlist name"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          style={{ ...styles.button, ...(!newName.trim() ? styles.buttonDisabled : null) }}
+          title={currentTickers.length > 0 ? `Save the ${currentTickers.length} current tickers` : "Create an empty list"}
+        >
+          Save
+        </button>
+      </form>
+
+      {error ? <div style={styles.error}>{error}</div> : null}
+      {lists.length === 0 ? <div style={styles.empty}>No watchlists yet. Load some tickers and save them here.</div> : null}
+
+      <div style={styles.lists}>
+        {lists.map((list) => {
+          const isOpen = expandedId === list.id;
+          const isActive = activeId === list.id;
+          return (
+            <div key={list.id} style={{ ...styles.item, ...(isActive ? styles.itemActive : null) }}>
+              {editingId === list.id ? (
+                <form
+                  style={styles.createRow}
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    handleRename(list.id);
+                  }}
+                >
+                  <input
+                    autoFocus
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Escape" && setEditingId("")}
+                    style={styles.input}
+                    aria-label="Watchlist name"
+                  />
+                  <button type="submit" style={styles.button}>
+                    OK
+                  </button>
+                </form>
+              ) : (
+                <div style={styles.itemRow}>
+                  <button
+                    type="button"
+                    style={styles.expand}
+                    onClick={() => setExpandedId(isOpen ? "" : list.id)}
+                    aria-label={isOpen ? "Hide tickers" : "Show tickers"}
+                  >
+                    {isOpen ? "▾" : "▸"}
+                  </button>
+                  <button
+                    type="button"
+                    style={styles.name}
+                    onClick={() => onOpen?.(list)}
+                    disabled={list.tickers.length === 0}
+                    title={list.tickers.length > 0 ? `Fetch ${list.tickers.length} tickers` : "This list is empty"}
+                  >
+                    {list.name}
+                    <span style={styles.count}>{list.tickers.length}</span>
+                  </button>
+                  <button
+                    type="button"
+                    style={styles.icon}
+                    onClick={() => {
+                      setEditingId(list.id);
+                      setEditName(list.name);
+                    }}
+                    aria-label={`Rename ${list.name}`}
+                    title="Rename"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    type="button"
+                    style={styles.icon}
+                    onClick={() => handleDelete(list)}
+                    aria-label={`Delete ${list.name}`}
+                    title="Delete"
+                  >
+                    ×
+                  </button>
+                </div>
+              )}
+
+              {isOpen ? (
+                <div style={styles.details}>
+                  <div style={styles.chips}>
+                    {list.tickers.map((t) => (
+                      <span key={t} style={styles.chip}>
+                        {t}
+                        <button
+                          type="button"
+                          style={styles.chipRemove}
+                          onClick={() => mutate(() => removeWatchlistTickers(list.id, [t]))}
+                          aria-label={`Remove ${t}`}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                  <form
+                    style={styles.createRow}
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      handleAdd(list.id, splitTickers(addText));
+                    }}
+                  >
+                    <input
+                      value={addText}
+                      onChange={(e) => setAddText(e.target.value)}
+                      placeholder="Add tickers"
+                      style={styles.input}
+                      aria-label="Tickers to add"
+                    />
+                    <button type="submit" style={styles.button}>
+                      Add
+                    </button>
+                  </form>
+                  {currentTickers.length > 0 ? (
+                    <button type="button" style={styles.link} onClick={() => handleAdd(list.id, currentTickers)}>
+                      + Add the {currentTickers.length} current tickers
+                    </button>
+                  ) : null}
+                </div>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: {
+    border: "1px solid var(--border)",
+    borderRadius: 12,
+    padding: 12,
+    background: "var(--bg-secondary)",
+    display: "flex",
+    flexDirection: "column",
+    gap: 10,
+    alignSelf: "start"
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "var(--text-secondary)",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px"
+  },
+  createRow: {
+    display: "flex",
+    gap: 6
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    fontSize: 13,
+    fontFamily: "inherit"
+  },
+  button: {
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    color: "var(--text-primary)",
+    borderRadius: 8,
+    padding: "6px 10px",
+    cursor: "pointer",
+    fontSize: 12,
+    fontWeight: 600
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+    cursor: "not-allowed"
+  },
+  error: {
+    background: "var(--error-bg)",
+    border: "1px solid var(--error-border)",
+    color: "var(--error-text)",
+    padding: 8,
+    borderRadius: 8,
+    fontSize: 12
+  },
+  empty: {
+    fontSize: 12,
+    color: "var(--text-tertiary)",
+    fontStyle: "italic"
+  },
+  lists: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4
+  },
+  item: {
+    borderRadius: 8,
+    padding: 4,
+    border: "1px solid transparent"
+  },
+  itemActive: {
+    border: "1px solid var(--accent-primary)",
+    background: "var(--accent-bg)"
+  },
+  itemRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 2
+  },
+  expand: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: "2px 4px",
+    fontSize: 12
+  },
+  name: {
+    flex: 1,
+    minWidth: 0,
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 6,
+    border: "none",
+    background: "transparent",
+    color: "var(--text-primary)",
+    cursor: "pointer",
+    padding: "4px 2px",
+    fontSize: 13,
+    fontWeight: 600,
+    textAlign: "left",
+    fontFamily: "inherit"
+  },
+  count: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "var(--text-tertiary)",
+    fontVariantNumeric: "tabular-nums"
+  },
+  icon: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: "2px 4px",
+    fontSize: 13,
+    lineHeight: 1
+  },
+  details: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 6,
+    padding: "6px 4px 4px 20px"
+  },
+  chips: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 4
+  },
+  chip: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 2,
+    padding: "2px 6px",
+    borderRadius: 999,
+    border: "1px solid var(--border)",
+    background: "var(--bg-primary)",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "var(--text-primary)"
+  },
+  chipRemove: {
+    border: "none",
+    background: "transparent",
+    color: "var(--text-tertiary)",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: 12,
+    lineHeight: 1
+  },
+  link: {
+    border: "none",
+    background: "transparent",
+    color: "var(--accent-primary)",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: 12,
+    textAlign: "left"
+  }
+};
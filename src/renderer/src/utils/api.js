@@ -26,6 +26,36 @@ async function parseCsv(csvText) {
   }
 }
 
+// Parse any supported ticker file (CSV, Excel, TradingView, ThinkorSwim, IBKR).
+// `options` override detection: { format, encoding, delimiter, headerRow, tickerColumn }.
+// Resolves to { format, formatLabel, tickers, groups: [{ name, tickers }], tickerColumnName, rows, ... }
+async function importTickersFromFile(file, options = {}) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.importTickers) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const result = await window.electronAPI.importTickers({ fileName: file.name, bytes, options });
+    if (!result.success) {
+      throw new Error(result.error || "Failed to import tickers");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const form = new FormData();
+    form.append("file", file, file.name);
+    form.append("options", JSON.stringify(options));
+
+    const resp = await fetch("/api/import-tickers", {
+      method: "POST",
+      body: form
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
 async function parseCsvFromFile(file) {
   // Read file as text first
   const text = await new Promise((resolve, reject) => {
@@ -38,20 +68,214 @@ async function parseCsvFromFile(file) {
   return parseCsv(text);
 }
 
-async function fetchSctr(tickers, industrySource = "finviz") {
+// Parse a Server-Sent Events response body, calling onEvent(name, data) for each event
+async function readEventStream(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) >= 0) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      let name = "message";
+      const dataLines = [];
+      for (const line of chunk.split("\n")) {
+        if (line.startsWith("event:")) name = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length > 0) onEvent(name, JSON.parse(dataLines.join("\n")));
+    }
+  }
+}
+
+function cancelledError() {
+  const error = new Error("Request cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// True for errors from a fetchSctr call that was cancelled
+function isCancelledError(error) {
+  return error?.name === "AbortError";
+}
+
+// Shared by fetchSctr and scanUniverse: IPC with progress events in Electron, otherwise HTTP
+// (Server-Sent Events when progress is wanted). `invoke()` makes the IPC call.
+// Every IPC run shares one progress channel, so only events tagged with this run's `requestId` are passed on.
+async function requestWithProgress({ invoke, url, body, requestId, onProgress, signal, failure }) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (invoke) {
+    const unsubscribe = onProgress && window.electronAPI.onFetchSctrProgress
+      ? window.electronAPI.onFetchSctrProgress((progress) => {
+          if ((progress?.requestId ?? null) === (requestId ?? null)) onProgress(progress);
+        })
+      : null;
+    try {
+      const result = await invoke();
+      if (!result.success) {
+        if (result.cancelled) throw cancelledError();
+        throw new Error(result.error || failure);
+      }
+      return result.data;
+    } finally {
+      unsubscribe?.();
+    }
+  } else {
+    // Browser dev mode: use HTTP (Server-Sent Events when progress is wanted)
+    const resp = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(onProgress ? { Accept: "text/event-stream" } : null)
+      },
+      body: JSON.stringify(body)
+    });
+    if (resp.status === 499) throw cancelledError();
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    if (!onProgress) {
+      return await resp.json();
+    }
+
+    let result = null;
+    let streamError = null;
+    let cancelled = false;
+    await readEventStream(resp, (name, data) => {
+      if (name === "progress") onProgress(data);
+      else if (name === "result") result = data;
+      else if (name === "cancelled") cancelled = true;
+      else if (name === "error") streamError = data?.message || failure;
+    });
+    if (cancelled) throw cancelledError();
+    if (streamError) throw new Error(streamError);
+    if (!result) throw new Error("Connection closed before the result arrived");
+    return result;
+  }
+}
+
+// options.onProgress(event) receives progress events ({ phase, message, done, total, records?, ... }).
+// options.requestId lets cancelFetchSctr(requestId) abort the run; options.signal also aborts the HTTP request.
+async function fetchSctr(tickers, industrySource = "finviz", options = {}) {
+  const { onProgress, signal, ...requestOptions } = options;
+  return requestWithProgress({
+    invoke: window.electronAPI?.fetchSctr
+      ? () => window.electronAPI.fetchSctr(tickers, industrySource, requestOptions)
+      : null,
+    url: "/api/fetch-sctr",
+    body: {
+      tickers,
+      industrySource,
+      universe: requestOptions.universe,
+      timeframe: requestOptions.timeframe,
+      maSpecs: requestOptions.maSpecs,
+      indexMethod: requestOptions.indexMethod,
+      benchmark: requestOptions.benchmark,
+      rsMode: requestOptions.rsMode,
+      indicators: requestOptions.indicators,
+      localSctrPeers: requestOptions.localSctrPeers,
+      requestId: requestOptions.requestId
+    },
+    requestId: requestOptions.requestId,
+    onProgress,
+    signal,
+    failure: "Failed to fetch SCTR"
+  });
+}
+
+// Top records of a whole SCTR universe matching `criteria`
+// ({ minSCTR, sector, industry, marketCapBand, minDelta, maxDelta, limit }), with the same
+// enrichment, progress and cancellation as fetchSctr. The result carries `scan: { matched, scanned, ... }`.
+async function scanUniverse(criteria, industrySource = "stockcharts", options = {}) {
+  const { onProgress, signal, ...requestOptions } = options;
+  return requestWithProgress({
+    invoke: window.electronAPI?.scanUniverse
+      ? () => window.electronAPI.scanUniverse(criteria, industrySource, requestOptions)
+      : null,
+    url: "/api/scan-universe",
+    body: {
+      criteria,
+      industrySource,
+      universe: requestOptions.universe,
+      timeframe: requestOptions.timeframe,
+      maSpecs: requestOptions.maSpecs,
+      indexMethod: requestOptions.indexMethod,
+      benchmark: requestOptions.benchmark,
+      rsMode: requestOptions.rsMode,
+      indicators: requestOptions.indicators,
+      requestId: requestOptions.requestId
+    },
+    requestId: requestOptions.requestId,
+    onProgress,
+    signal,
+    failure: "Universe scan failed"
+  });
+}
+
+async function cancelFetchSctr(requestId) {
+  if (!requestId) return false;
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.cancelRequest) {
+    const result = await window.electronAPI.cancelRequest(requestId);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to cancel request");
+    }
+    return result.data.cancelled;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch(`/api/fetch-sctr/${encodeURIComponent(requestId)}`, { method: "DELETE" });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    const data = await resp.json();
+    return data.cancelled;
+  }
+}
+
+async function fetchSctrHistory(tickers, options = {}) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.fetchSctrHistory) {
+    const result = await window.electronAPI.fetchSctrHistory(tickers, options);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to fetch SCTR history");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/sctr-history", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tickers, ...options })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function fetchIndustryLeaderboard(options = {}) {
   // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
-  if (window.electronAPI?.fetchSctr) {
-    const result = await window.electronAPI.fetchSctr(tickers, industrySource);
+  if (window.electronAPI?.fetchIndustryLeaderboard) {
+    const result = await window.electronAPI.fetchIndustryLeaderboard(options);
     if (!result.success) {
-      throw new Error(result.error || "Failed to fetch SCTR");
+      throw new Error(result.error || "Failed to fetch industry leaderboard");
     }
     return result.data;
   } else {
     // Browser dev mode: use HTTP
-    const resp = await fetch("/api/fetch-sctr", {
+    const resp = await fetch("/api/industry-leaderboard", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ tickers, industrySource })
+      body: JSON.stringify(options)
     });
     if (!resp.ok) {
       const text = await resp.text();
@@ -61,4 +285,393 @@ async function fetchSctr(tickers, industrySource = "finviz") {
   }
 }
 
-export { parseCsv, parseCsvFromFile, fetchSctr };
+// Members of one leaderboard group: { universe, timeframe, type: "industry" | "sector", name }
+async function fetchLeaderboardMembers(options = {}) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.fetchLeaderboardMembers) {
+    const result = await window.electronAPI.fetchLeaderboardMembers(options);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to fetch group members");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/leaderboard-members", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(options)
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+// Listing exchanges by upper-case symbol ("NASDAQ", "NYSE", "AMEX" or null) for TradingView symbols
+async function fetchListingExchanges(tickers) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.fetchListingExchanges) {
+    const result = await window.electronAPI.fetchListingExchanges(tickers);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to look up exchanges");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/listing-exchanges", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tickers })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function fetchIndustrySources() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.listIndustrySources) {
+    const result = await window.electronAPI.listIndustrySources();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to list industry sources");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/industry-sources");
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function getIndustryFileStatus() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.getIndustryFileStatus) {
+    const result = await window.electronAPI.getIndustryFileStatus();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to read industry file status");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/industry-file");
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+// Electron only: open the native picker so the main process can re-read the file when it changes.
+// Returns null when not running in Electron.
+async function pickIndustryFile() {
+  if (!window.electronAPI?.pickIndustryFile) return null;
+  const result = await window.electronAPI.pickIndustryFile();
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load industry file");
+  }
+  return result.data;
+}
+
+async function uploadIndustryFile(file) {
+  const content = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = reject;
+    reader.readAsText(file);
+  });
+  const payload = { name: file.name, content };
+
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.loadIndustryFile) {
+    const result = await window.electronAPI.loadIndustryFile(payload);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to load industry file");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/industry-file", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function listWatchlists() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.listWatchlists) {
+    const result = await window.electronAPI.listWatchlists();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to load watchlists");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/watchlists");
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function createWatchlist(name, tickers = []) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.createWatchlist) {
+    const result = await window.electronAPI.createWatchlist({ name, tickers });
+    if (!result.success) {
+      throw new Error(result.error || "Failed to create watchlist");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/watchlists", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, tickers })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function renameWatchlist(id, name) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.renameWatchlist) {
+    const result = await window.electronAPI.renameWatchlist(id, name);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to rename watchlist");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch(`/api/watchlists/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function deleteWatchlist(id) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.deleteWatchlist) {
+    const result = await window.electronAPI.deleteWatchlist(id);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to delete watchlist");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch(`/api/watchlists/${encodeURIComponent(id)}`, { method: "DELETE" });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function addWatchlistTickers(id, tickers) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.addWatchlistTickers) {
+    const result = await window.electronAPI.addWatchlistTickers(id, tickers);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to add tickers");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch(`/api/watchlists/${encodeURIComponent(id)}/tickers`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tickers })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function removeWatchlistTickers(id, tickers) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.removeWatchlistTickers) {
+    const result = await window.electronAPI.removeWatchlistTickers(id, tickers);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to remove tickers");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch(`/api/watchlists/${encodeURIComponent(id)}/tickers`, {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tickers })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function getRefreshSettings() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.getRefreshSettings) {
+    const result = await window.electronAPI.getRefreshSettings();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to load refresh settings");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/refresh-settings");
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function saveRefreshSettings(settings) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.saveRefreshSettings) {
+    const result = await window.electronAPI.saveRefreshSettings(settings);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to save refresh settings");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/refresh-settings", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings)
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function getRefreshStatus() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.getRefreshStatus) {
+    const result = await window.electronAPI.getRefreshStatus();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to load refresh status");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/refresh-status");
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+async function runRefreshNow() {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.runRefreshNow) {
+    const result = await window.electronAPI.runRefreshNow();
+    if (!result.success) {
+      throw new Error(result.error || "Refresh failed");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/refresh-run", { method: "POST" });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return await resp.json();
+  }
+}
+
+// XLSX bytes (Uint8Array) of { records, columns, stats }
+async function exportWorkbook(payload) {
+  // Use IPC if available (Electron), otherwise use HTTP fetch (browser dev)
+  if (window.electronAPI?.exportWorkbook) {
+    const result = await window.electronAPI.exportWorkbook(payload);
+    if (!result.success) {
+      throw new Error(result.error || "Failed to build workbook");
+    }
+    return result.data;
+  } else {
+    // Browser dev mode: use HTTP
+    const resp = await fetch("/api/export-workbook", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(text || `HTTP ${resp.status}`);
+    }
+    return new Uint8Array(await resp.arrayBuffer());
+  }
+}
+
+export {
+  parseCsv,
+  parseCsvFromFile,
+  importTickersFromFile,
+  fetchSctr,
+  scanUniverse,
+  cancelFetchSctr,
+  isCancelledError,
+  fetchSctrHistory,
+  fetchIndustryLeaderboard,
+  fetchLeaderboardMembers,
+  fetchListingExchanges,
+  fetchIndustrySources,
+  getIndustryFileStatus,
+  pickIndustryFile,
+  uploadIndustryFile,
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistTickers,
+  removeWatchlistTickers,
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  runRefreshNow,
+  exportWorkbook
+};
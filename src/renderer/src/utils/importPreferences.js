@@ -0,0 +1,51 @@
+// Import options remembered per file-name pattern, so recurring exports parse the same way every time
+
+const STORAGE_KEY = "importPreferences";
+
+// "positions_2026-10-19.csv" → "positions_*.csv": numbers (and dates) become a wildcard
+function fileNamePattern(fileName) {
+  return String(fileName || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\d+(?:[-_. ]\d+)*/g, "*");
+}
+
+function loadAll() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveAll(all) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore
+  }
+}
+
+function loadImportPreference(fileName) {
+  return loadAll()[fileNamePattern(fileName)] || null;
+}
+
+function saveImportPreference(fileName, options) {
+  const all = loadAll();
+  all[fileNamePattern(fileName)] = options;
+  saveAll(all);
+}
+
+function clearImportPreference(fileName) {
+  const all = loadAll();
+  delete all[fileNamePattern(fileName)];
+  saveAll(all);
+}
+
+export {
+  fileNamePattern,
+  loadImportPreference,
+  saveImportPreference,
+  clearImportPreference
+};
@@ -0,0 +1,22 @@
+// Result-table ordering, shared by ResultsTable and the exports so files match what's on screen
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// A sorted copy of `records` by one column
+function sortRecords(records, sortKey, sortDir) {
+  const copy = Array.isArray(records) ? [...records] : [];
+  if (!sortKey) return copy;
+  copy.sort((ra, rb) => {
+    const c = compare(ra?.[sortKey], rb?.[sortKey]);
+    return sortDir === "asc" ? c : -c;
+  });
+  return copy;
+}
+
+export { compare, sortRecords };
@@ -1,132 +1,72 @@
-const { fetchSctrJson } = require("./sctrService");
-const { calculateIndustryMA50 } = require("./maService");
-const { fetchFinvizIndustrySectorBatch } = require("./finvizService");
-const Papa = require("papaparse");
-
-function detectDelimiter(csvText) {
-  const line = String(csvText || "")
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .find((l) => l.length > 0);
-  if (!line) return undefined; // let Papa decide
-  const tabs = (line.match(/\t/g) || []).length;
-  const commas = (line.match(/,/g) || []).length;
-  return tabs > commas ? "\t" : ",";
+const { fetchSctrJson, SCTR_UNIVERSES, normalizeUniverse, normalizeTimeframe } = require("./sctrService");
+const {
+  calculateIndustryMA50,
+  calculateGroupMA50FromETF,
+  calculateIndustryBreadth,
+  normalizeMASpecs,
+  calculateTickerMAs,
+  calculateTickerIndicators,
+  calculateIndustryMAs,
+  normalizeIndexMethod
+} = require("./maService");
+const { getIndustryProvider, listIndustryProviders, fetchIndustriesWithProvider } = require("./industryProviders");
+// Provider modules register themselves with the industry provider registry on load
+require("./finvizService");
+require("./yahooIndustryService");
+const { loadIndustryFile, getIndustryFileStatus } = require("./localFileIndustryService");
+const { saveSctrSnapshot, getSctrHistory } = require("./sctrHistoryService");
+const { createAbortError, throwIfAborted } = require("./httpClient");
+const { getListingExchange } = require("./priceStore");
+const watchlists = require("./watchlistService");
+const { createRefreshScheduler } = require("./refreshScheduler");
+const { parseFilter, filterRecords } = require("./screenerFilter");
+const { normalizeScanCriteria, selectScanCandidates } = require("./universeScan");
+const { parseCsvForTickers, importTickerFile, normalizeShareClass } = require("./tickerImport");
+const { buildResultsWorkbook } = require("./resultsWorkbook");
+const { normalizeLocalSctrPeers, sampleUniversePeers, computeLocalSctr } = require("./localSctr");
+const { normalizeBenchmark, calculateBenchmarkRS } = require("./benchmarkRS");
+const { DEFAULT_RS_MODE, normalizeRsMode, groupRelativeStrength } = require("./rsModes");
+
+// Linearly interpolated quantile of an ascending list
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
 }
 
-function detectTickerColumnIndex(rows, columns) {
-  if (!Array.isArray(columns) || columns.length === 0) return 0;
-
-  // Prefer common header names.
-  const normalized = columns.map((c) => String(c || "").trim().toLowerCase());
-  const preferred = ["ticker", "symbol", "tick", "sym", "symbols", "tickers"];
-  for (const p of preferred) {
-    const idx = normalized.findIndex((c) => c === p || c.includes(p));
-    if (idx >= 0) return idx;
-  }
-
-  // Otherwise, score columns based on how many values look like tickers.
-  let bestIdx = 0;
-  let bestScore = -1;
-  for (let i = 0; i < columns.length; i++) {
-    const name = columns[i];
-    let score = 0;
-    let seen = 0;
-    for (const row of rows) {
-      if (!row) continue;
-      const v = row[name];
-      const t = normalizeTickerCandidate(v);
-      if (t) score++;
-      seen++;
-      if (seen >= 200) break; // cap work
-    }
-    if (score > bestScore) {
-      bestScore = score;
-      bestIdx = i;
-    }
-  }
-  return bestIdx;
+// Summary of one industry/sector group; `values` (sorted SCTRs) lets rsModes.js rank members within it
+function summarizeGroup(stats) {
+  const avg = stats.sum / stats.count;
+  const sorted = [...stats.values].sort((a, b) => a - b);
+  const variance = sorted.reduce((acc, v) => acc + (v - avg) ** 2, 0) / stats.count;
+  return {
+    avg,
+    count: stats.count,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    median: sorted[Math.floor(sorted.length / 2)],
+    stddev: Math.sqrt(variance),
+    q1: quantile(sorted, 0.25),
+    q3: quantile(sorted, 0.75),
+    advancing: stats.advancing,
+    advancingPct: (stats.advancing / stats.count) * 100,
+    values: sorted
+  };
 }
 
-function normalizeTickerCandidate(v) {
-  let s = v == null ? "" : String(v);
-  s = s.trim();
-  if (!s) return "";
-
-  // Strip wrapping quotes.
-  s = s.replace(/^"+|"+$/g, "");
-
-  // Match Go behavior: take text before a double quote if present.
-  const quoteIdx = s.indexOf('"');
-  if (quoteIdx >= 0) s = s.slice(0, quoteIdx);
-
-  s = s.trim();
-  if (!s) return "";
-
-  // Remove exchange prefixes like "NASDAQ:TSLA" → "TSLA"
-  const colonIdx = s.lastIndexOf(":");
-  if (colonIdx >= 0 && colonIdx < s.length - 1) s = s.slice(colonIdx + 1).trim();
+// Summary fields of a group as sent to clients (leaderboard rows, fetch-sctr stats);
+// the sorted SCTR `values` only serve ranking within the group here
+const GROUP_SUMMARY_FIELDS = ["avg", "count", "min", "max", "median", "stddev", "q1", "q3", "advancing", "advancingPct"];
 
-  // Basic ticker sanity: uppercase letters/numbers/dot/dash, 1-10 chars.
-  const cand = s.toUpperCase();
-  if (cand === "TICKER" || cand === "SYMBOL") return "";
-  if (!/^[A-Z0-9.\-]{1,10}$/.test(cand)) return "";
-  return cand;
+function groupSummary(group) {
+  return Object.fromEntries(GROUP_SUMMARY_FIELDS.map((field) => [field, group?.[field] ?? null]));
 }
 
-async function parseCsvForTickers(csvText) {
-  const delimiter = detectDelimiter(csvText);
-
-  // First try: header=true (common case).
-  const first = Papa.parse(csvText, {
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false,
-    delimiter
-  });
-
-  let rows = Array.isArray(first.data) ? first.data.filter((r) => r && typeof r === "object") : [];
-  let columns = rows.length > 0 ? Object.keys(rows[0]) : [];
-
-  // Fallback: header=false (CSV without headers).
-  if (columns.length === 0) {
-    const second = Papa.parse(csvText, {
-      header: false,
-      skipEmptyLines: true,
-      dynamicTyping: false,
-      delimiter
-    });
-
-    const arrRows = Array.isArray(second.data) ? second.data : [];
-    if (arrRows.length > 0 && Array.isArray(arrRows[0])) {
-      const width = Math.max(...arrRows.map((r) => (Array.isArray(r) ? r.length : 0)), 0);
-      columns = Array.from({ length: width }, (_, i) => `col_${i}`);
-      rows = arrRows.map((r) => {
-        const obj = {};
-        for (let i = 0; i < width; i++) obj[columns[i]] = r?.[i];
-        return obj;
-      });
-    }
-  }
-
-  const tickerColumnIndex = detectTickerColumnIndex(rows, columns);
-  const tickerColumnName = columns[tickerColumnIndex] || "";
-
-  const tickers = [];
-  for (const row of rows) {
-    const raw = row?.[tickerColumnName];
-    const t = normalizeTickerCandidate(raw);
-    if (t) tickers.push(t);
-  }
-
-  const unique = Array.from(new Set(tickers));
-
-  return {
-    columns,
-    tickerColumnIndex,
-    tickerColumnName,
-    tickers: unique
-  };
+// calculateIndustrySectorStats result without each group's SCTR values
+function summarizeStats(stats) {
+  const summarize = (groups) => Object.fromEntries(Object.entries(groups || {}).map(([name, group]) => [name, groupSummary(group)]));
+  return { ...stats, industries: summarize(stats?.industries), sectors: summarize(stats?.sectors) };
 }
 
 function calculateIndustrySectorStats(allRecords) {
@@ -141,63 +81,53 @@ function calculateIndustrySectorStats(allRecords) {
     const industry = String(record.industry || "").trim();
     const sector = String(record.sector || "").trim();
 
+    // Members with a rising SCTR count towards the group's advancing share
+    // (not to be confused with MA breadth, the share above their MA50/MA200)
+    const advancing = typeof record.delta === "number" && record.delta > 0 ? 1 : 0;
+
     if (industry) {
       if (!industryStats[industry]) {
-        industryStats[industry] = { sum: 0, count: 0, values: [] };
+        industryStats[industry] = { sum: 0, count: 0, advancing: 0, values: [] };
       }
       industryStats[industry].sum += sctr;
       industryStats[industry].count++;
+      industryStats[industry].advancing += advancing;
       industryStats[industry].values.push(sctr);
     }
 
     if (sector) {
       if (!sectorStats[sector]) {
-        sectorStats[sector] = { sum: 0, count: 0, values: [] };
+        sectorStats[sector] = { sum: 0, count: 0, advancing: 0, values: [] };
       }
       sectorStats[sector].sum += sctr;
       sectorStats[sector].count++;
+      sectorStats[sector].advancing += advancing;
       sectorStats[sector].values.push(sctr);
     }
   }
 
-  // Calculate averages and percentiles
+  // Calculate averages, spread and quartiles
   const result = { industries: {}, sectors: {} };
 
   for (const [industry, stats] of Object.entries(industryStats)) {
     if (stats.count > 0) {
-      const avg = stats.sum / stats.count;
-      const sorted = [...stats.values].sort((a, b) => a - b);
-      result.industries[industry] = {
-        avg,
-        count: stats.count,
-        min: sorted[0],
-        max: sorted[sorted.length - 1],
-        median: sorted[Math.floor(sorted.length / 2)]
-      };
+      result.industries[industry] = summarizeGroup(stats);
     }
   }
 
   for (const [sector, stats] of Object.entries(sectorStats)) {
     if (stats.count > 0) {
-      const avg = stats.sum / stats.count;
-      const sorted = [...stats.values].sort((a, b) => a - b);
-      result.sectors[sector] = {
-        avg,
-        count: stats.count,
-        min: sorted[0],
-        max: sorted[sorted.length - 1],
-        median: sorted[Math.floor(sorted.length / 2)]
-      };
+      result.sectors[sector] = summarizeGroup(stats);
     }
   }
 
   return result;
 }
 
-function calculateRelativeStrength(record, stats, finvizToStockChartsMap = null) {
-  const sctr = typeof record.SCTR === "number" ? record.SCTR : null;
-  if (sctr === null) return { industryRS: null, sectorRS: null };
-
+// industryRS / sectorRS of a record in the selected RS mode (see rsModes.js);
+// industryRSOf / sectorRSOf carry the group size in rank mode, and statsIndustry / statsSector
+// name the groups of `stats` the record was compared with (null when its group has no stats)
+function calculateRelativeStrength(record, stats, finvizToStockChartsMap = null, rsMode = DEFAULT_RS_MODE) {
   let industry = String(record.industry || "").trim();
   const sector = String(record.sector || "").trim();
 
@@ -208,103 +138,289 @@ function calculateRelativeStrength(record, stats, finvizToStockChartsMap = null)
     // Use StockCharts industry name for stats, but keep Finviz name for display
     industry = mappedIndustry;
   }
+  const statsIndustry = industry && stats.industries[industry] ? industry : null;
+  const statsSector = sector && stats.sectors[sector] ? sector : null;
+
+  const sctr = typeof record.SCTR === "number" ? record.SCTR : null;
+  if (sctr === null) return { industryRS: null, sectorRS: null, industryRSOf: null, sectorRSOf: null, statsIndustry, statsSector };
 
   let industryRS = null;
   let sectorRS = null;
 
   if (industry && stats.industries[industry]) {
     const indStats = stats.industries[industry];
-    if (indStats.avg > 0 && indStats.count > 1) {
-      // Relative strength as percentage above/below average
-      // Only calculate if we have more than 1 stock in the industry (otherwise RS would always be 0)
-      industryRS = ((sctr - indStats.avg) / indStats.avg) * 100;
-      
-      // Debug logging for NVDA or other high SCTR stocks
-      if (record.symbol === "NVDA" || (sctr > 50 && industryRS < 0)) {
-        console.log(`[RS] ${record.symbol} (Finviz: "${String(record.industry || "").trim()}", Stats: "${industry}"): SCTR=${sctr}, Industry Avg=${indStats.avg.toFixed(2)}, Count=${indStats.count}, RS=${industryRS.toFixed(2)}%`);
-      }
-    } else if (indStats.count === 1) {
-      // Only one stock in industry, can't calculate meaningful RS
-      industryRS = null;
+    industryRS = groupRelativeStrength(sctr, indStats, rsMode);
+
+    // Debug logging for NVDA or other high SCTR stocks
+    if (industryRS && (record.symbol === "NVDA" || (rsMode === "percent" && sctr > 50 && industryRS.value < 0))) {
+      console.log(`[RS] ${record.symbol} (Finviz: "${String(record.industry || "").trim()}", Stats: "${industry}"): SCTR=${sctr}, Industry Avg=${indStats.avg.toFixed(2)}, Count=${indStats.count}, RS (${rsMode})=${industryRS.value.toFixed(2)}`);
     }
   } else if (record.symbol === "NVDA") {
     console.log(`[RS] NVDA: Industry "${String(record.industry || "").trim()}" not found in stats. Available industries:`, Object.keys(stats.industries).slice(0, 10));
   }
 
   if (sector && stats.sectors[sector]) {
-    const secStats = stats.sectors[sector];
-    if (secStats.avg > 0 && secStats.count > 1) {
-      sectorRS = ((sctr - secStats.avg) / secStats.avg) * 100;
-    } else if (secStats.count === 1) {
-      sectorRS = null;
-    }
+    sectorRS = groupRelativeStrength(sctr, stats.sectors[sector], rsMode);
   }
 
-  return { industryRS, sectorRS };
+  return {
+    industryRS: industryRS?.value ?? null,
+    sectorRS: sectorRS?.value ?? null,
+    industryRSOf: industryRS?.of ?? null,
+    sectorRSOf: sectorRS?.of ?? null,
+    statsIndustry,
+    statsSector
+  };
+}
+
+// Per-ticker indicator fields added to every record (see calculateIndicators)
+const INDICATOR_COLUMNS = ["atr", "atrPct", "avgDollarVolume", "relVolume", "pctFrom52wHigh", "pctFrom52wLow"];
+
+// Price-based RS fields versus the selected benchmark (see benchmarkRS.js)
+const BENCHMARK_RS_COLUMNS = [
+  "rsBenchmark",
+  "rsRating",
+  "rsVsBenchmark",
+  "weightedPerf",
+  "perf3m",
+  "perf6m",
+  "perf9m",
+  "perf12m",
+  "rsLineNewHigh"
+];
+
+// In-flight fetch-sctr runs by request ID, so IPC and HTTP clients can cancel them
+const activeRequests = new Map();
+
+/**
+ * Abort an in-flight fetchSctrForTickers run. Returns false when the ID is unknown or already finished.
+ */
+function cancelRequest(requestId) {
+  const controller = activeRequests.get(String(requestId || ""));
+  if (!controller) return false;
+  console.log(`[API] Cancelling request ${requestId}`);
+  controller.abort();
+  return true;
+}
+
+/**
+ * Fetch SCTR records for tickers, classify them with the chosen industry source and add
+ * RS, MA50, breadth and moving-average columns.
+ * `options.onProgress(event)` receives { phase, message, done, total, ... } while the run advances;
+ * events carrying `records` hold a partial result table, and "ma50" events carry one industry's result.
+ * Pass `options.requestId` to make the run cancellable with cancelRequest, and/or `options.signal`.
+ * A cancelled run rejects with an error whose name is "AbortError".
+ */
+async function fetchSctrForTickers(tickers, industrySource = "finviz", options = {}) {
+  // Validate the screener filter before any fetching; only matching records are returned
+  const filter = String(options.filter || "").trim();
+  const filterGroups = filter ? parseFilter(filter) : null;
+  const result = await runCancellable(options, (signal) => runFetchSctr(tickers, industrySource, { ...options, signal }));
+  if (!filterGroups) return result;
+  return { ...result, records: filterRecords(result.records, filterGroups), filter, unfilteredCount: result.records.length };
+}
+
+/**
+ * Scan a whole SCTR universe for the top records matching `criteria`
+ * ({ minSCTR, sector, industry, marketCapBand, minMarketCap, maxMarketCap, minDelta, maxDelta, limit })
+ * and enrich them exactly like fetchSctrForTickers. Takes the same options (progress, cancellation).
+ * The result adds `scan: { criteria, matched, scanned }`.
+ */
+async function scanUniverse(criteria = {}, industrySource = "stockcharts", options = {}) {
+  return runCancellable(options, async (signal) => {
+    const scanCriteria = normalizeScanCriteria(criteria);
+    const universe = normalizeUniverse(options.universe);
+    const timeframe = normalizeTimeframe(options.timeframe);
+    try {
+      options.onProgress?.({ phase: "universe", message: `Scanning ${SCTR_UNIVERSES[universe]} SCTR universe…` });
+    } catch (error) {
+      console.warn(`[API] Progress callback failed:`, error.message);
+    }
+    const all = await fetchSctrJson({ universe, timeframe, signal });
+    const { candidates, matched } = selectScanCandidates(all, scanCriteria);
+    console.log(`[API] Universe scan: ${matched} of ${all.length} ${SCTR_UNIVERSES[universe]} records match, enriching top ${candidates.length}`);
+
+    const scan = { criteria: scanCriteria, matched, scanned: all.length };
+    if (candidates.length === 0) {
+      return { records: [], stats: { industries: {}, sectors: {} }, missingTickers: [], universe, timeframe, scan };
+    }
+    // Reuse the table we just downloaded instead of fetching the universe again
+    const result = await runFetchSctr(
+      candidates.map((r) => r.symbol),
+      industrySource,
+      { ...options, universe, timeframe, signal, universeTable: all }
+    );
+    return { ...result, scan };
+  });
+}
+
+// Run `run(signal)` with a signal that aborts on options.signal or cancelRequest(options.requestId)
+async function runCancellable(options, run) {
+  const requestId = options.requestId ? String(options.requestId) : null;
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (options.signal?.aborted) controller.abort();
+  else options.signal?.addEventListener("abort", onAbort, { once: true });
+  if (requestId) activeRequests.set(requestId, controller);
+
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    // A timeout inside a cancelled run is still a cancellation
+    if (controller.signal.aborted) throw createAbortError();
+    throw error;
+  } finally {
+    options.signal?.removeEventListener("abort", onAbort);
+    if (requestId && activeRequests.get(requestId) === controller) activeRequests.delete(requestId);
+  }
 }
 
-async function fetchSctrForTickers(tickers, industrySource = "finviz") {
-  const normalized = tickers
-    .map((t) => String(t || "").trim().toUpperCase())
-    .filter(Boolean);
+async function runFetchSctr(tickers, industrySource, options) {
+  const { signal } = options;
+  // Typed share classes (BRK.B, BRK-B) are looked up in StockCharts' BRK/B form
+  const normalized = tickers.map(normalizeShareClass).filter(Boolean);
 
   if (normalized.length === 0) return { records: [], stats: { industries: {}, sectors: {} }, missingTickers: [] };
 
-  // Fetch ALL records to calculate industry/sector statistics
-  const all = await fetchSctrJson({});
+  const universe = normalizeUniverse(options.universe);
+  const timeframe = normalizeTimeframe(options.timeframe);
+  // Extra moving averages requested on top of the industry MA50, e.g. [{ period: 21, type: "EMA" }]
+  const maSpecs = normalizeMASpecs(options.maSpecs);
+  // How industries without an ETF get their synthetic index: "cap", "equal" or "price"
+  const indexMethod = normalizeIndexMethod(options.indexMethod);
+  // Price-based RS benchmark: a symbol such as "SPY" or "QQQ", "sector" for each ticker's sector ETF, or "off"
+  const benchmark = normalizeBenchmark(options.benchmark);
+  // How industryRS / sectorRS compare a ticker with its group: "percent", "percentile", "zscore" or "rank"
+  const rsMode = normalizeRsMode(options.rsMode);
+  // Per-ticker indicators (ATR, volume, 52-week range) need a year of bars per ticker; false skips them
+  const indicators = options.indicators !== false;
+  const reportProgress = (event) => {
+    if (typeof options.onProgress !== "function") return;
+    try {
+      options.onProgress(event);
+    } catch (error) {
+      console.warn(`[API] Progress callback failed:`, error.message);
+    }
+  };
+
+  // Fetch ALL records of the selected universe to calculate industry/sector statistics
+  reportProgress({ phase: "universe", message: `Fetching ${SCTR_UNIVERSES[universe]} SCTR universe…` });
+  const all = options.universeTable || (await fetchSctrJson({ universe, timeframe, signal }));
+  // Keep every fetched universe snapshot so per-ticker history can be charted later
+  saveSctrSnapshot(all, timeframe);
   const wanted = new Set(normalized);
   const records = all.filter((r) => wanted.has(String(r.symbol || "").toUpperCase()));
-  
+  const statsByUniverse = { [universe]: calculateIndustrySectorStats(all) };
+  const universeRecords = [...all];
+
+  // Tickers not in the selected universe may live in another one (e.g. a small cap or an ETF)
+  let foundSymbols = new Set(records.map((r) => String(r.symbol || "").toUpperCase()));
+  for (const other of Object.keys(SCTR_UNIVERSES)) {
+    if (other === universe) continue;
+    const stillMissing = normalized.filter((t) => !foundSymbols.has(t));
+    if (stillMissing.length === 0) break;
+
+    try {
+      console.log(`[API] Searching ${SCTR_UNIVERSES[other]} universe for ${stillMissing.length} missing tickers...`);
+      reportProgress({ phase: "universe", message: `Searching ${SCTR_UNIVERSES[other]} universe for ${stillMissing.length} missing tickers…` });
+      const otherAll = await fetchSctrJson({ universe: other, timeframe, signal });
+      saveSctrSnapshot(otherAll, timeframe);
+      const stillWanted = new Set(stillMissing);
+      const found = otherAll.filter((r) => stillWanted.has(String(r.symbol || "").toUpperCase()));
+      if (found.length > 0) {
+        records.push(...found);
+        universeRecords.push(...otherAll);
+        statsByUniverse[other] = calculateIndustrySectorStats(otherAll);
+        for (const r of found) foundSymbols.add(String(r.symbol || "").toUpperCase());
+      }
+    } catch (error) {
+      throwIfAborted(signal);
+      console.warn(`[API] Failed to fetch ${SCTR_UNIVERSES[other]} universe:`, error.message);
+    }
+  }
+
   // Find missing tickers
-  const foundSymbols = new Set(records.map((r) => String(r.symbol || "").toUpperCase()));
   const missingTickers = normalized.filter((t) => !foundSymbols.has(t));
   
   if (missingTickers.length > 0) {
-    console.log(`[API] Missing tickers (not found in SCTR database): ${missingTickers.join(", ")}`);
+    console.log(`[API] Missing tickers (not found in any SCTR universe): ${missingTickers.join(", ")}`);
   }
-  console.log(`[API] Requested ${normalized.length} tickers, found ${records.length} records`);
-  console.log(`[API] Using industry source: ${industrySource}`);
 
-  // Fetch industry/sector data based on selected source
-  let industrySectorData = new Map();
-  
-  if (industrySource === "finviz") {
-    // Use Finviz for industry/sector (with aggressive caching to avoid 429 errors)
+  // Tickers outside every universe get a locally computed SCTR-style rank instead of nothing
+  const localSctrPeers = normalizeLocalSctrPeers(options.localSctrPeers);
+  const localSctrTickers = [];
+  if (missingTickers.length > 0 && localSctrPeers !== "off") {
+    const peerSymbols = localSctrPeers === "tickers" ? normalized : sampleUniversePeers(all);
+    reportProgress({ phase: "localSctr", message: `Computing local SCTR for ${missingTickers.length} tickers…`, done: 0, total: 1 });
     try {
-      console.log(`[API] Fetching Finviz industry/sector data for ${normalized.length} tickers (with persistent cache)...`);
-      // Very conservative rate limiting: 2 second delay, 1 at a time
-      const finvizData = await fetchFinvizIndustrySectorBatch(normalized, { delayMs: 2000, maxConcurrent: 1 });
-      // Merge Finviz data into results
-      for (const [ticker, data] of finvizData.entries()) {
-        if (data && (data.industry || data.sector)) {
-          industrySectorData.set(ticker, data);
-        }
+      const local = await computeLocalSctr(missingTickers, peerSymbols, {
+        signal,
+        onProgress: ({ done, total }) =>
+          reportProgress({ phase: "localSctr", message: `Price history for local SCTR (${done}/${total})`, done, total })
+      });
+      for (const [symbol, result] of local.entries()) {
+        records.push({
+          date: result.date,
+          symbol,
+          name: "",
+          SCTR: result.SCTR,
+          delta: null,
+          close: result.close,
+          marketCap: null,
+          vol: result.volume,
+          industry: "",
+          sector: "",
+          universe: null,
+          sctrSource: "Local",
+          localSctrPeers: result.peers
+        });
+        localSctrTickers.push(symbol);
       }
-      const finvizSuccessCount = Array.from(finvizData.values()).filter(v => v && (v.industry || v.sector)).length;
-      console.log(`[API] Retrieved Finviz data for ${finvizSuccessCount}/${normalized.length} tickers`);
     } catch (error) {
-      console.warn(`[API] Finviz fetch failed (rate limited?):`, error.message);
+      throwIfAborted(signal);
+      console.warn(`[API] Local SCTR failed:`, error.message);
     }
-  } else if (industrySource === "yahoo") {
-    // Use Yahoo Finance (if implemented)
-    const { fetchYahooIndustrySectorBatch } = require("./yahooIndustryService");
+  }
+  console.log(`[API] Requested ${normalized.length} tickers, found ${records.length} records (universe ${universe}, timeframe ${timeframe})`);
+  console.log(`[API] Using industry source: ${industrySource}`);
+  reportProgress({
+    phase: "universe",
+    message: `Found ${records.length} of ${normalized.length} tickers`,
+    records: records.map((r) => ({ ...r, industrySource: "StockCharts", sectorSource: "StockCharts" }))
+  });
+
+  // Fetch industry/sector data from the selected provider (StockCharts needs no external fetch)
+  const industrySectorData = new Map();
+  const provider = getIndustryProvider(industrySource);
+  if (!provider) {
+    console.warn(`[API] Unknown industry source "${industrySource}", using StockCharts classification`);
+  } else if (provider.external !== false) {
     try {
-      console.log(`[API] Fetching Yahoo Finance industry/sector data for ${normalized.length} tickers...`);
-      const yahooData = await fetchYahooIndustrySectorBatch(normalized, { delayMs: 100, maxConcurrent: 5 });
-      for (const [ticker, data] of yahooData.entries()) {
+      console.log(`[API] Fetching ${provider.label} industry/sector data for ${normalized.length} tickers...`);
+      const providerData = await fetchIndustriesWithProvider(provider, normalized, {
+        signal,
+        onProgress: ({ done, total, cacheHits }) =>
+          reportProgress({
+            phase: "industries",
+            message: `Fetching ${provider.label} industries (${done}/${total}, ${cacheHits} cached)`,
+            done,
+            total,
+            cacheHits
+          })
+      });
+      for (const [ticker, data] of providerData.entries()) {
         if (data && (data.industry || data.sector)) {
           industrySectorData.set(ticker, data);
         }
       }
-      const yahooSuccessCount = Array.from(yahooData.values()).filter(v => v && (v.industry || v.sector)).length;
-      console.log(`[API] Retrieved Yahoo Finance data for ${yahooSuccessCount}/${normalized.length} tickers`);
+      console.log(`[API] Retrieved ${provider.label} data for ${industrySectorData.size}/${normalized.length} tickers`);
     } catch (error) {
-      console.warn(`[API] Yahoo Finance fetch failed:`, error.message);
+      throwIfAborted(signal);
+      console.warn(`[API] ${provider.label} fetch failed (rate limited?):`, error.message);
     }
   }
-  // If industrySource is "stockcharts" or anything else, use StockCharts data (no external fetch)
 
-  // Enrich records with Yahoo/Finviz industry/sector (override StockCharts data)
+  // Enrich records with the provider's industry/sector (override StockCharts data)
   const enrichedRecords = records.map((record) => {
     const symbol = String(record.symbol || "").toUpperCase();
     const externalData = industrySectorData.get(symbol);
@@ -314,8 +430,8 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
         ...record,
         industry: externalData.industry || record.industry,
         sector: externalData.sector || record.sector,
-        industrySource: externalData.source || "Yahoo",
-        sectorSource: externalData.source || "Yahoo"
+        industrySource: externalData.source || provider.label,
+        sectorSource: externalData.source || provider.label
       };
     }
     
@@ -326,17 +442,27 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
     };
   });
 
-  // Also enrich missing tickers with Finviz data for potential future use
-  const missingWithFinviz = missingTickers.map((ticker) => {
-    const finviz = finvizData.get(ticker);
-    return {
-      symbol: ticker,
-      industry: finviz?.industry || null,
-      sector: finviz?.sector || null,
-      industrySource: finviz?.industry ? "Finviz" : null,
-      sectorSource: finviz?.sector ? "Finviz" : null
-    };
-  });
+  // Offline providers (e.g. a local taxonomy file) can classify the whole universe,
+  // so industry/sector stats and MA50 peers are computed on their classification instead
+  let classifiedUniverse = null;
+  if (provider?.offline) {
+    try {
+      const universeData = await fetchIndustriesWithProvider(provider, universeRecords.map((r) => r.symbol), { signal });
+      classifiedUniverse = [];
+      for (const r of universeRecords) {
+        const data = universeData.get(String(r.symbol || "").toUpperCase());
+        if (!data) continue;
+        classifiedUniverse.push({ ...r, industry: data.industry || r.industry, sector: data.sector || r.sector });
+      }
+      for (const u of Object.keys(statsByUniverse)) {
+        statsByUniverse[u] = calculateIndustrySectorStats(classifiedUniverse.filter((r) => r.universe === u));
+      }
+      console.log(`[API] Classified ${classifiedUniverse.length}/${universeRecords.length} universe records with ${provider.label}`);
+    } catch (error) {
+      console.warn(`[API] ${provider.label} universe classification failed:`, error.message);
+      classifiedUniverse = null;
+    }
+  }
 
   // Calculate industry/sector statistics
   // IMPORTANT: When using Finviz, we need to ensure consistent industry naming
@@ -345,11 +471,12 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
   // to the StockCharts industry names
   
   // Build a mapping of Finviz industry -> StockCharts industry for better matching
+  // (not needed when the stats already use the provider's own taxonomy)
   const finvizToStockChartsMap = new Map();
-  for (const record of enrichedRecords) {
+  for (const record of classifiedUniverse ? [] : enrichedRecords) {
     const symbol = String(record.symbol || "").toUpperCase();
     const finvizIndustry = String(record.industry || "").trim();
-    const originalRecord = all.find((r) => String(r.symbol || "").toUpperCase() === symbol);
+    const originalRecord = records.find((r) => String(r.symbol || "").toUpperCase() === symbol);
     if (originalRecord && finvizIndustry) {
       const stockChartsIndustry = String(originalRecord.industry || "").trim();
       if (stockChartsIndustry && finvizIndustry !== stockChartsIndustry) {
@@ -362,8 +489,20 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
   }
   
   // For stats calculation, use StockCharts data (all records) for consistency
-  // This ensures we have a complete dataset with consistent industry names
-  const stats = calculateIndustrySectorStats(all);
+  // This ensures we have a complete dataset with consistent industry names.
+  // Records found in another universe are compared against that universe's stats.
+  const stats = statsByUniverse[universe];
+
+  // RS only needs the stats, so the table can show it before the slower MA work starts
+  reportProgress({
+    phase: "industries",
+    message: `Classified ${enrichedRecords.length} records`,
+    records: enrichedRecords.map((record) => ({
+      ...record,
+      rsMode,
+      ...calculateRelativeStrength(record, statsByUniverse[record.universe] || stats, finvizToStockChartsMap, rsMode)
+    }))
+  });
   
   // When calculating RS for enriched records with Finviz industries,
   // map Finviz industry names to StockCharts industry names for stats lookup
@@ -392,6 +531,16 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
     ]);
   };
 
+  // Industry peers for stock-based MA50: enriched records first, then the rest of the fetched universes
+  const enrichedSymbols = new Set(enrichedRecords.map((r) => String(r.symbol || "").toUpperCase()));
+  const allEnriched = [
+    ...enrichedRecords,
+    ...(classifiedUniverse || universeRecords).filter((r) => !enrichedSymbols.has(String(r.symbol || "").toUpperCase()))
+  ];
+
+  let industriesDone = 0;
+  reportProgress({ phase: "ma50", message: `Calculating MA50 for ${industriesArray.length} industries`, done: 0, total: industriesArray.length });
+
   const ma50Promises = industriesArray.map(async (industry) => {
     // Use enrichedRecords (with Finviz/StockCharts industry names) instead of all
     const industryRecords = enrichedRecords.filter((r) => String(r.industry || "").trim() === industry);
@@ -402,22 +551,125 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
     
     console.log(`[API] Calculating MA50 for industry: "${industry}" with ${industryRecords.length} records`);
     
+    let ma50Data = null;
     try {
       // Pass allEnriched so it can find other stocks in the same industry for stock-based calculation
-      const ma50Data = await withTimeout(
-        calculateIndustryMA50(industryRecords, allEnriched),
+      ma50Data = await withTimeout(
+        calculateIndustryMA50(industryRecords, allEnriched, { indexMethod, signal }),
         30000 // 30 second timeout per industry
       );
-      return { industry, data: ma50Data };
     } catch (error) {
+      throwIfAborted(signal);
       console.error(`Error calculating MA50 for industry ${industry}:`, error.message || error);
-      return null;
     }
+
+    // Breadth: share of the industry's own members above their 50/200-day MAs
+    let breadth = null;
+    try {
+      breadth = await withTimeout(calculateIndustryBreadth(industryRecords, allEnriched, { signal }), 60000);
+    } catch (error) {
+      throwIfAborted(signal);
+      console.error(`Error calculating breadth for industry ${industry}:`, error.message || error);
+    }
+
+    // Industry distance from each requested moving average
+    let mas = null;
+    if (maSpecs.length > 0) {
+      try {
+        mas = await withTimeout(calculateIndustryMAs(industryRecords, allEnriched, maSpecs, { indexMethod, signal }), 30000);
+      } catch (error) {
+        throwIfAborted(signal);
+        console.error(`Error calculating moving averages for industry ${industry}:`, error.message || error);
+      }
+    }
+
+    industriesDone++;
+    reportProgress({
+      phase: "ma50",
+      message: `MA50 for ${industry} (${industriesDone}/${industriesArray.length})`,
+      done: industriesDone,
+      total: industriesArray.length,
+      industry,
+      ma50: ma50Data ? { aboveMA: ma50Data.aboveMA, percentAboveMA50: ma50Data.percentAboveMA50 } : null,
+      breadth: breadth ? { percentAboveMA50: breadth.percentAboveMA50, percentAboveMA200: breadth.percentAboveMA200 } : null
+    });
+
+    return { industry, data: ma50Data, breadth, mas };
   });
+  // Settle now so a cancellation while ticker MAs run cannot leave these rejections unhandled
+  const ma50Settled = Promise.allSettled(ma50Promises);
+
+  // Per-ticker indicators, listing exchange and distance from each requested moving average (a few tickers at a time).
+  // Indicators go first: their year of bars also covers most MA windows and records the exchange in the price store.
+  // Without indicators the exchange is left to fetchListingExchanges, so no bars are fetched just for it.
+  const tickerMAs = {};
+  const tickerIndicators = {};
+  const tickerExchanges = {};
+  for (let i = 0; i < enrichedRecords.length; i += 5) {
+    throwIfAborted(signal);
+    reportProgress({
+      phase: "tickerMAs",
+      message: `${indicators ? "Indicators and moving averages" : "Moving averages"} for tickers (${i}/${enrichedRecords.length})`,
+      done: i,
+      total: enrichedRecords.length
+    });
+    const group = enrichedRecords.slice(i, i + 5);
+    const settled = await Promise.allSettled(
+      group.map((r) => {
+        const symbol = String(r.symbol || "").toUpperCase();
+        return withTimeout(
+          (async () => ({
+            indicators: indicators ? await calculateTickerIndicators(symbol, { signal }) : null,
+            exchange: indicators ? await getListingExchange(symbol, { signal }) : null,
+            mas: maSpecs.length > 0 ? await calculateTickerMAs(symbol, maSpecs, { signal }) : null
+          }))(),
+          30000
+        );
+      })
+    );
+    settled.forEach((result, idx) => {
+      if (result.status !== "fulfilled" || !result.value) return;
+      const symbol = String(group[idx].symbol || "").toUpperCase();
+      if (result.value.mas) tickerMAs[symbol] = result.value.mas;
+      if (result.value.indicators) tickerIndicators[symbol] = result.value.indicators;
+      if (result.value.exchange) tickerExchanges[symbol] = result.value.exchange;
+    });
+  }
+
+  // RS versus the benchmark, rated against the tickers plus an even sample of the selected universe
+  // (skipped with benchmark "off", leaving the RS rating fields null)
+  let benchmarkRS = new Map();
+  if (benchmark !== "off") {
+    try {
+      const samplePeers = new Set(sampleUniversePeers(all));
+      benchmarkRS = await calculateBenchmarkRS(
+        enrichedRecords,
+        all.filter((r) => samplePeers.has(String(r.symbol || "").toUpperCase())),
+        {
+          benchmark,
+          signal,
+          onProgress: ({ done, total }) =>
+            reportProgress({ phase: "benchmarkRS", message: `Relative strength vs ${benchmark} (${done}/${total})`, done, total })
+        }
+      );
+    } catch (error) {
+      throwIfAborted(signal);
+      console.warn(`[API] Benchmark RS failed:`, error.message);
+    }
+  }
 
   // Wait for all MA50 calculations (with timeout per industry)
-  const ma50Results = await Promise.allSettled(ma50Promises);
+  const ma50Results = await ma50Settled;
+  throwIfAborted(signal);
+  const industryBreadth = {};
+  const industryMAs = {};
   for (const result of ma50Results) {
+    if (result.status === "fulfilled" && result.value?.breadth) {
+      industryBreadth[result.value.industry] = result.value.breadth;
+    }
+    if (result.status === "fulfilled" && result.value?.mas) {
+      industryMAs[result.value.industry] = result.value.mas;
+    }
     if (result.status === "fulfilled" && result.value && result.value.data) {
       industryMA50[result.value.industry] = result.value.data;
       console.log(`[API] Successfully got MA50 for industry: ${result.value.industry}`);
@@ -432,18 +684,53 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
 
   // Add relative strength and MA50 info to each record
   const recordsWithRS = enrichedRecords.map((record) => {
-    const rs = calculateRelativeStrength(record, stats, finvizToStockChartsMap);
+    const rs = calculateRelativeStrength(record, statsByUniverse[record.universe] || stats, finvizToStockChartsMap, rsMode);
     const industry = String(record.industry || "").trim();
     const industryMA50Data = industryMA50[industry] || null;
+    const breadthData = industryBreadth[industry] || null;
 
     const enrichedRecord = {
       ...record,
+      // "Local" for tickers ranked by localSctr.js rather than StockCharts
+      sctrSource: record.sctrSource || "StockCharts",
+      // Listing exchange ("NASDAQ", "NYSE", "AMEX") from Yahoo, e.g. for TradingView symbols;
+      // null when unknown or not looked up (indicators off)
+      exchange: tickerExchanges[String(record.symbol || "").toUpperCase()] || null,
       industryRS: rs.industryRS,
       sectorRS: rs.sectorRS,
+      industryRSOf: rs.industryRSOf,
+      sectorRSOf: rs.sectorRSOf,
+      // Group names as keyed in `stats` (StockCharts names unless the provider classified the universe)
+      statsIndustry: rs.statsIndustry,
+      statsSector: rs.statsSector,
+      rsMode,
       industryAboveMA50: industryMA50Data?.aboveMA ?? null,
-      industryPercentAboveMA50: industryMA50Data?.percentAboveMA50 ?? null
+      industryPercentAboveMA50: industryMA50Data?.percentAboveMA50 ?? null,
+      // "ETF" when the industry/sector ETF was used, otherwise the synthetic index method
+      industryMA50Method: industryMA50Data ? (industryMA50Data.source === "ETF" ? "ETF" : industryMA50Data.indexMethod) : null,
+      industryMA50Etf: industryMA50Data?.etf ?? null,
+      industryBreadthMA50: breadthData?.percentAboveMA50 ?? null,
+      industryBreadthMA200: breadthData?.percentAboveMA200 ?? null
     };
 
+    // Price/volume indicators from the ticker's daily bars (see indicators.js)
+    const indicators = tickerIndicators[String(record.symbol || "").toUpperCase()] || {};
+    for (const key of INDICATOR_COLUMNS) {
+      enrichedRecord[key] = indicators[key] ?? null;
+    }
+
+    const relative = benchmarkRS.get(String(record.symbol || "").toUpperCase()) || {};
+    for (const key of BENCHMARK_RS_COLUMNS) {
+      enrichedRecord[key] = relative[key] ?? null;
+    }
+
+    // Requested MAs: distFOO = ticker % from MA, industryDistFOO = industry % from MA
+    const ownMAs = tickerMAs[String(record.symbol || "").toUpperCase()] || {};
+    for (const spec of maSpecs) {
+      enrichedRecord[`dist${spec.key}`] = ownMAs[spec.key]?.distancePct ?? null;
+      enrichedRecord[`industryDist${spec.key}`] = industryMAs[industry]?.mas?.[spec.key]?.distancePct ?? null;
+    }
+
     // Debug logging for first few records
     if (records.indexOf(record) < 3) {
       console.log(`[API] Record ${record.symbol} (${industry}):`, {
@@ -465,10 +752,252 @@ async function fetchSctrForTickers(tickers, industrySource = "finviz") {
     return sb - sa;
   });
 
-  return { records: recordsWithRS, stats: { ...stats, industryMA50 }, missingTickers };
+  reportProgress({ phase: "done", message: `Loaded ${recordsWithRS.length} records`, done: recordsWithRS.length, total: recordsWithRS.length });
+
+  return {
+    records: recordsWithRS,
+    stats: { ...summarizeStats(stats), industryMA50, industryBreadth, industryMAs },
+    missingTickers,
+    localSctrTickers,
+    universe,
+    timeframe,
+    maSpecs,
+    indexMethod,
+    benchmark,
+    rsMode,
+    indicators
+  };
+}
+
+// Latest universe table per "universe/timeframe" the leaderboard was built from, for drilling into groups
+const leaderboardTables = new Map();
+
+/**
+ * Rank every industry and sector of a universe by its SCTR stats, with ETF-based MA50 status.
+ * Returns { universe, timeframe, date, industries: [...], sectors: [...] };
+ * a group's members are loaded with fetchLeaderboardMembers.
+ */
+async function fetchIndustryLeaderboard(options = {}) {
+  const universe = normalizeUniverse(options.universe);
+  const timeframe = normalizeTimeframe(options.timeframe);
+
+  const all = await fetchSctrJson({ universe, timeframe });
+  saveSctrSnapshot(all, timeframe);
+  leaderboardTables.set(`${universe}/${timeframe}`, all);
+  const stats = calculateIndustrySectorStats(all);
+
+  // Most common sector for each industry (for display and grouping)
+  const sectorVotes = {};
+  for (const r of all) {
+    const industry = String(r.industry || "").trim();
+    const sector = String(r.sector || "").trim();
+    if (!industry || !sector) continue;
+    sectorVotes[industry] = sectorVotes[industry] || {};
+    sectorVotes[industry][sector] = (sectorVotes[industry][sector] || 0) + 1;
+  }
+  const topSector = (industry) =>
+    Object.entries(sectorVotes[industry] || {}).sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+
+  const ma50For = async (name, type) => {
+    try {
+      return await Promise.race([
+        calculateGroupMA50FromETF(name, type),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("Timeout")), 30000))
+      ]);
+    } catch (error) {
+      console.warn(`[API] Leaderboard MA50 failed for ${type} "${name}":`, error.message || error);
+      return null;
+    }
+  };
+
+  const buildRows = async (groups, type) => {
+    const entries = Object.entries(groups);
+    const ma50s = await Promise.all(entries.map(([name]) => ma50For(name, type)));
+    const rows = entries.map(([name, s], idx) => ({
+      name,
+      type,
+      sector: type === "industry" ? topSector(name) : name,
+      ...groupSummary(s),
+      ma50Etf: ma50s[idx]?.etf ?? null,
+      aboveMA50: ma50s[idx]?.aboveMA ?? null,
+      percentAboveMA50: ma50s[idx]?.percentAboveMA50 ?? null
+    }));
+    rows.sort((a, b) => b.avg - a.avg);
+    rows.forEach((row, idx) => {
+      row.rank = idx + 1;
+    });
+    return rows;
+  };
+
+  const industries = await buildRows(stats.industries, "industry");
+  const sectors = await buildRows(stats.sectors, "sector");
+
+  console.log(`[API] Leaderboard for universe ${universe}: ${industries.length} industries, ${sectors.length} sectors`);
+
+  return {
+    universe,
+    timeframe,
+    date: all.find((r) => r.date)?.date || "",
+    industries,
+    sectors
+  };
+}
+
+/**
+ * Members of one leaderboard group ({ universe, timeframe, type: "industry" | "sector", name }),
+ * strongest SCTR first, as [{ symbol, name, SCTR, delta }]. Uses the table the leaderboard was
+ * built from, fetching the universe only when no leaderboard was loaded for it.
+ */
+async function fetchLeaderboardMembers(options = {}) {
+  const universe = normalizeUniverse(options.universe);
+  const timeframe = normalizeTimeframe(options.timeframe);
+  const field = options.type === "sector" ? "sector" : "industry";
+  const name = String(options.name || "").trim();
+  if (!name) throw Object.assign(new Error("Group name is required"), { status: 400 });
+
+  const key = `${universe}/${timeframe}`;
+  if (!leaderboardTables.has(key)) {
+    leaderboardTables.set(key, await fetchSctrJson({ universe, timeframe }));
+  }
+  return leaderboardTables
+    .get(key)
+    .filter((r) => String(r?.[field] || "").trim() === name)
+    .sort((a, b) => (b.SCTR ?? -Infinity) - (a.SCTR ?? -Infinity))
+    .map((r) => ({ symbol: r.symbol, name: r.name, SCTR: r.SCTR, delta: r.delta }));
+}
+
+/**
+ * Listing exchanges of `tickers` by upper-case symbol ("NASDAQ", "NYSE", "AMEX" or null), for
+ * TradingView exports of records fetched without indicators. Symbols the price store has not seen
+ * cost a few days of bars each, so this runs only on demand.
+ */
+async function fetchListingExchanges(tickers) {
+  const symbols = Array.from(new Set((Array.isArray(tickers) ? tickers : []).map((t) => String(t || "").trim().toUpperCase()).filter(Boolean)));
+  const exchanges = {};
+  for (let i = 0; i < symbols.length; i += 5) {
+    const group = symbols.slice(i, i + 5);
+    const settled = await Promise.allSettled(group.map((symbol) => getListingExchange(symbol)));
+    settled.forEach((result, idx) => {
+      exchanges[group[idx]] = result.status === "fulfilled" ? result.value : null;
+    });
+  }
+  return exchanges;
+}
+
+async function fetchSctrHistory(tickers, options = {}) {
+  const days = Number(options.days) > 0 ? Number(options.days) : undefined;
+  return getSctrHistory(Array.isArray(tickers) ? tickers : [], { days, timeframe: options.timeframe });
+}
+
+async function listIndustrySources() {
+  return listIndustryProviders();
+}
+
+async function loadIndustrySourceFile(payload = {}) {
+  return loadIndustryFile(payload);
+}
+
+async function getIndustrySourceFileStatus() {
+  return getIndustryFileStatus();
+}
+
+async function listWatchlists() {
+  return watchlists.listWatchlists();
+}
+
+async function createWatchlist(payload = {}) {
+  return watchlists.createWatchlist(payload);
+}
+
+async function renameWatchlist(id, name) {
+  return watchlists.renameWatchlist(id, name);
+}
+
+async function deleteWatchlist(id) {
+  return watchlists.deleteWatchlist(id);
+}
+
+async function addWatchlistTickers(id, tickers) {
+  return watchlists.addTickersToWatchlist(id, tickers);
+}
+
+async function removeWatchlistTickers(id, tickers) {
+  return watchlists.removeTickersFromWatchlist(id, tickers);
+}
+
+// One background refresh scheduler per process. The Electron main process creates it first
+// (with desktop notifications) and starts it; elsewhere it is only used for settings and manual runs.
+let refreshScheduler = null;
+
+function getRefreshScheduler(overrides = {}) {
+  if (!refreshScheduler) {
+    refreshScheduler = createRefreshScheduler({
+      fetchRecords: async (tickers, settings) => {
+        // Alert rules only read SCTR, delta and industry MA50 fields, so skip the price history
+        // that benchmark RS and the per-ticker indicators would fetch
+        const result = await fetchSctrForTickers(tickers, settings.industrySource, {
+          universe: settings.universe,
+          timeframe: settings.timeframe,
+          benchmark: "off",
+          indicators: false
+        });
+        return result.records;
+      },
+      ...overrides
+    });
+  }
+  return refreshScheduler;
+}
+
+async function getRefreshSettings() {
+  return getRefreshScheduler().getSettings();
+}
+
+async function saveRefreshSettings(settings) {
+  return getRefreshScheduler().updateSettings(settings || {});
+}
+
+async function getRefreshStatus() {
+  return getRefreshScheduler().getStatus();
+}
+
+async function runRefreshNow() {
+  return getRefreshScheduler().runNow();
+}
+
+/**
+ * XLSX export of a results table: { records, columns, stats }. Without `stats` the
+ * industry/sector stats are calculated from the exported records. Resolves to a Buffer.
+ */
+async function exportResultsWorkbook({ records, columns, stats } = {}) {
+  const list = Array.isArray(records) ? records : [];
+  const hasStats = stats && (stats.industries || stats.sectors);
+  return buildResultsWorkbook({ records: list, columns, stats: hasStats ? stats : calculateIndustrySectorStats(list) });
 }
 
 module.exports = {
   parseCsvForTickers,
-  fetchSctrForTickers
+  importTickerFile,
+  fetchSctrForTickers,
+  scanUniverse,
+  cancelRequest,
+  fetchSctrHistory,
+  fetchIndustryLeaderboard,
+  fetchLeaderboardMembers,
+  fetchListingExchanges,
+  listIndustrySources,
+  loadIndustrySourceFile,
+  getIndustrySourceFileStatus,
+  listWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistTickers,
+  removeWatchlistTickers,
+  getRefreshScheduler,
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  runRefreshNow,
+  exportResultsWorkbook
 };
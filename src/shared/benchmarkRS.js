@@ -0,0 +1,153 @@
+/**
+ * Price-based relative strength versus a benchmark, in the style of IBD's RS Rating
+ * (calculateRelativeStrength in apiHandlers only compares SCTR with its industry/sector average):
+ *   weightedPerf  = 40% of the 3-month plus 20% each of the 6-, 9- and 12-month price ratios
+ *   rsVsBenchmark = % by which the ticker's weighted performance beats the benchmark's
+ *   rsRating      = 1–99 percentile of rsVsBenchmark across the tickers and a sample of the loaded universe
+ *   rsLineNewHigh = the ticker/benchmark price ratio closed at its highest level of the past year
+ */
+
+const { SECTOR_ETF_MAP, fetchHistoricalPrices } = require("./maService");
+const { throwIfAborted, isAbortError } = require("./httpClient");
+const { percentileRank } = require("./localSctr");
+
+// Offered in the UI; any other ticker-shaped symbol works too, "sector" picks each ticker's sector ETF
+// and "off" skips benchmark RS (and its year of price history per ticker) altogether
+const BENCHMARKS = ["SPY", "QQQ", "IWM", "sector", "off"];
+const DEFAULT_BENCHMARK = "SPY";
+
+// Calendar days that hold 253 trading days (a 12-month return) with holidays to spare
+const RS_HISTORY_DAYS = 400;
+const YEAR_TRADING_DAYS = 252;
+// [trading days, weight]: the latest quarter counts double
+const PERIODS = [
+  [63, 0.4],
+  [126, 0.2],
+  [189, 0.2],
+  [252, 0.2]
+];
+// A rating needs at least this many scored tickers
+const MIN_RATED = 5;
+
+function normalizeBenchmark(value) {
+  const v = String(value || "").trim();
+  if (v.toLowerCase() === "sector" || v.toLowerCase() === "off") return v.toLowerCase();
+  const symbol = v.toUpperCase();
+  return /^\^?[A-Z][A-Z0-9.\-]{0,9}$/.test(symbol) ? symbol : DEFAULT_BENCHMARK;
+}
+
+// Sector ETF for "sector" (SPY for sectors without one), otherwise the benchmark itself
+function benchmarkFor(record, benchmark) {
+  if (benchmark !== "sector") return benchmark;
+  return SECTOR_ETF_MAP[String(record?.sector || "").trim()] || DEFAULT_BENCHMARK;
+}
+
+// Ticker closes joined to the benchmark close of the same date
+function alignCloses(bars, benchBars) {
+  const benchByDate = new Map(benchBars.map((b) => [b.date, b.close]));
+  const out = [];
+  for (const b of bars) {
+    const bench = benchByDate.get(b.date);
+    if (b.close > 0 && bench > 0) out.push({ close: b.close, bench });
+  }
+  return out;
+}
+
+function pctChange(series, days) {
+  if (series.length <= days) return null;
+  const past = series[series.length - 1 - days].close;
+  return ((series[series.length - 1].close - past) / past) * 100;
+}
+
+// Weighted 3/6/9/12-month price ratio; young listings are weighted over the periods they have
+function weightedRatio(series, key) {
+  const last = series[series.length - 1];
+  let sum = 0;
+  let weights = 0;
+  for (const [days, weight] of PERIODS) {
+    if (series.length <= days) continue;
+    sum += weight * (last[key] / series[series.length - 1 - days][key]);
+    weights += weight;
+  }
+  return weights > 0 ? sum / weights : null;
+}
+
+/**
+ * Relative strength of a ticker's daily bars against its benchmark's (both oldest first).
+ * Returns { perf3m, perf6m, perf9m, perf12m, weightedPerf, rsVsBenchmark, rsLineNewHigh },
+ * or null with under 3 months of common history.
+ */
+function benchmarkRelativeStrength(bars, benchBars) {
+  const series = alignCloses(bars || [], benchBars || []);
+  const stock = weightedRatio(series, "close");
+  const bench = weightedRatio(series, "bench");
+  if (stock == null || bench == null) return null;
+  const rsLine = series.slice(-YEAR_TRADING_DAYS).map((p) => p.close / p.bench);
+  return {
+    perf3m: pctChange(series, 63),
+    perf6m: pctChange(series, 126),
+    perf9m: pctChange(series, 189),
+    perf12m: pctChange(series, 252),
+    weightedPerf: (stock - 1) * 100,
+    rsVsBenchmark: (stock / bench - 1) * 100,
+    rsLineNewHigh: rsLine[rsLine.length - 1] >= Math.max(...rsLine)
+  };
+}
+
+function rsRating(score, scores) {
+  return Math.min(99, Math.max(1, Math.round(percentileRank(score, scores))));
+}
+
+/**
+ * Benchmark RS for `records` ({ symbol, sector }), rated against themselves plus `peerRecords`
+ * (a sample of the loaded universe). Returns Map(symbol → { rsBenchmark, rsRating, ...benchmarkRelativeStrength });
+ * tickers without enough history are left out. `onProgress({ done, total })` follows the price-history fetches.
+ */
+async function calculateBenchmarkRS(records, peerRecords, { benchmark, signal, onProgress } = {}) {
+  const choice = normalizeBenchmark(benchmark);
+  const entries = new Map();
+  for (const r of [...(records || []), ...(peerRecords || [])]) {
+    const symbol = String(r?.symbol || "").toUpperCase();
+    if (symbol && !entries.has(symbol)) entries.set(symbol, benchmarkFor(r, choice));
+  }
+  const symbols = Array.from(new Set([...entries.values(), ...entries.keys()]));
+  const bars = new Map();
+
+  for (let i = 0; i < symbols.length; i += 5) {
+    throwIfAborted(signal);
+    onProgress?.({ done: i, total: symbols.length });
+    const group = symbols.slice(i, i + 5);
+    const settled = await Promise.allSettled(group.map((s) => fetchHistoricalPrices(s, RS_HISTORY_DAYS, { signal })));
+    settled.forEach((result, idx) => {
+      if (result.status === "fulfilled" && result.value) bars.set(group[idx], result.value);
+      else if (result.status === "rejected" && isAbortError(result.reason)) throw result.reason;
+    });
+  }
+  onProgress?.({ done: symbols.length, total: symbols.length });
+
+  const scored = new Map();
+  for (const [symbol, bench] of entries.entries()) {
+    const rs = bars.has(symbol) && bars.has(bench) ? benchmarkRelativeStrength(bars.get(symbol), bars.get(bench)) : null;
+    if (rs) scored.set(symbol, { rsBenchmark: bench, ...rs });
+  }
+  const scores = Array.from(scored.values(), (s) => s.rsVsBenchmark);
+
+  const out = new Map();
+  for (const r of records || []) {
+    const symbol = String(r?.symbol || "").toUpperCase();
+    const rs = scored.get(symbol);
+    if (!rs) continue;
+    out.set(symbol, { ...rs, rsRating: scores.length >= MIN_RATED ? rsRating(rs.rsVsBenchmark, scores) : null });
+  }
+  console.log(`[RS] Rated ${out.size} of ${(records || []).length} tickers vs ${choice} across ${scores.length} scored tickers`);
+  return out;
+}
+
+module.exports = {
+  BENCHMARKS,
+  DEFAULT_BENCHMARK,
+  RS_HISTORY_DAYS,
+  normalizeBenchmark,
+  benchmarkRelativeStrength,
+  calculateBenchmarkRS
+};
@@ -0,0 +1,104 @@
+/**
+ * Small persistent key/value cache backed by a JSON file in `.cache/`.
+ * Entries keep their own timestamp and are dropped on load once older than the TTL.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CACHE_DIR = path.join(__dirname, "../../.cache");
+
+/**
+ * Create a disk-backed cache.
+ * @param {object} opts
+ * @param {string} opts.fileName - file name inside `.cache/`
+ * @param {number} opts.ttlMs - maximum entry age when loading from disk
+ * @param {string} opts.label - log prefix, e.g. "Finviz"
+ * @param {number} [opts.saveEvery] - save to disk after every N non-null inserts (0 = only on explicit save)
+ * @param {(key: string) => string} [opts.normalizeKey]
+ */
+function createDiskCache({ fileName, ttlMs, label, saveEvery = 0, normalizeKey = (k) => k }) {
+  const file = path.join(CACHE_DIR, fileName);
+  const entries = new Map();
+  const timestamps = new Map();
+
+  function load() {
+    try {
+      if (fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        const now = Date.now();
+
+        // Load valid entries into memory
+        for (const [key, entry] of Object.entries(data)) {
+          if (entry.timestamp && now - entry.timestamp < ttlMs) {
+            entries.set(normalizeKey(key), entry.data);
+            timestamps.set(normalizeKey(key), entry.timestamp);
+          }
+        }
+        console.log(`[${label}] Loaded ${entries.size} cached entries from disk`);
+      }
+    } catch (error) {
+      console.warn(`[${label}] Failed to load cache:`, error.message);
+    }
+  }
+
+  function save() {
+    try {
+      if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+      }
+
+      const obj = {};
+      for (const [key, data] of entries.entries()) {
+        // Null results are only remembered for the current session
+        if (data == null) continue;
+        obj[key] = { data, timestamp: timestamps.get(key) || Date.now() };
+      }
+
+      fs.writeFileSync(file, JSON.stringify(obj, null, 2), "utf8");
+    } catch (error) {
+      console.warn(`[${label}] Failed to save cache:`, error.message);
+    }
+  }
+
+  function set(key, value) {
+    const k = normalizeKey(key);
+    entries.set(k, value);
+    timestamps.set(k, Date.now());
+    if (value != null && saveEvery > 0 && entries.size % saveEvery === 0) {
+      save();
+    }
+  }
+
+  function clear() {
+    entries.clear();
+    timestamps.clear();
+    try {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    } catch (error) {
+      // Ignore
+    }
+  }
+
+  return {
+    file,
+    load,
+    save,
+    set,
+    clear,
+    get: (key) => entries.get(normalizeKey(key)),
+    has: (key) => entries.has(normalizeKey(key)),
+    delete: (key) => entries.delete(normalizeKey(key)),
+    keys: () => entries.keys(),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  createDiskCache
+};
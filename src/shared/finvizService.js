@@ -4,120 +4,24 @@
  * Uses persistent caching to avoid rate limits (429 errors).
  */
 
-const fs = require("fs");
-const path = require("path");
+const { httpFetch, isAbortError } = require("./httpClient");
+const { createDiskCache } = require("./diskCache");
+const { registerIndustryProvider, runProviderBatch } = require("./industryProviders");
 
-// Persistent cache file path
-const CACHE_FILE = path.join(__dirname, "../../.cache/finviz-industry-cache.json");
+// Persistent cache (.cache/finviz-industry-cache.json)
 const CACHE_TTL_MS = 180 * 24 * 60 * 60 * 1000; // 6 months cache (industry categories change rarely)
-
-// In-memory cache
-const finvizCache = new Map();
-
-// Use Node's https module if fetch is not available (Node < 18)
-let httpFetch;
-if (typeof fetch !== "undefined") {
-  httpFetch = fetch;
-} else {
-  const https = require("https");
-  const { URL } = require("url");
-  httpFetch = async (url, options = {}) => {
-    return new Promise((resolve, reject) => {
-      try {
-        const urlObj = new URL(url);
-        const req = https.request(
-          {
-            hostname: urlObj.hostname,
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || "GET",
-            headers: {
-              "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-              ...(options.headers || {})
-            }
-          },
-          (res) => {
-            let data = "";
-            res.on("data", (chunk) => {
-              data += chunk;
-            });
-            res.on("end", () => {
-              try {
-                resolve({
-                  ok: res.statusCode >= 200 && res.statusCode < 300,
-                  status: res.statusCode,
-                  text: async () => data,
-                  json: async () => JSON.parse(data)
-                });
-              } catch (parseError) {
-                reject(new Error(`Failed to parse response: ${parseError.message}`));
-              }
-            });
-          }
-        );
-        req.on("error", reject);
-        req.setTimeout(10000, () => {
-          req.destroy();
-          reject(new Error("Request timeout"));
-        });
-        req.end();
-      } catch (error) {
-        reject(error);
-      }
-    });
-  };
-}
-
-/**
- * Load cache from disk
- */
-function loadFinvizCache() {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const data = fs.readFileSync(CACHE_FILE, "utf8");
-      const cache = JSON.parse(data);
-      const now = Date.now();
-      
-      // Load valid entries into memory
-      for (const [ticker, entry] of Object.entries(cache)) {
-        if (entry.timestamp && (now - entry.timestamp < CACHE_TTL_MS)) {
-          finvizCache.set(ticker.toUpperCase(), entry.data);
-        }
-      }
-      console.log(`[Finviz] Loaded ${finvizCache.size} cached entries from disk`);
-    }
-  } catch (error) {
-    console.warn(`[Finviz] Failed to load cache:`, error.message);
-  }
-}
-
-/**
- * Save cache to disk
- */
-function saveFinvizCache() {
-  try {
-    const cacheDir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-    }
-    
-    const cacheObj = {};
-    for (const [ticker, data] of finvizCache.entries()) {
-      cacheObj[ticker] = {
-        data,
-        timestamp: Date.now()
-      };
-    }
-    
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheObj, null, 2), "utf8");
-  } catch (error) {
-    console.warn(`[Finviz] Failed to save cache:`, error.message);
-  }
-}
+const finvizCache = createDiskCache({
+  fileName: "finviz-industry-cache.json",
+  ttlMs: CACHE_TTL_MS,
+  label: "Finviz",
+  saveEvery: 5,
+  normalizeKey: (k) => String(k).toUpperCase()
+});
 
 /**
  * Fetch industry and sector for a single ticker from Finviz
  */
-async function fetchFinvizIndustrySector(ticker) {
+async function fetchFinvizIndustrySector(ticker, { signal } = {}) {
   const symbol = String(ticker || "").trim().toUpperCase();
   if (!symbol) return null;
 
@@ -131,6 +35,7 @@ async function fetchFinvizIndustrySector(ticker) {
     // Finviz quote page URL
     const url = `https://finviz.com/quote.ashx?t=${encodeURIComponent(symbol)}`;
     const resp = await httpFetch(url, {
+      signal,
       headers: {
         "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
         Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
@@ -138,6 +43,9 @@ async function fetchFinvizIndustrySector(ticker) {
       }
     });
 
+    if (resp.status === 429) {
+      throw Object.assign(new Error("Finviz HTTP 429"), { status: 429 });
+    }
     if (!resp.ok) {
       console.error(`[Finviz] HTTP error for ${symbol}: status ${resp.status}`);
       return null;
@@ -216,87 +124,42 @@ async function fetchFinvizIndustrySector(ticker) {
 
     const result = (sector || industry) ? { sector, industry, source: "Finviz" } : null;
     
-    // Cache the result (even if null, to avoid repeated failed attempts)
-    if (result) {
-      finvizCache.set(symbol, result);
-      // Save to disk periodically
-      if (finvizCache.size % 5 === 0) {
-        saveFinvizCache();
-      }
-    } else {
-      // Cache null for 7 days to avoid hammering APIs
-      finvizCache.set(symbol, null);
-    }
+    // Cache the result (null is kept for this session only, to avoid repeated failed attempts)
+    finvizCache.set(symbol, result);
 
     return result;
   } catch (error) {
+    // Let the batch loop see rate limiting and cancellation so it can stop early
+    if (error.status === 429 || isAbortError(error)) throw error;
     console.error(`[Finviz] Error fetching data for ${symbol}:`, error.message || error);
     return null;
   }
 }
 
+const finvizProvider = registerIndustryProvider({
+  id: "finviz",
+  label: "Finviz",
+  description: "Finviz industry definitions (cached)",
+  order: 10,
+  fetchOne: fetchFinvizIndustrySector,
+  cache: finvizCache,
+  // Very conservative rate limiting: 2 second delay, 1 at a time
+  rateLimit: { delayMs: 2000, maxConcurrent: 1 }
+});
+
 /**
  * Fetch industry and sector for multiple tickers (with aggressive rate limiting to avoid 429)
+ * Pass `options.signal` to cancel the batch.
  */
 async function fetchFinvizIndustrySectorBatch(tickers, options = {}) {
-  const { delayMs = 2000, maxConcurrent = 1 } = options; // Very conservative defaults
-  const results = new Map();
-  
-  // Filter out tickers we already have cached
-  const uncachedTickers = tickers.filter(t => {
-    const symbol = String(t).trim().toUpperCase();
-    return !finvizCache.has(symbol) || finvizCache.get(symbol) === null;
-  });
-  
-  console.log(`[Finviz] ${uncachedTickers.length}/${tickers.length} tickers need fetching (${tickers.length - uncachedTickers.length} cached)`);
-  
-  // Return cached results immediately
-  for (const ticker of tickers) {
-    const symbol = String(ticker).trim().toUpperCase();
-    const cached = finvizCache.get(symbol);
-    if (cached) {
-      results.set(symbol, cached);
-    }
-  }
-  
-  // Process uncached tickers one at a time with delays to avoid rate limits
-  for (const ticker of uncachedTickers) {
-    try {
-      const data = await fetchFinvizIndustrySector(ticker);
-      if (data) {
-        results.set(String(ticker).trim().toUpperCase(), data);
-      }
-      // Aggressive rate limiting: wait between each request
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
-    } catch (error) {
-      if (error.message && error.message.includes("429")) {
-        console.warn(`[Finviz] Rate limited, stopping batch fetch`);
-        break; // Stop if we hit rate limit
-      }
-      console.error(`[Finviz] Error fetching ${ticker}:`, error.message);
-    }
-  }
-  
-  // Save cache to disk after batch processing
-  saveFinvizCache();
-
-  return results;
+  return runProviderBatch(finvizProvider, tickers, options);
 }
 
 // Load cache on module load
-loadFinvizCache();
+finvizCache.load();
 
 module.exports = {
   fetchFinvizIndustrySector,
   fetchFinvizIndustrySectorBatch,
-  clearCache: () => {
-    finvizCache.clear();
-    try {
-      if (fs.existsSync(CACHE_FILE)) {
-        fs.unlinkSync(CACHE_FILE);
-      }
-    } catch (error) {
-      // Ignore
-    }
-  }
+  clearCache: () => finvizCache.clear()
 };
@@ -0,0 +1,105 @@
+/**
+ * Shared HTTP fetch used by the remote data services.
+ * Uses native fetch when available (Node 18+ or Electron), otherwise falls back
+ * to a minimal https-based implementation with the same response shape.
+ * Both honour `options.signal`, and the abort helpers below let long loops stop early.
+ */
+
+const DEFAULT_USER_AGENT = "Mozilla/5.0 (compatible; stock-details/1.0)";
+
+function createAbortError(message = "Request cancelled") {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+/**
+ * setTimeout as a promise that rejects early with an AbortError when `signal` aborts.
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+let httpFetch;
+if (typeof fetch !== "undefined") {
+  httpFetch = fetch;
+} else {
+  const https = require("https");
+  const { URL } = require("url");
+  httpFetch = async (url, options = {}) => {
+    return new Promise((resolve, reject) => {
+      try {
+        const urlObj = new URL(url);
+        const req = https.request(
+          {
+            hostname: urlObj.hostname,
+            path: urlObj.pathname + urlObj.search,
+            method: options.method || "GET",
+            headers: {
+              "User-Agent": DEFAULT_USER_AGENT,
+              ...(options.headers || {})
+            }
+          },
+          (res) => {
+            let data = "";
+            res.on("data", (chunk) => {
+              data += chunk;
+            });
+            res.on("end", () => {
+              try {
+                resolve({
+                  ok: res.statusCode >= 200 && res.statusCode < 300,
+                  status: res.statusCode,
+                  text: async () => data,
+                  json: async () => JSON.parse(data)
+                });
+              } catch (parseError) {
+                reject(new Error(`Failed to parse response: ${parseError.message}`));
+              }
+            });
+          }
+        );
+        req.on("error", (error) => reject(options.signal?.aborted ? createAbortError() : error));
+        if (options.signal) {
+          if (options.signal.aborted) req.destroy();
+          else options.signal.addEventListener("abort", () => req.destroy(), { once: true });
+        }
+        req.setTimeout(10000, () => {
+          req.destroy();
+          reject(new Error("Request timeout"));
+        });
+        req.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  httpFetch,
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  abortableDelay
+};
@@ -0,0 +1,103 @@
+/**
+ * Per-ticker indicators from daily OHLCV bars ({ date, open, high, low, close, volume }, oldest first),
+ * complementing calculateMA in maService. Each returns null when there isn't enough history.
+ */
+
+const ATR_PERIOD = 14;
+const DOLLAR_VOLUME_PERIOD = 20;
+const RELATIVE_VOLUME_PERIOD = 50;
+const YEAR_TRADING_DAYS = 252;
+// Calendar days of history that cover every indicator (a year of bars plus holidays)
+const INDICATOR_HISTORY_DAYS = 380;
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+/**
+ * Average True Range with Wilder's smoothing: seeded with the mean true range of the first
+ * `period` bars, then ATR = (prev * (period - 1) + TR) / period.
+ */
+function calculateATR(bars, period = ATR_PERIOD) {
+  const valid = (bars || []).filter((b) => isNum(b.high) && isNum(b.low) && isNum(b.close));
+  if (valid.length < period + 1) return null;
+
+  const trueRanges = [];
+  for (let i = 1; i < valid.length; i++) {
+    const { high, low } = valid[i];
+    const prevClose = valid[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+  return atr;
+}
+
+/**
+ * Mean of close × volume over the latest `period` bars.
+ */
+function averageDollarVolume(bars, period = DOLLAR_VOLUME_PERIOD) {
+  const valid = (bars || []).filter((b) => isNum(b.close) && isNum(b.volume));
+  if (valid.length < period) return null;
+  const recent = valid.slice(-period);
+  return recent.reduce((sum, b) => sum + b.close * b.volume, 0) / period;
+}
+
+/**
+ * Latest volume relative to the average of the `period` bars before it (1 = average).
+ */
+function relativeVolume(bars, period = RELATIVE_VOLUME_PERIOD) {
+  const valid = (bars || []).filter((b) => isNum(b.volume));
+  if (valid.length < period + 1) return null;
+  const latest = valid[valid.length - 1].volume;
+  const avg = valid.slice(-period - 1, -1).reduce((sum, b) => sum + b.volume, 0) / period;
+  return avg > 0 ? latest / avg : null;
+}
+
+/**
+ * Distance of the latest close from the highest high and lowest low of the last year of bars
+ * (or all bars for younger listings). Returns { high, low, pctFromHigh (<= 0), pctFromLow (>= 0) }.
+ */
+function fiftyTwoWeekRange(bars, tradingDays = YEAR_TRADING_DAYS) {
+  const valid = (bars || []).filter((b) => isNum(b.close));
+  if (valid.length === 0) return null;
+  const year = valid.slice(-tradingDays);
+  const close = year[year.length - 1].close;
+  const high = Math.max(...year.map((b) => (isNum(b.high) ? b.high : b.close)));
+  const low = Math.min(...year.map((b) => (isNum(b.low) ? b.low : b.close)));
+  if (!(high > 0) || !(low > 0)) return null;
+  return { high, low, pctFromHigh: ((close - high) / high) * 100, pctFromLow: ((close - low) / low) * 100 };
+}
+
+/**
+ * All indicator columns for one ticker:
+ * { atr, atrPct, avgDollarVolume, relVolume, pctFrom52wHigh, pctFrom52wLow }.
+ */
+function calculateIndicators(bars) {
+  const close = bars?.[bars.length - 1]?.close;
+  const atr = calculateATR(bars);
+  const range = fiftyTwoWeekRange(bars);
+  return {
+    atr,
+    atrPct: atr != null && isNum(close) && close > 0 ? (atr / close) * 100 : null,
+    avgDollarVolume: averageDollarVolume(bars),
+    relVolume: relativeVolume(bars),
+    pctFrom52wHigh: range?.pctFromHigh ?? null,
+    pctFrom52wLow: range?.pctFromLow ?? null
+  };
+}
+
+module.exports = {
+  ATR_PERIOD,
+  DOLLAR_VOLUME_PERIOD,
+  RELATIVE_VOLUME_PERIOD,
+  INDICATOR_HISTORY_DAYS,
+  calculateATR,
+  averageDollarVolume,
+  relativeVolume,
+  fiftyTwoWeekRange,
+  calculateIndicators
+};
@@ -0,0 +1,156 @@
+/**
+ * Registry of industry/sector classification providers.
+ *
+ * A provider is a plain object registered with `registerIndustryProvider`:
+ *   id, label, description, order       - identity and display order in the UI
+ *   fetchOne(ticker, { signal })        - fetch hook: resolves to { industry, sector, source } or null
+ *   fetchBatch(tickers, options)        - optional batch hook; defaults to runProviderBatch
+ *                                         (options.onProgress reports { done, total, cacheHits };
+ *                                         options.signal aborts the batch)
+ *   cache                               - optional cache hook (see diskCache.createDiskCache)
+ *   rateLimit: { delayMs, maxConcurrent } - rate-limit hook used by runProviderBatch
+ *   external                            - false for providers that keep the StockCharts classification
+ *   offline                             - true when lookups are local, so the whole universe can be
+ *                                         classified and industry stats use the provider's taxonomy
+ *   requiresFile                        - true when the UI must offer a file picker for the provider's data
+ */
+
+const { isAbortError, throwIfAborted, abortableDelay } = require("./httpClient");
+
+const providers = new Map();
+
+function registerIndustryProvider(provider) {
+  if (!provider || !provider.id) {
+    throw new Error("Industry provider must have an id");
+  }
+  if (provider.external !== false && typeof provider.fetchOne !== "function" && typeof provider.fetchBatch !== "function") {
+    throw new Error(`Industry provider "${provider.id}" must implement fetchOne or fetchBatch`);
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+function getIndustryProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Describe registered providers for the UI (no functions, safe to send over IPC/HTTP).
+ */
+function listIndustryProviders() {
+  return Array.from(providers.values())
+    .sort((a, b) => (a.order ?? 100) - (b.order ?? 100))
+    .map((p) => ({
+      value: p.id,
+      label: p.label || p.id,
+      description: p.description || "",
+      requiresFile: Boolean(p.requiresFile)
+    }));
+}
+
+function isRateLimitError(error) {
+  return error?.status === 429 || Boolean(error?.message && error.message.includes("429"));
+}
+
+/**
+ * Default batch loop: return cached results immediately, then fetch the rest in groups of
+ * `maxConcurrent` with `delayMs` between groups. Stops early when the provider is rate limited.
+ * `options.onProgress({ done, total, cacheHits })` is called after the cache pass and after each group.
+ * Aborting `options.signal` stops between groups (and cancels in-flight requests); results fetched
+ * so far are still cached, then the AbortError is rethrown.
+ */
+async function runProviderBatch(provider, tickers, options = {}) {
+  const { delayMs = 0, maxConcurrent = 1, onProgress, signal } = { ...(provider.rateLimit || {}), ...options };
+  const label = provider.label || provider.id;
+  const cache = provider.cache;
+  const results = new Map();
+
+  const symbols = Array.from(
+    new Set((tickers || []).map((t) => String(t || "").trim().toUpperCase()).filter(Boolean))
+  );
+
+  // Return cached results immediately; null entries are retried
+  const uncached = [];
+  for (const symbol of symbols) {
+    const cached = cache?.get(symbol);
+    if (cached) results.set(symbol, cached);
+    else uncached.push(symbol);
+  }
+
+  const cacheHits = symbols.length - uncached.length;
+  const reportProgress = (done) => {
+    try {
+      onProgress?.({ done, total: symbols.length, cacheHits });
+    } catch (error) {
+      console.warn(`[${label}] Progress callback failed:`, error.message);
+    }
+  };
+
+  console.log(`[${label}] ${uncached.length}/${symbols.length} tickers need fetching (${cacheHits} cached)`);
+  reportProgress(cacheHits);
+
+  const size = Math.max(1, maxConcurrent);
+  try {
+    for (let i = 0; i < uncached.length; i += size) {
+      throwIfAborted(signal);
+      const group = uncached.slice(i, i + size);
+      const settled = await Promise.allSettled(group.map((symbol) => provider.fetchOne(symbol, { signal })));
+
+      let rateLimited = false;
+      settled.forEach((result, idx) => {
+        if (result.status === "fulfilled") {
+          if (result.value) results.set(group[idx], result.value);
+        } else if (isRateLimitError(result.reason)) {
+          rateLimited = true;
+        } else if (!isAbortError(result.reason)) {
+          console.error(`[${label}] Error fetching ${group[idx]}:`, result.reason?.message || result.reason);
+        }
+      });
+
+      reportProgress(cacheHits + Math.min(i + size, uncached.length));
+
+      if (rateLimited) {
+        console.warn(`[${label}] Rate limited, stopping batch fetch`);
+        break;
+      }
+
+      throwIfAborted(signal);
+
+      // Rate limiting between groups
+      if (delayMs > 0 && i + size < uncached.length) {
+        await abortableDelay(delayMs, signal);
+      }
+    }
+  } finally {
+    // Save cache to disk after batch processing (also when cancelled, to keep what was fetched)
+    cache?.save();
+  }
+
+  return results;
+}
+
+/**
+ * Fetch classifications for tickers through the provider's batch hook.
+ */
+async function fetchIndustriesWithProvider(provider, tickers, options = {}) {
+  if (!provider || provider.external === false) return new Map();
+  if (typeof provider.fetchBatch === "function") return provider.fetchBatch(tickers, options);
+  return runProviderBatch(provider, tickers, options);
+}
+
+// StockCharts classification ships with the SCTR data itself, so there is nothing to fetch.
+registerIndustryProvider({
+  id: "stockcharts",
+  label: "StockCharts",
+  description: "StockCharts SCTR data",
+  order: 20,
+  external: false
+});
+
+module.exports = {
+  registerIndustryProvider,
+  getIndustryProvider,
+  listIndustryProviders,
+  runProviderBatch,
+  fetchIndustriesWithProvider
+};
@@ -0,0 +1,214 @@
+/**
+ * Offline industry and sector classification from a user-maintained CSV or JSON file
+ * (e.g. a GICS export or an in-house taxonomy).
+ * The last loaded mapping is persisted so it survives restarts; when the file was loaded
+ * from a path on disk it is re-read whenever that file changes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+
+const { CACHE_DIR } = require("./diskCache");
+const { registerIndustryProvider } = require("./industryProviders");
+
+const STATE_FILE = path.join(CACHE_DIR, "local-industry-file.json");
+const SOURCE_LABEL = "Local File";
+
+const TICKER_COLUMNS = ["ticker", "symbol", "tickers", "symbols", "sym"];
+const INDUSTRY_COLUMNS = ["industry", "sub-industry", "gics sub-industry", "gics industry", "sub_industry", "group", "industry group"];
+const SECTOR_COLUMNS = ["sector", "gics sector", "sector name"];
+
+// Current mapping: { fileName, filePath, mtimeMs, loadedAt, entries: { SYMBOL: { industry, sector } } }
+let state = null;
+
+function findColumn(columns, candidates) {
+  const normalized = columns.map((c) => String(c || "").trim().toLowerCase());
+  for (const candidate of candidates) {
+    const idx = normalized.indexOf(candidate);
+    if (idx >= 0) return columns[idx];
+  }
+  for (const candidate of candidates) {
+    const idx = normalized.findIndex((c) => c.includes(candidate));
+    if (idx >= 0) return columns[idx];
+  }
+  return null;
+}
+
+function cleanValue(v) {
+  const s = v == null ? "" : String(v).trim();
+  return s || null;
+}
+
+function addEntry(entries, ticker, industry, sector) {
+  const symbol = String(ticker || "").trim().toUpperCase();
+  const ind = cleanValue(industry);
+  const sec = cleanValue(sector);
+  if (!symbol || (!ind && !sec)) return;
+  entries[symbol] = { industry: ind, sector: sec };
+}
+
+function rowsToEntries(rows) {
+  const entries = {};
+  if (rows.length === 0) return entries;
+  const columns = Object.keys(rows[0]);
+  const tickerCol = findColumn(columns, TICKER_COLUMNS);
+  const industryCol = findColumn(columns, INDUSTRY_COLUMNS);
+  const sectorCol = findColumn(columns, SECTOR_COLUMNS);
+  if (!tickerCol || (!industryCol && !sectorCol)) {
+    throw new Error("Industry file needs a ticker/symbol column and an industry or sector column");
+  }
+  for (const row of rows) {
+    addEntry(entries, row?.[tickerCol], industryCol ? row?.[industryCol] : null, sectorCol ? row?.[sectorCol] : null);
+  }
+  return entries;
+}
+
+/**
+ * Parse a ticker -> industry/sector mapping.
+ * JSON may be an array of rows, an object of { TICKER: { industry, sector } }, or { TICKER: "Industry" }.
+ * CSV/TSV needs a header row with ticker/symbol and industry and/or sector columns.
+ */
+function parseIndustryFile(content, fileName = "") {
+  const text = String(content || "").replace(/^\uFEFF/, "");
+  const looksJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (looksJson) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+      return rowsToEntries(data.filter((r) => r && typeof r === "object"));
+    }
+    const entries = {};
+    for (const [ticker, value] of Object.entries(data || {})) {
+      if (typeof value === "string") addEntry(entries, ticker, value, null);
+      else if (value && typeof value === "object") addEntry(entries, ticker, value.industry, value.sector);
+    }
+    return entries;
+  }
+
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: false });
+  const rows = Array.isArray(parsed.data) ? parsed.data.filter((r) => r && typeof r === "object") : [];
+  return rowsToEntries(rows);
+}
+
+function saveState() {
+  try {
+    if (!fs.existsSync(CACHE_DIR)) {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state), "utf8");
+  } catch (error) {
+    console.warn(`[LocalFile] Failed to save industry mapping:`, error.message);
+  }
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      state = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+      console.log(`[LocalFile] Loaded ${Object.keys(state?.entries || {}).length} industry mappings from ${state?.fileName}`);
+    }
+  } catch (error) {
+    console.warn(`[LocalFile] Failed to load industry mapping:`, error.message);
+  }
+}
+
+/**
+ * Re-read the source file if it was loaded from disk and has changed since.
+ */
+function refreshFromDisk() {
+  if (!state?.filePath) return;
+  try {
+    const stat = fs.statSync(state.filePath);
+    if (stat.mtimeMs === state.mtimeMs) return;
+    const entries = parseIndustryFile(fs.readFileSync(state.filePath, "utf8"), state.fileName);
+    state = { ...state, entries, mtimeMs: stat.mtimeMs, loadedAt: new Date().toISOString() };
+    saveState();
+    console.log(`[LocalFile] Reloaded ${Object.keys(entries).length} mappings from ${state.filePath}`);
+  } catch (error) {
+    console.warn(`[LocalFile] Failed to re-read ${state.filePath}, keeping last loaded mapping:`, error.message);
+  }
+}
+
+/**
+ * Load a new mapping. Pass `content` for uploaded files, or `filePath` to read (and later re-read) from disk.
+ */
+function loadIndustryFile({ name, content, filePath } = {}) {
+  let text = content;
+  let mtimeMs = null;
+  if (filePath && fs.existsSync(filePath)) {
+    text = fs.readFileSync(filePath, "utf8");
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  }
+  if (text == null || text === "") {
+    throw new Error("Industry file is empty");
+  }
+
+  const fileName = name || (filePath ? path.basename(filePath) : "industries");
+  const entries = parseIndustryFile(text, fileName);
+  const count = Object.keys(entries).length;
+  if (count === 0) {
+    throw new Error(`No ticker classifications found in ${fileName}`);
+  }
+
+  state = {
+    fileName,
+    filePath: mtimeMs != null ? filePath : null,
+    mtimeMs,
+    loadedAt: new Date().toISOString(),
+    entries
+  };
+  saveState();
+  console.log(`[LocalFile] Loaded ${count} industry mappings from ${fileName}`);
+  return getIndustryFileStatus();
+}
+
+function getIndustryFileStatus() {
+  if (!state) return { loaded: false };
+  const entries = Object.values(state.entries || {});
+  return {
+    loaded: true,
+    fileName: state.fileName,
+    filePath: state.filePath,
+    loadedAt: state.loadedAt,
+    tickerCount: entries.length,
+    industryCount: new Set(entries.map((e) => e.industry).filter(Boolean)).size,
+    sectorCount: new Set(entries.map((e) => e.sector).filter(Boolean)).size
+  };
+}
+
+async function fetchLocalIndustrySectorBatch(tickers) {
+  refreshFromDisk();
+  const results = new Map();
+  if (!state) {
+    console.warn(`[LocalFile] No industry file loaded`);
+    return results;
+  }
+  for (const ticker of tickers || []) {
+    const symbol = String(ticker || "").trim().toUpperCase();
+    const entry = state.entries[symbol];
+    if (entry) results.set(symbol, { ...entry, source: SOURCE_LABEL });
+  }
+  return results;
+}
+
+registerIndustryProvider({
+  id: "localfile",
+  label: SOURCE_LABEL,
+  description: "Your own CSV/JSON ticker → industry/sector file",
+  order: 40,
+  // No network: the whole universe can be classified, so stats use this taxonomy
+  offline: true,
+  requiresFile: true,
+  fetchBatch: fetchLocalIndustrySectorBatch
+});
+
+// Load last mapping on module load
+loadState();
+
+module.exports = {
+  parseIndustryFile,
+  loadIndustryFile,
+  getIndustryFileStatus,
+  fetchLocalIndustrySectorBatch
+};
@@ -0,0 +1,198 @@
+/**
+ * Local SCTR-style technical rank for tickers outside StockCharts' universes.
+ * Applies the published SCTR weighting to daily closes:
+ *   long-term   60%: % above the 200-day EMA (30%), 125-day rate of change (30%)
+ *   medium-term 30%: % above the 50-day EMA (15%), 20-day rate of change (15%)
+ *   short-term  10%: 3-day slope of the PPO(12,26,9) histogram (5%), 14-day RSI (5%)
+ * The raw score is then percentile-ranked (0–99.9) against the raw scores of a peer set,
+ * so the value is comparable in spirit, not identical, to StockCharts' own SCTR.
+ */
+
+const { calculateMA, fetchHistoricalPrices } = require("./maService");
+const { throwIfAborted, isAbortError } = require("./httpClient");
+
+// Calendar days of history: 200 EMA needs 200 bars before it means anything
+const LOCAL_SCTR_HISTORY_DAYS = 420;
+const MIN_BARS = 200;
+// Fewer peers than this make a percentile meaningless
+const MIN_PEERS = 5;
+const DEFAULT_PEER_SAMPLE = 50;
+
+// Peer sets: a sample of the selected universe, or the requested tickers themselves
+const LOCAL_SCTR_PEER_SETS = ["universe", "tickers", "off"];
+
+function normalizeLocalSctrPeers(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return LOCAL_SCTR_PEER_SETS.includes(v) ? v : "universe";
+}
+
+function emaSeries(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const out = [ema];
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out.push(ema);
+  }
+  return out;
+}
+
+function rateOfChange(closes, period) {
+  if (closes.length <= period) return null;
+  const past = closes[closes.length - 1 - period];
+  return past > 0 ? ((closes[closes.length - 1] - past) / past) * 100 : null;
+}
+
+// Wilder's RSI
+function rsi(closes, period = 14) {
+  if (closes.length <= period) return null;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+  if (loss === 0) return 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+// 3-day slope of the PPO(12,26,9) histogram
+function ppoHistogramSlope(closes) {
+  const fast = emaSeries(closes, 12);
+  const slow = emaSeries(closes, 26);
+  if (slow.length === 0) return null;
+  // Align both EMAs on the bars where the slow one exists
+  const offset = fast.length - slow.length;
+  const ppo = slow.map((s, i) => ((fast[i + offset] - s) / s) * 100);
+  const signal = emaSeries(ppo, 9);
+  if (signal.length < 4) return null;
+  const histOffset = ppo.length - signal.length;
+  const hist = signal.map((s, i) => ppo[i + histOffset] - s);
+  return (hist[hist.length - 1] - hist[hist.length - 4]) / 3;
+}
+
+/**
+ * The six SCTR components of a bar series (oldest first), or null with too little history.
+ * ppoSlopeScore maps the histogram slope onto 0–100: below -1 is 0, above +1 is 100.
+ */
+function sctrComponents(bars) {
+  const valid = (bars || []).filter((b) => typeof b.close === "number" && b.close > 0);
+  if (valid.length < MIN_BARS) return null;
+  const closes = valid.map((b) => b.close);
+  const close = closes[closes.length - 1];
+  const ema200 = calculateMA(valid, 200, "EMA");
+  const ema50 = calculateMA(valid, 50, "EMA");
+  const slope = ppoHistogramSlope(closes);
+  const components = {
+    pctAboveEma200: ema200 ? ((close - ema200) / ema200) * 100 : null,
+    roc125: rateOfChange(closes, 125),
+    pctAboveEma50: ema50 ? ((close - ema50) / ema50) * 100 : null,
+    roc20: rateOfChange(closes, 20),
+    ppoSlopeScore: slope == null ? null : Math.min(100, Math.max(0, (slope + 1) * 50)),
+    rsi14: rsi(closes, 14)
+  };
+  return Object.values(components).some((v) => v == null) ? null : components;
+}
+
+function rawSctrScore(bars) {
+  const c = sctrComponents(bars);
+  if (!c) return null;
+  return (
+    0.3 * c.pctAboveEma200 +
+    0.3 * c.roc125 +
+    0.15 * c.pctAboveEma50 +
+    0.15 * c.roc20 +
+    0.05 * c.ppoSlopeScore +
+    0.05 * c.rsi14
+  );
+}
+
+// Share of peer scores below `score` (ties count half), on SCTR's 0–99.9 scale
+function percentileRank(score, peerScores) {
+  let below = 0;
+  for (const p of peerScores) {
+    if (p < score) below++;
+    else if (p === score) below += 0.5;
+  }
+  return Math.min(99.9, Math.round((below / peerScores.length) * 1000) / 10);
+}
+
+/**
+ * Universe members spread evenly over the SCTR ranking, so the sample mirrors the universe's distribution.
+ */
+function sampleUniversePeers(universeRecords, size = DEFAULT_PEER_SAMPLE) {
+  const ranked = (universeRecords || [])
+    .filter((r) => r?.symbol && typeof r.SCTR === "number")
+    .sort((a, b) => b.SCTR - a.SCTR);
+  if (ranked.length <= size) return ranked.map((r) => String(r.symbol).toUpperCase());
+  const step = ranked.length / size;
+  return Array.from({ length: size }, (_, i) => String(ranked[Math.floor(i * step)].symbol).toUpperCase());
+}
+
+/**
+ * Locally computed SCTR for `symbols`, ranked against `peerSymbols`.
+ * Returns Map(symbol → { SCTR, raw, peers, date, close, volume }); symbols without enough history are left out.
+ * `onProgress({ done, total })` follows the price-history fetches.
+ */
+async function computeLocalSctr(symbols, peerSymbols, { signal, onProgress } = {}) {
+  const targets = Array.from(new Set(symbols.map((s) => String(s).toUpperCase())));
+  // Peers may include the targets themselves (the "tickers" peer set ranks them among each other)
+  const peers = Array.from(new Set(peerSymbols.map((s) => String(s).toUpperCase())));
+  const all = Array.from(new Set([...targets, ...peers]));
+  const bars = new Map();
+
+  for (let i = 0; i < all.length; i += 5) {
+    throwIfAborted(signal);
+    onProgress?.({ done: i, total: all.length });
+    const group = all.slice(i, i + 5);
+    const settled = await Promise.allSettled(group.map((s) => fetchHistoricalPrices(s, LOCAL_SCTR_HISTORY_DAYS, { signal })));
+    settled.forEach((result, idx) => {
+      if (result.status === "fulfilled" && result.value) bars.set(group[idx], result.value);
+      else if (result.status === "rejected" && isAbortError(result.reason)) throw result.reason;
+    });
+  }
+  onProgress?.({ done: all.length, total: all.length });
+
+  const peerScores = peers.map((s) => rawSctrScore(bars.get(s))).filter((v) => v != null);
+  const out = new Map();
+  if (peerScores.length < MIN_PEERS) {
+    console.warn(`[LocalSCTR] Only ${peerScores.length} peers with enough history; skipping local SCTR`);
+    return out;
+  }
+  for (const symbol of targets) {
+    const series = bars.get(symbol);
+    const raw = rawSctrScore(series);
+    if (raw == null) continue;
+    const last = series[series.length - 1];
+    out.set(symbol, {
+      SCTR: percentileRank(raw, peerScores),
+      raw,
+      peers: peerScores.length,
+      date: last.date,
+      close: last.close,
+      volume: last.volume ?? null
+    });
+  }
+  console.log(`[LocalSCTR] Ranked ${out.size} of ${targets.length} tickers against ${peerScores.length} peers`);
+  return out;
+}
+
+module.exports = {
+  LOCAL_SCTR_PEER_SETS,
+  LOCAL_SCTR_HISTORY_DAYS,
+  normalizeLocalSctrPeers,
+  sctrComponents,
+  rawSctrScore,
+  percentileRank,
+  sampleUniversePeers,
+  computeLocalSctr
+};
@@ -1,75 +1,23 @@
 /**
  * Calculate 50-day moving average position for industries.
  * Uses known industry/sector ETFs when available, otherwise calculates from individual stocks.
- * Includes persistent disk caching to avoid redundant API calls.
+ * Daily prices come from the local price store (see priceStore.js); industry results are cached on disk for a day.
  */
 
 const fs = require("fs");
 const path = require("path");
 
-// Use Node's https module if fetch is not available (Node < 18)
-let httpFetch;
-if (typeof fetch !== "undefined") {
-  // Use native fetch if available (Node 18+ or Electron)
-  httpFetch = fetch;
-} else {
-  // Fallback to https module for older Node versions
-  const https = require("https");
-  const { URL } = require("url");
-  httpFetch = async (url, options = {}) => {
-    return new Promise((resolve, reject) => {
-      try {
-        const urlObj = new URL(url);
-        const req = https.request(
-          {
-            hostname: urlObj.hostname,
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || "GET",
-            headers: {
-              "User-Agent": "Mozilla/5.0 (compatible; stock-details/1.0)",
-              ...(options.headers || {})
-            }
-          },
-          (res) => {
-            let data = "";
-            res.on("data", (chunk) => {
-              data += chunk;
-            });
-            res.on("end", () => {
-              try {
-                resolve({
-                  ok: res.statusCode >= 200 && res.statusCode < 300,
-                  status: res.statusCode,
-                  json: async () => JSON.parse(data),
-                  text: async () => data
-                });
-              } catch (parseError) {
-                reject(new Error(`Failed to parse response: ${parseError.message}`));
-              }
-            });
-          }
-        );
-        req.on("error", reject);
-        req.setTimeout(10000, () => {
-          req.destroy();
-          reject(new Error("Request timeout"));
-        });
-        req.end();
-      } catch (error) {
-        reject(error);
-      }
-    });
-  };
-}
+const { isAbortError, abortableDelay } = require("./httpClient");
+const { getDailyBars, clearPriceStore } = require("./priceStore");
+const { INDICATOR_HISTORY_DAYS, calculateIndicators } = require("./indicators");
 
 // Persistent cache files
-const PRICES_CACHE_FILE = path.join(__dirname, "../../.cache/ma50-prices-cache.json");
+// Per-key price cache used before the price store; removed on load
+const LEGACY_PRICES_CACHE_FILE = path.join(__dirname, "../../.cache/ma50-prices-cache.json");
 const INDUSTRY_MA50_CACHE_FILE = path.join(__dirname, "../../.cache/ma50-industry-cache.json");
-const PRICES_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day cache for price data
 const INDUSTRY_MA50_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day cache for MA50 calculations
 
-// In-memory caches (loaded from disk)
-const pricesCache = new Map();
+// In-memory cache (loaded from disk)
 const industryMA50Cache = new Map();
 
 // Mapping of industries to known ETF tickers
@@ -181,50 +129,14 @@ const SECTOR_ETF_MAP = {
   "Communication Services": "XLC" // Communication Services Select Sector SPDR Fund
 };
 
-/**
- * Load prices cache from disk
- */
-function loadPricesCache() {
-  try {
-    if (fs.existsSync(PRICES_CACHE_FILE)) {
-      const data = fs.readFileSync(PRICES_CACHE_FILE, "utf8");
-      const cache = JSON.parse(data);
-      const now = Date.now();
-      
-      // Load valid entries into memory
-      for (const [key, entry] of Object.entries(cache)) {
-        if (entry.timestamp && (now - entry.timestamp < PRICES_CACHE_TTL_MS)) {
-          pricesCache.set(key, entry.data);
-        }
-      }
-      console.log(`[MA50] Loaded ${pricesCache.size} cached price entries from disk`);
-    }
-  } catch (error) {
-    console.warn(`[MA50] Failed to load prices cache:`, error.message);
-  }
-}
-
-/**
- * Save prices cache to disk
- */
-function savePricesCache() {
+function removeLegacyPricesCache() {
   try {
-    const cacheDir = path.dirname(PRICES_CACHE_FILE);
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-    }
-    
-    const cacheObj = {};
-    for (const [key, data] of pricesCache.entries()) {
-      cacheObj[key] = {
-        data,
-        timestamp: Date.now()
-      };
+    if (fs.existsSync(LEGACY_PRICES_CACHE_FILE)) {
+      fs.unlinkSync(LEGACY_PRICES_CACHE_FILE);
+      console.log(`[MA50] Removed legacy prices cache (prices now live in the local price store)`);
     }
-    
-    fs.writeFileSync(PRICES_CACHE_FILE, JSON.stringify(cacheObj, null, 2), "utf8");
   } catch (error) {
-    console.warn(`[MA50] Failed to save prices cache:`, error.message);
+    console.warn(`[MA50] Failed to remove legacy prices cache:`, error.message);
   }
 }
 
@@ -275,98 +187,96 @@ function saveIndustryMA50Cache() {
   }
 }
 
-async function fetchHistoricalPrices(symbol, days = 90) {
-  // Check cache first
-  const cacheKey = `prices_${symbol}_${days}`;
-  const cached = pricesCache.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
-
-  // Yahoo Finance API endpoint (no key required)
-  // Request 90 calendar days to ensure we get at least 50 trading days
-  const endDate = Math.floor(Date.now() / 1000);
-  const startDate = endDate - 90 * 24 * 60 * 60; // 90 days ago in seconds
+/**
+ * Daily bars ({ date, open, high, low, close, volume }) of the last `days` calendar days,
+ * or null with fewer than 50 bars. Default 90 calendar days ensures we get at least 50 trading days.
+ */
+async function fetchHistoricalPrices(symbol, days = 90, { signal } = {}) {
+  const bars = await getDailyBars(symbol, days, { signal });
+  return bars && bars.length >= 50 ? bars : null;
+}
 
-  try {
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&period1=${startDate}&period2=${endDate}`;
-    const resp = await httpFetch(url, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (compatible; stock-details/1.0)"
-      }
-    });
+const MA_TYPES = ["SMA", "EMA", "WMA"];
+const DEFAULT_MA_SPECS = [{ period: 50, type: "SMA" }];
 
-    if (!resp.ok) {
-      console.error(`[MA50] HTTP error fetching ${symbol}: status ${resp.status}`);
-      try {
-        const errorText = await resp.text();
-        console.error(`[MA50] Error response body: ${errorText.substring(0, 200)}`);
-      } catch (e) {
-        // Ignore text parsing errors
-      }
-      return null;
-    }
+/**
+ * Moving average of the latest `period` closes.
+ * SMA: simple mean. WMA: linearly weighted (latest bar weighs most).
+ * EMA: seeded with the SMA of the oldest `period` closes, then smoothed over the rest of the series.
+ */
+function calculateMA(prices, period = 50, type = "SMA") {
+  if (!prices || prices.length < period) return null;
 
-    const data = await resp.json();
-    if (!data) {
-      console.error(`[MA50] No data returned for ${symbol}`);
-      return null;
-    }
-    
-    const result = data?.chart?.result?.[0];
-    if (!result || !result.timestamp || !result.indicators?.quote?.[0]?.close) {
-      console.error(`[MA50] Invalid data structure for ${symbol}:`, {
-        hasChart: !!data?.chart,
-        hasResult: !!result,
-        hasTimestamp: !!result?.timestamp,
-        hasClose: !!result?.indicators?.quote?.[0]?.close,
-        resultKeys: result ? Object.keys(result) : [],
-        indicators: result?.indicators ? Object.keys(result.indicators) : []
-      });
-      return null;
+  if (type === "EMA") {
+    const k = 2 / (period + 1);
+    let ema = prices.slice(0, period).reduce((acc, p) => acc + (p.close || 0), 0) / period;
+    for (let i = period; i < prices.length; i++) {
+      ema = (prices[i].close || 0) * k + ema * (1 - k);
     }
+    return ema;
+  }
 
-    const timestamps = result.timestamp;
-    const closes = result.indicators.quote[0].close;
-    const prices = [];
+  const recent = prices.slice(-period);
+  if (type === "WMA") {
+    let weighted = 0;
+    recent.forEach((p, i) => {
+      weighted += (p.close || 0) * (i + 1);
+    });
+    return weighted / ((period * (period + 1)) / 2);
+  }
 
-    for (let i = 0; i < timestamps.length && i < closes.length; i++) {
-      if (closes[i] != null && timestamps[i] != null) {
-        prices.push({
-          date: new Date(timestamps[i] * 1000).toISOString().split("T")[0],
-          close: closes[i]
-        });
-      }
-    }
+  const sum = recent.reduce((acc, p) => acc + (p.close || 0), 0);
+  return sum / period;
+}
 
-    const resultData = prices.length >= 50 ? prices : null;
-    
-    if (resultData) {
-      pricesCache.set(cacheKey, resultData);
-      // Save to disk periodically (every 10 new entries)
-      if (pricesCache.size % 10 === 0) {
-        savePricesCache();
-      }
-    }
-    
-    return resultData;
-  } catch (error) {
-    console.error(`[MA50] Error fetching historical data for ${symbol}:`, error.message || error);
-    console.error(`[MA50] Error stack:`, error.stack);
-    return null;
+/**
+ * Normalize requested MA specs: [{ period, type }] with known types, sane periods and no duplicates.
+ * Each spec gets a `key` like "EMA21" used for result field names.
+ */
+function normalizeMASpecs(specs) {
+  const out = [];
+  const seen = new Set();
+  for (const spec of Array.isArray(specs) ? specs : []) {
+    const period = Math.trunc(Number(spec?.period));
+    const type = String(spec?.type || "SMA").trim().toUpperCase();
+    if (!Number.isFinite(period) || period < 2 || period > 400 || !MA_TYPES.includes(type)) continue;
+    const key = `${type}${period}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ period, type, key });
   }
+  return out;
 }
 
-function calculateMA(prices, period = 50) {
-  if (!prices || prices.length < period) return null;
+/**
+ * Calendar days of history needed to compute every spec (EMAs get extra bars to warm up).
+ */
+function historyDaysForMASpecs(specs) {
+  let tradingDays = 50;
+  for (const spec of specs) {
+    tradingDays = Math.max(tradingDays, spec.type === "EMA" ? spec.period * 2 : spec.period);
+  }
+  return Math.max(90, Math.ceil((tradingDays * 7) / 5) + 15);
+}
 
-  const recent = prices.slice(-period);
-  const sum = recent.reduce((acc, p) => acc + (p.close || 0), 0);
-  return sum / period;
+/**
+ * Distance of the latest close from each requested MA.
+ * Returns { [key]: { ma, distancePct, above } } (null entries when there isn't enough history).
+ */
+function calculateMADistances(prices, specs) {
+  const out = {};
+  const close = prices?.[prices.length - 1]?.close;
+  for (const spec of specs) {
+    const ma = close != null ? calculateMA(prices, spec.period, spec.type) : null;
+    out[spec.key] = ma
+      ? { ma, distancePct: ((close - ma) / ma) * 100, above: close > ma }
+      : null;
+  }
+  return out;
 }
 
-async function calculateIndustryMA50FromETF(etfSymbol) {
-  const prices = await fetchHistoricalPrices(etfSymbol, 90);
+async function calculateIndustryMA50FromETF(etfSymbol, { signal } = {}) {
+  const prices = await fetchHistoricalPrices(etfSymbol, 90, { signal });
   if (!prices || prices.length < 50) {
     return null;
   }
@@ -387,7 +297,28 @@ async function calculateIndustryMA50FromETF(etfSymbol) {
   };
 }
 
-async function calculateIndustryMA50FromStocks(industryRecords, allRecords) {
+// How the synthetic industry index is built from member stocks:
+// "cap"   - market-cap-weighted daily returns (default)
+// "equal" - equal-weight daily returns
+// "price" - plain average of closing prices (legacy; high-priced stocks dominate)
+const INDEX_METHODS = ["cap", "equal", "price"];
+const DEFAULT_INDEX_METHOD = "cap";
+const INDEX_MAX_STOCKS = 20;
+const INDEX_BASE = 100;
+
+function normalizeIndexMethod(method) {
+  const m = String(method || "").trim().toLowerCase();
+  return INDEX_METHODS.includes(m) ? m : DEFAULT_INDEX_METHOD;
+}
+
+/**
+ * Build a synthetic industry index from member stock prices over `days` calendar days.
+ * Constituents are the largest INDEX_MAX_STOCKS members by market cap. Returns-based methods
+ * chain daily returns from a base of 100 so a member missing a day simply drops out of that day.
+ * "cap" falls back to "equal" when no member has a market cap.
+ * Returns { industryIndex: [{ date, close }], indexMethod, stocksUsed, totalStocks } or null.
+ */
+async function buildIndustryIndexFromStocks(industryRecords, allRecords, days = 90, method = DEFAULT_INDEX_METHOD, { signal } = {}) {
   // Get all stocks in this industry
   const industryName = industryRecords[0]?.industry;
   if (!industryName) return null;
@@ -398,10 +329,10 @@ async function calculateIndustryMA50FromStocks(industryRecords, allRecords) {
 
   if (allIndustryStocks.length === 0) return null;
 
-  // Sample up to 20 stocks to build industry index (or use all if smaller)
-  const stocksToCheck = allIndustryStocks.length <= 20
-    ? allIndustryStocks
-    : allIndustryStocks.slice(0, 20);
+  // Sample the largest members by market cap (members without a cap go last)
+  const stocksToCheck = [...allIndustryStocks]
+    .sort((a, b) => (b.marketCap ?? -Infinity) - (a.marketCap ?? -Infinity))
+    .slice(0, INDEX_MAX_STOCKS);
 
   // Fetch historical data for stocks (with rate limiting)
   const stockPrices = [];
@@ -409,47 +340,84 @@ async function calculateIndustryMA50FromStocks(industryRecords, allRecords) {
     const symbol = String(stock.symbol || "").trim();
     if (!symbol) continue;
 
-    const prices = await fetchHistoricalPrices(symbol, 90);
+    const prices = await fetchHistoricalPrices(symbol, days, { signal });
     if (prices && prices.length >= 50) {
-      stockPrices.push({ symbol, prices });
+      const byDate = new Map(prices.filter((p) => p.close != null).map((p) => [p.date, p.close]));
+      const lastClose = prices[prices.length - 1]?.close;
+      const marketCap = typeof stock.marketCap === "number" && stock.marketCap > 0 ? stock.marketCap : null;
+      stockPrices.push({ symbol, byDate, lastClose, marketCap });
     }
 
     // Rate limiting: small delay between requests
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    await abortableDelay(100, signal);
   }
 
   if (stockPrices.length === 0) return null;
 
-  // Build industry index: average price across all stocks for each day
   const dateSet = new Set();
-  for (const { prices } of stockPrices) {
-    for (const p of prices) {
-      dateSet.add(p.date);
+  for (const { byDate } of stockPrices) {
+    for (const date of byDate.keys()) {
+      dateSet.add(date);
     }
   }
 
   const dates = Array.from(dateSet).sort();
   if (dates.length < 50) return null;
 
-  // Calculate industry index for each date (average of all stocks' prices)
+  let indexMethod = normalizeIndexMethod(method);
+  if (indexMethod === "cap" && !stockPrices.some((s) => s.marketCap != null && s.lastClose)) {
+    indexMethod = "equal";
+  }
+
   const industryIndex = [];
-  for (const date of dates) {
-    const pricesForDate = [];
-    for (const { prices } of stockPrices) {
-      const price = prices.find((p) => p.date === date);
-      if (price && price.close != null) {
-        pricesForDate.push(price.close);
+  if (indexMethod === "price") {
+    // Average of all stocks' prices for each date
+    for (const date of dates) {
+      const pricesForDate = [];
+      for (const { byDate } of stockPrices) {
+        if (byDate.has(date)) pricesForDate.push(byDate.get(date));
       }
-    }
 
-    if (pricesForDate.length > 0) {
-      const avgPrice = pricesForDate.reduce((sum, p) => sum + p, 0) / pricesForDate.length;
-      industryIndex.push({ date, close: avgPrice });
+      if (pricesForDate.length > 0) {
+        const avgPrice = pricesForDate.reduce((sum, p) => sum + p, 0) / pricesForDate.length;
+        industryIndex.push({ date, close: avgPrice });
+      }
+    }
+  } else {
+    // Chain the weighted average daily return of members that traded on both days.
+    // Cap weights assume a constant share count: cap on a past day = current cap * close / last close.
+    let level = INDEX_BASE;
+    industryIndex.push({ date: dates[0], close: level });
+    for (let i = 1; i < dates.length; i++) {
+      let weightedReturn = 0;
+      let totalWeight = 0;
+      for (const stock of stockPrices) {
+        const prev = stock.byDate.get(dates[i - 1]);
+        const curr = stock.byDate.get(dates[i]);
+        if (!prev || curr == null) continue;
+        let weight = 1;
+        if (indexMethod === "cap") {
+          if (stock.marketCap == null || !stock.lastClose) continue;
+          weight = stock.marketCap * (prev / stock.lastClose);
+        }
+        weightedReturn += weight * (curr / prev - 1);
+        totalWeight += weight;
+      }
+      if (totalWeight > 0) level *= 1 + weightedReturn / totalWeight;
+      industryIndex.push({ date: dates[i], close: level });
     }
   }
 
   if (industryIndex.length < 50) return null;
 
+  return { industryIndex, indexMethod, stocksUsed: stockPrices.length, totalStocks: allIndustryStocks.length };
+}
+
+async function calculateIndustryMA50FromStocks(industryRecords, allRecords, method = DEFAULT_INDEX_METHOD, { signal } = {}) {
+  const built = await buildIndustryIndexFromStocks(industryRecords, allRecords, 90, method, { signal });
+  if (!built) return null;
+  const { industryIndex } = built;
+
   // Calculate 50-day MA of the industry index
   const ma50 = calculateMA(industryIndex, 50);
   const currentIndex = industryIndex[industryIndex.length - 1]?.close;
@@ -462,11 +430,79 @@ async function calculateIndustryMA50FromStocks(industryRecords, allRecords) {
     aboveMA: currentIndex > ma50,
     percentAboveMA50: ((currentIndex - ma50) / ma50) * 100,
     source: "calculated",
-    stocksUsed: stockPrices.length,
-    totalStocks: allIndustryStocks.length
+    indexMethod: built.indexMethod,
+    stocksUsed: built.stocksUsed,
+    totalStocks: built.totalStocks
   };
 }
 
+// Calendar days needed for 200 trading days of history
+const BREADTH_HISTORY_DAYS = 300;
+const BREADTH_MAX_STOCKS = 25;
+
+/**
+ * Industry breadth: the percentage of constituent stocks trading above their own 50-day and 200-day MAs.
+ * Samples up to BREADTH_MAX_STOCKS members by market cap. Results are cached per industry for a day.
+ */
+async function calculateIndustryBreadth(industryRecords, allRecords, { signal } = {}) {
+  const industryName = industryRecords[0]?.industry;
+  if (!industryName) return null;
+
+  const cacheKey = `breadth_${industryName}`;
+  if (industryMA50Cache.has(cacheKey)) {
+    return industryMA50Cache.get(cacheKey);
+  }
+
+  const members = allRecords
+    .filter((r) => String(r.industry || "").trim() === industryName)
+    .sort((a, b) => (b.marketCap ?? -Infinity) - (a.marketCap ?? -Infinity))
+    .slice(0, BREADTH_MAX_STOCKS);
+
+  let above50 = 0;
+  let with50 = 0;
+  let above200 = 0;
+  let with200 = 0;
+  for (const stock of members) {
+    const symbol = String(stock.symbol || "").trim();
+    if (!symbol) continue;
+
+    const prices = await fetchHistoricalPrices(symbol, BREADTH_HISTORY_DAYS, { signal });
+    const close = prices?.[prices.length - 1]?.close;
+    if (close != null) {
+      const ma50 = calculateMA(prices, 50);
+      const ma200 = calculateMA(prices, 200);
+      if (ma50 != null) {
+        with50++;
+        if (close > ma50) above50++;
+      }
+      if (ma200 != null) {
+        with200++;
+        if (close > ma200) above200++;
+      }
+    }
+
+    // Rate limiting: small delay between requests
+    await abortableDelay(100, signal);
+  }
+
+  const result = with50 > 0
+    ? {
+        percentAboveMA50: (above50 / with50) * 100,
+        percentAboveMA200: with200 > 0 ? (above200 / with200) * 100 : null,
+        stocksWithMA50: with50,
+        stocksWithMA200: with200,
+        totalStocks: allRecords.filter((r) => String(r.industry || "").trim() === industryName).length
+      }
+    : null;
+
+  industryMA50Cache.set(cacheKey, result);
+  if (result) {
+    saveIndustryMA50Cache();
+    console.log(`[MA50] Breadth for "${industryName}": ${result.percentAboveMA50.toFixed(0)}% > MA50, ${result.percentAboveMA200?.toFixed(0) ?? "—"}% > MA200 (${with50} stocks)`);
+  }
+  return result;
+}
+
 function findETFForIndustry(industryName) {
   // Exact match first
   if (INDUSTRY_ETF_MAP[industryName]) {
@@ -535,9 +571,15 @@ function findETFForIndustry(industryName) {
   return null;
 }
 
-async function calculateIndustryMA50(industryRecords, allRecords) {
+/**
+ * Industry position vs its 50-day MA, from the industry (or sector) ETF when one is known,
+ * otherwise from a synthetic index of member stocks. Aborting `signal` rejects with an
+ * AbortError and leaves the cache untouched.
+ */
+async function calculateIndustryMA50(industryRecords, allRecords, { indexMethod, signal } = {}) {
   const industryName = industryRecords[0]?.industry;
   const sectorName = industryRecords[0]?.sector;
+  const method = normalizeIndexMethod(indexMethod);
   
   if (!industryName) {
     console.log(`[MA50] No industry name found for records`);
@@ -546,8 +588,9 @@ async function calculateIndustryMA50(industryRecords, allRecords) {
 
   console.log(`[MA50] Calculating MA50 for industry: "${industryName}" (sector: "${sectorName}")`);
 
-  // Check cache first
-  const cached = industryMA50Cache.get(industryName);
+  // Check cache first (the stock-based fallback depends on the index method)
+  const cacheKey = `${industryName}|${method}`;
+  const cached = industryMA50Cache.get(cacheKey);
   if (cached) {
     console.log(`[MA50] Using cached result for industry: ${industryName}`);
     return cached;
@@ -581,13 +624,15 @@ async function calculateIndustryMA50(industryRecords, allRecords) {
   if (etfSymbol) {
     console.log(`[MA50] Using ETF ${etfSymbol} (${usedSource}) for industry: "${industryName}"`);
     try {
-      result = await calculateIndustryMA50FromETF(etfSymbol);
+      result = await calculateIndustryMA50FromETF(etfSymbol, { signal });
       if (result) {
+        result = { ...result, etf: etfSymbol };
         console.log(`[MA50] Successfully calculated MA50 from ETF ${etfSymbol}: aboveMA=${result.aboveMA}, percent=${result.percentAboveMA50?.toFixed(2)}%`);
       } else {
         console.log(`[MA50] ETF ${etfSymbol} returned null result`);
       }
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`[MA50] Error fetching ETF ${etfSymbol} for industry ${industryName}:`, error.message || error);
     }
   } else {
@@ -603,20 +648,21 @@ async function calculateIndustryMA50(industryRecords, allRecords) {
       );
       console.log(`[MA50] Found ${industryStocks.length} stocks in industry "${industryName}"`);
       
-      result = await calculateIndustryMA50FromStocks(industryRecords, allRecords);
+      result = await calculateIndustryMA50FromStocks(industryRecords, allRecords, method, { signal });
       if (result) {
-        console.log(`[MA50] Successfully calculated MA50 from stocks: aboveMA=${result.aboveMA}, percent=${result.percentAboveMA50?.toFixed(2)}%`);
+        console.log(`[MA50] Successfully calculated MA50 from stocks (${result.indexMethod} index): aboveMA=${result.aboveMA}, percent=${result.percentAboveMA50?.toFixed(2)}%`);
       } else {
         console.log(`[MA50] Stock calculation returned null result for industry: "${industryName}"`);
       }
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`[MA50] Error calculating MA50 from stocks for industry ${industryName}:`, error.message || error);
     }
   }
 
   // Cache the result (even if null, to avoid repeated failed attempts)
   if (result) {
-    industryMA50Cache.set(industryName, result);
+    industryMA50Cache.set(cacheKey, result);
     // Save to disk periodically
     if (industryMA50Cache.size % 5 === 0) {
       saveIndustryMA50Cache();
@@ -624,27 +670,125 @@ async function calculateIndustryMA50(industryRecords, allRecords) {
     console.log(`[MA50] Cached result for industry: "${industryName}"`);
   } else {
     // Cache null for 1 day to avoid hammering APIs
-    industryMA50Cache.set(industryName, null);
+    industryMA50Cache.set(cacheKey, null);
     console.log(`[MA50] Cached null result for industry: "${industryName}" (will retry tomorrow)`);
   }
 
   return result;
 }
 
+// In-flight ETF MA50 calculations, so groups sharing an ETF fetch it once
+const etfMA50InFlight = new Map();
+
+/**
+ * MA50 status for a whole industry or sector from its own ETF only (no stock-based fallback).
+ * Cheap enough to run for every group in a universe, since many groups share an ETF.
+ */
+async function calculateGroupMA50FromETF(groupName, groupType = "industry") {
+  const name = String(groupName || "").trim();
+  if (!name) return null;
+
+  const etfSymbol = groupType === "sector"
+    ? SECTOR_ETF_MAP[name]
+    : INDUSTRY_ETF_MAP[name] || findETFForIndustry(name);
+  if (!etfSymbol) return null;
+
+  if (!etfMA50InFlight.has(etfSymbol)) {
+    const pending = calculateIndustryMA50FromETF(etfSymbol).finally(() => etfMA50InFlight.delete(etfSymbol));
+    etfMA50InFlight.set(etfSymbol, pending);
+  }
+  const result = await etfMA50InFlight.get(etfSymbol);
+  return result ? { ...result, etf: etfSymbol } : null;
+}
+
+/**
+ * Distance of a single ticker's latest close from each requested MA.
+ */
+async function calculateTickerMAs(symbol, specs, { signal } = {}) {
+  const normalized = normalizeMASpecs(specs);
+  if (!symbol || normalized.length === 0) return null;
+  const prices = await fetchHistoricalPrices(symbol, historyDaysForMASpecs(normalized), { signal });
+  if (!prices) return null;
+  return calculateMADistances(prices, normalized);
+}
+
+/**
+ * ATR, average dollar volume, relative volume and 52-week range distances of a single ticker
+ * (see indicators.js), or null without price history.
+ */
+async function calculateTickerIndicators(symbol, { signal } = {}) {
+  if (!symbol) return null;
+  const bars = await getDailyBars(symbol, INDICATOR_HISTORY_DAYS, { signal });
+  return bars ? calculateIndicators(bars) : null;
+}
+
+/**
+ * Distance of an industry from each requested MA, using the industry ETF (or sector ETF)
+ * when one is known and otherwise a synthetic index built from member stocks.
+ * Returns { source, etf, indexMethod, mas: { [key]: { ma, distancePct, above } } } and caches it for a day.
+ */
+async function calculateIndustryMAs(industryRecords, allRecords, specs, { indexMethod, signal } = {}) {
+  const industryName = industryRecords[0]?.industry;
+  const sectorName = industryRecords[0]?.sector;
+  const normalized = normalizeMASpecs(specs);
+  const method = normalizeIndexMethod(indexMethod);
+  if (!industryName || normalized.length === 0) return null;
+
+  const cacheKey = `mas_${industryName}_${method}_${normalized.map((s) => s.key).join(",")}`;
+  if (industryMA50Cache.has(cacheKey)) {
+    return industryMA50Cache.get(cacheKey);
+  }
+
+  const days = historyDaysForMASpecs(normalized);
+  const etfSymbol = INDUSTRY_ETF_MAP[industryName] || findETFForIndustry(industryName) || SECTOR_ETF_MAP[sectorName] || null;
+
+  let result = null;
+  if (etfSymbol) {
+    const prices = await fetchHistoricalPrices(etfSymbol, days, { signal });
+    if (prices) result = { source: "ETF", etf: etfSymbol, mas: calculateMADistances(prices, normalized) };
+  }
+  if (!result) {
+    const built = await buildIndustryIndexFromStocks(industryRecords, allRecords, days, method, { signal });
+    if (built) {
+      result = {
+        source: "calculated",
+        etf: null,
+        indexMethod: built.indexMethod,
+        stocksUsed: built.stocksUsed,
+        mas: calculateMADistances(built.industryIndex, normalized)
+      };
+    }
+  }
+
+  industryMA50Cache.set(cacheKey, result);
+  if (result) saveIndustryMA50Cache();
+  return result;
+}
+
 // Load caches on module load
-loadPricesCache();
+removeLegacyPricesCache();
 loadIndustryMA50Cache();
 
 module.exports = {
+  SECTOR_ETF_MAP,
+  MA_TYPES,
+  DEFAULT_MA_SPECS,
+  INDEX_METHODS,
+  DEFAULT_INDEX_METHOD,
+  normalizeIndexMethod,
+  calculateMA,
+  normalizeMASpecs,
+  calculateTickerMAs,
+  calculateTickerIndicators,
+  calculateIndustryMAs,
   calculateIndustryMA50,
+  calculateGroupMA50FromETF,
+  calculateIndustryBreadth,
   fetchHistoricalPrices,
   clearCache: () => {
-    pricesCache.clear();
+    clearPriceStore();
     industryMA50Cache.clear();
     try {
-      if (fs.existsSync(PRICES_CACHE_FILE)) {
-        fs.unlinkSync(PRICES_CACHE_FILE);
-      }
       if (fs.existsSync(INDUSTRY_MA50_CACHE_FILE)) {
         fs.unlinkSync(INDUSTRY_MA50_CACHE_FILE);
       }
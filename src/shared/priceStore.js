@@ -0,0 +1,270 @@
+/**
+ * Local daily OHLCV store shared by every price-based calculation (MAs, breadth, indexes).
+ * Each symbol is an append-only CSV in `.cache/prices/`: bars are appended as they are fetched
+ * (a later line for the same date replaces an earlier one, e.g. today's partial bar) and
+ * "#meta" lines record when Yahoo was last asked, how far back the history reaches and where the symbol is listed.
+ * Only bars missing since the last stored date are fetched, and history is never expired.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { httpFetch, isAbortError } = require("./httpClient");
+const { CACHE_DIR } = require("./diskCache");
+
+const PRICES_DIR = path.join(CACHE_DIR, "prices");
+const HEADER = "date,open,high,low,close,volume";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stored series are checked for new bars at most this often
+const RECHECK_MS = 60 * 60 * 1000;
+// Rewrite a file once superseded lines outnumber its bars by this much
+const COMPACT_SLACK = 200;
+// Enough calendar days for a few bars, when a symbol is fetched only to learn its exchange
+const EXCHANGE_LOOKUP_DAYS = 7;
+
+// Listing exchange by Yahoo exchange code, named the way TradingView prefixes symbols
+// (NYSE American and NYSE Arca listings appear as AMEX there)
+const LISTING_EXCHANGES = {
+  NMS: "NASDAQ",
+  NGM: "NASDAQ",
+  NCM: "NASDAQ",
+  NAS: "NASDAQ",
+  NYQ: "NYSE",
+  ASE: "AMEX",
+  PCX: "AMEX"
+};
+
+// Loaded series by symbol: { bars: Map(date → bar), checkedAt, coveredFrom, exchange, lines }
+const series = new Map();
+// Per-symbol update chain, so concurrent callers don't fetch the same bars twice
+const pending = new Map();
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().split("T")[0];
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol || "").trim().toUpperCase();
+}
+
+// Yahoo writes share classes as BRK-B (StockCharts uses BRK/B)
+function yahooSymbol(symbol) {
+  return encodeURIComponent(symbol.replace(/[/.]/g, "-"));
+}
+
+function fileFor(symbol) {
+  return path.join(PRICES_DIR, `${symbol.replace(/[^A-Z0-9.\-^]/g, "_")}.csv`);
+}
+
+function toNumber(value) {
+  if (value === "" || value == null) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function loadSeries(symbol) {
+  if (series.has(symbol)) return series.get(symbol);
+  const s = { bars: new Map(), checkedAt: 0, coveredFrom: null, exchange: null, lines: 0 };
+  try {
+    const file = fileFor(symbol);
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line || line === HEADER) continue;
+        const cells = line.split(",");
+        s.lines++;
+        if (cells[0] === "#meta") {
+          s.checkedAt = Number(cells[1]) || 0;
+          s.coveredFrom = cells[2] || null;
+          // Files written before exchanges were recorded have no fourth cell
+          if (cells[3]) s.exchange = cells[3];
+          continue;
+        }
+        const [date, open, high, low, close, volume] = cells;
+        const bar = { date, open: toNumber(open), high: toNumber(high), low: toNumber(low), close: toNumber(close), volume: toNumber(volume) };
+        if (bar.close != null) s.bars.set(date, bar);
+      }
+    }
+  } catch (error) {
+    console.warn(`[Prices] Failed to load ${symbol}:`, error.message);
+  }
+  series.set(symbol, s);
+  return s;
+}
+
+function barLine(bar) {
+  return [bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume].map((v) => (v == null ? "" : v)).join(",");
+}
+
+function metaLine(s) {
+  return `#meta,${s.checkedAt},${s.coveredFrom || ""},${s.exchange || ""}`;
+}
+
+function sameBar(a, b) {
+  return a && b && a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close && a.volume === b.volume;
+}
+
+// Rewrite the file with one line per bar (via a temp file, so a crash never leaves it half-written)
+function compact(symbol, s) {
+  const file = fileFor(symbol);
+  const sorted = Array.from(s.bars.values()).sort((a, b) => a.date.localeCompare(b.date));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, [HEADER, ...sorted.map(barLine), metaLine(s)].join("\n") + "\n", "utf8");
+  fs.renameSync(tmp, file);
+  s.lines = sorted.length + 1;
+}
+
+// Merge fetched bars into a series and append the changed ones to its file
+function storeBars(symbol, s, bars) {
+  const lines = [];
+  for (const bar of bars) {
+    if (sameBar(s.bars.get(bar.date), bar)) continue;
+    s.bars.set(bar.date, bar);
+    lines.push(barLine(bar));
+  }
+  lines.push(metaLine(s));
+  try {
+    if (!fs.existsSync(PRICES_DIR)) {
+      fs.mkdirSync(PRICES_DIR, { recursive: true });
+    }
+    const file = fileFor(symbol);
+    if (!fs.existsSync(file)) fs.writeFileSync(file, HEADER + "\n", "utf8");
+    fs.appendFileSync(file, lines.join("\n") + "\n", "utf8");
+    s.lines += lines.length;
+    if (s.lines > s.bars.size + COMPACT_SLACK) compact(symbol, s);
+  } catch (error) {
+    console.warn(`[Prices] Failed to save ${symbol}:`, error.message);
+  }
+}
+
+/**
+ * Daily bars of `symbol` from Yahoo between two timestamps (ms), with its listing exchange.
+ * Returns { bars: [{ date, open, high, low, close, volume }] (possibly empty), exchange ("NASDAQ", "NYSE",
+ * "AMEX" or null) }, or null when the request failed.
+ */
+async function fetchYahooBars(symbol, fromMs, toMs, { signal } = {}) {
+  const period1 = Math.floor(fromMs / 1000);
+  const period2 = Math.floor(toMs / 1000);
+  try {
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol(symbol)}?interval=1d&period1=${period1}&period2=${period2}`;
+    const resp = await httpFetch(url, {
+      signal,
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; stock-details/1.0)"
+      }
+    });
+
+    if (!resp.ok) {
+      console.error(`[Prices] HTTP error fetching ${symbol}: status ${resp.status}`);
+      return null;
+    }
+
+    const data = await resp.json();
+    const result = data?.chart?.result?.[0];
+    const quote = result?.indicators?.quote?.[0];
+    if (!result || !quote?.close) {
+      console.error(`[Prices] Invalid data structure for ${symbol}`);
+      return null;
+    }
+
+    const timestamps = Array.isArray(result.timestamp) ? result.timestamp : [];
+    const bars = [];
+    for (let i = 0; i < timestamps.length; i++) {
+      if (timestamps[i] == null || quote.close[i] == null) continue;
+      bars.push({
+        date: isoDate(timestamps[i] * 1000),
+        open: quote.open?.[i] ?? null,
+        high: quote.high?.[i] ?? null,
+        low: quote.low?.[i] ?? null,
+        close: quote.close[i],
+        volume: quote.volume?.[i] ?? null
+      });
+    }
+    return { bars, exchange: LISTING_EXCHANGES[result.meta?.exchangeName] || null };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error(`[Prices] Error fetching ${symbol}:`, error.message || error);
+    return null;
+  }
+}
+
+async function updateSeries(symbol, days, { signal }) {
+  const s = loadSeries(symbol);
+  const now = Date.now();
+  const from = isoDate(now - days * DAY_MS);
+
+  // Older history than stored: fetch only the missing stretch before it
+  if (!s.coveredFrom || s.coveredFrom > from) {
+    const until = s.coveredFrom ? Date.parse(s.coveredFrom) + DAY_MS : now;
+    const fetched = await fetchYahooBars(symbol, now - days * DAY_MS, until, { signal });
+    if (fetched) {
+      if (!s.coveredFrom) s.checkedAt = now;
+      s.coveredFrom = from;
+      s.exchange = fetched.exchange || s.exchange;
+      storeBars(symbol, s, fetched.bars);
+    }
+  }
+
+  // Newer bars: refetch from the last stored date, whose bar may have been partial
+  if (s.coveredFrom && now - s.checkedAt >= RECHECK_MS) {
+    const dates = Array.from(s.bars.keys()).sort();
+    const last = dates[dates.length - 1];
+    const fetched = await fetchYahooBars(symbol, last ? Date.parse(last) : now - days * DAY_MS, now, { signal });
+    if (fetched) {
+      s.checkedAt = now;
+      s.exchange = fetched.exchange || s.exchange;
+      storeBars(symbol, s, fetched.bars);
+    }
+  }
+
+  return Array.from(s.bars.values())
+    .filter((bar) => bar.date >= from)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Daily OHLCV bars of the last `days` calendar days, oldest first, fetching only what the store lacks.
+ * Returns [{ date, open, high, low, close, volume }] or null when nothing is stored or fetchable.
+ */
+async function getDailyBars(symbol, days = 90, { signal } = {}) {
+  const key = normalizeSymbol(symbol);
+  if (!key) return null;
+  const previous = pending.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => updateSeries(key, days, { signal }));
+  pending.set(key, run);
+  try {
+    const bars = await run;
+    return bars.length > 0 ? bars : null;
+  } finally {
+    if (pending.get(key) === run) pending.delete(key);
+  }
+}
+
+/**
+ * Listing exchange of `symbol` ("NASDAQ", "NYSE" or "AMEX") as Yahoo reported it with its bars,
+ * fetching a few days of bars when the store has not seen it yet. Null for other or unknown exchanges.
+ */
+async function getListingExchange(symbol, { signal } = {}) {
+  const key = normalizeSymbol(symbol);
+  if (!key) return null;
+  if (!loadSeries(key).exchange) await getDailyBars(key, EXCHANGE_LOOKUP_DAYS, { signal });
+  return loadSeries(key).exchange;
+}
+
+function clearPriceStore() {
+  series.clear();
+  try {
+    if (fs.existsSync(PRICES_DIR)) {
+      fs.rmSync(PRICES_DIR, { recursive: true, force: true });
+    }
+  } catch (error) {
+    // Ignore
+  }
+}
+
+module.exports = {
+  PRICES_DIR,
+  getDailyBars,
+  getListingExchange,
+  fetchYahooBars,
+  clearPriceStore
+};
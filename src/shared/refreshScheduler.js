@@ -0,0 +1,399 @@
+/**
+ * Scheduled background refresh of saved watchlists with change alerts.
+ *
+ * Once a day (by default after the US close) the scheduler fetches SCTR data for the
+ * selected watchlists, diffs it against the previous run and raises a notification for
+ * every alert rule that newly fires (e.g. "SCTR crossed above 90").
+ *
+ * The clock, the fetcher, the notifier and the storage are all injected through
+ * createRefreshScheduler, so the scheduler can be driven by a fake clock and stubbed fetchers.
+ */
+
+const crypto = require("crypto");
+const { readUserDataJson, writeUserDataJson } = require("./userData");
+const { listWatchlists } = require("./watchlistService");
+
+const SETTINGS_FILE = "refresh-settings.json";
+const LAST_RUN_FILE = "refresh-last-run.json";
+
+// Timers never sleep longer than this, so a run missed while the machine slept starts soon after waking
+const MAX_TIMER_MS = 60 * 60 * 1000;
+// Individual notifications per run; the rest are summarized in one
+const MAX_NOTIFICATIONS = 5;
+
+const RULE_TYPES = {
+  sctrCrossAbove: { label: "SCTR crosses above", needsValue: true },
+  sctrCrossBelow: { label: "SCTR crosses below", needsValue: true },
+  deltaAbove: { label: "Daily Δ rises above", needsValue: true },
+  deltaBelow: { label: "Daily Δ falls below", needsValue: true },
+  industryBelowMA50: { label: "Industry flips below MA50", needsValue: false },
+  industryAboveMA50: { label: "Industry flips above MA50", needsValue: false }
+};
+
+const DEFAULT_REFRESH_SETTINGS = {
+  enabled: false,
+  time: "16:30",
+  timeZone: "America/New_York",
+  weekdaysOnly: true,
+  // Empty means every saved watchlist
+  watchlistIds: [],
+  // StockCharts needs no per-ticker scraping, which suits unattended runs
+  industrySource: "stockcharts",
+  universe: "L",
+  timeframe: "D",
+  rules: [
+    { id: "sctr-above-90", type: "sctrCrossAbove", value: 90, enabled: true },
+    { id: "delta-above-10", type: "deltaAbove", value: 10, enabled: true },
+    { id: "industry-below-ma50", type: "industryBelowMA50", value: null, enabled: true }
+  ]
+};
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeRule(rule, idx) {
+  const type = String(rule?.type || "");
+  const meta = RULE_TYPES[type];
+  if (!meta) return null;
+  const value = meta.needsValue ? Number(rule?.value) : null;
+  if (meta.needsValue && !Number.isFinite(value)) return null;
+  return {
+    id: String(rule?.id || `${type}-${idx}-${crypto.randomUUID().slice(0, 8)}`),
+    type,
+    value,
+    enabled: rule?.enabled !== false
+  };
+}
+
+/**
+ * Fill in defaults and drop invalid fields, so stored settings are always usable.
+ */
+function normalizeRefreshSettings(settings = {}) {
+  const merged = { ...DEFAULT_REFRESH_SETTINGS, ...(settings || {}) };
+  const time = /^([01]?\d|2[0-3]):([0-5]\d)$/.test(String(merged.time)) ? String(merged.time) : DEFAULT_REFRESH_SETTINGS.time;
+  const timeZone = isValidTimeZone(merged.timeZone) ? merged.timeZone : DEFAULT_REFRESH_SETTINGS.timeZone;
+  const rules = Array.isArray(merged.rules) ? merged.rules.map(normalizeRule).filter(Boolean) : DEFAULT_REFRESH_SETTINGS.rules;
+  return {
+    enabled: Boolean(merged.enabled),
+    time,
+    timeZone,
+    weekdaysOnly: merged.weekdaysOnly !== false,
+    watchlistIds: Array.isArray(merged.watchlistIds) ? merged.watchlistIds.map(String) : [],
+    industrySource: String(merged.industrySource || DEFAULT_REFRESH_SETTINGS.industrySource),
+    universe: String(merged.universe || DEFAULT_REFRESH_SETTINGS.universe),
+    timeframe: String(merged.timeframe || DEFAULT_REFRESH_SETTINGS.timeframe),
+    rules
+  };
+}
+
+// Wall-clock parts of a UTC instant in a time zone
+function zonedParts(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(utcMs));
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: get("weekday")
+  };
+}
+
+// UTC instant for a wall-clock time in a time zone (two passes settle DST transitions)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (utcMs) => {
+    const p = zonedParts(utcMs, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(utcMs / 1000) * 1000;
+  };
+  const first = wallAsUtc - offsetAt(wallAsUtc);
+  return wallAsUtc - offsetAt(first);
+}
+
+/**
+ * Next scheduled run strictly after `nowMs`, as epoch milliseconds.
+ */
+function computeNextRunTime(settings, nowMs) {
+  const { time, timeZone, weekdaysOnly } = normalizeRefreshSettings(settings);
+  const [hour, minute] = time.split(":").map(Number);
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const day = zonedParts(nowMs + dayOffset * 24 * 60 * 60 * 1000, timeZone);
+    if (weekdaysOnly && (day.weekday === "Sat" || day.weekday === "Sun")) continue;
+    const candidate = zonedTimeToUtc(day.year, day.month, day.day, hour, minute, timeZone);
+    if (candidate > nowMs) return candidate;
+  }
+  return null;
+}
+
+function fmt(v) {
+  return typeof v === "number" ? v.toFixed(1) : "—";
+}
+
+/**
+ * Compare the current run against the previous one and return the alerts that newly fire.
+ * `previous` maps SYMBOL -> { SCTR, delta, industry, industryAboveMA50 }; `records` are fetch-sctr records.
+ * Industry rules produce one alert per industry, listing the watched tickers in it.
+ */
+function evaluateAlertRules(rules, previous, records) {
+  const alerts = [];
+  const industryFlips = new Map();
+
+  for (const record of records || []) {
+    const symbol = String(record?.symbol || "").toUpperCase();
+    if (!symbol) continue;
+    const prev = previous?.[symbol] || null;
+
+    for (const rule of rules || []) {
+      if (!rule.enabled) continue;
+      const v = rule.value;
+      switch (rule.type) {
+        case "sctrCrossAbove":
+          if (typeof prev?.SCTR === "number" && typeof record.SCTR === "number" && prev.SCTR < v && record.SCTR >= v) {
+            alerts.push({ ruleId: rule.id, type: rule.type, symbol, title: `${symbol} SCTR above ${v}`, message: `${symbol} SCTR crossed above ${v} (${fmt(prev.SCTR)} → ${fmt(record.SCTR)})` });
+          }
+          break;
+        case "sctrCrossBelow":
+          if (typeof prev?.SCTR === "number" && typeof record.SCTR === "number" && prev.SCTR > v && record.SCTR <= v) {
+            alerts.push({ ruleId: rule.id, type: rule.type, symbol, title: `${symbol} SCTR below ${v}`, message: `${symbol} SCTR crossed below ${v} (${fmt(prev.SCTR)} → ${fmt(record.SCTR)})` });
+          }
+          break;
+        case "deltaAbove":
+          if (typeof record.delta === "number" && record.delta > v && !(typeof prev?.delta === "number" && prev.delta > v)) {
+            alerts.push({ ruleId: rule.id, type: rule.type, symbol, title: `${symbol} SCTR Δ ${fmt(record.delta)}`, message: `${symbol} SCTR rose ${fmt(record.delta)} today (above ${v})` });
+          }
+          break;
+        case "deltaBelow":
+          if (typeof record.delta === "number" && record.delta < v && !(typeof prev?.delta === "number" && prev.delta < v)) {
+            alerts.push({ ruleId: rule.id, type: rule.type, symbol, title: `${symbol} SCTR Δ ${fmt(record.delta)}`, message: `${symbol} SCTR changed ${fmt(record.delta)} today (below ${v})` });
+          }
+          break;
+        case "industryBelowMA50":
+        case "industryAboveMA50": {
+          const wantAbove = rule.type === "industryAboveMA50";
+          const industry = String(record.industry || "").trim();
+          if (industry && prev?.industryAboveMA50 === !wantAbove && record.industryAboveMA50 === wantAbove) {
+            const key = `${rule.id}|${industry}`;
+            if (!industryFlips.has(key)) industryFlips.set(key, { rule, industry, symbols: [] });
+            industryFlips.get(key).symbols.push(symbol);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  for (const { rule, industry, symbols } of industryFlips.values()) {
+    const direction = rule.type === "industryAboveMA50" ? "above" : "below";
+    alerts.push({
+      ruleId: rule.id,
+      type: rule.type,
+      industry,
+      symbols,
+      title: `${industry} ${direction} MA50`,
+      message: `${industry} flipped ${direction} its 50-day MA (${symbols.join(", ")})`
+    });
+  }
+
+  return alerts;
+}
+
+function snapshotRecords(records) {
+  const snapshot = {};
+  for (const r of records || []) {
+    const symbol = String(r?.symbol || "").toUpperCase();
+    if (!symbol) continue;
+    snapshot[symbol] = {
+      SCTR: r.SCTR ?? null,
+      delta: r.delta ?? null,
+      industry: r.industry ?? null,
+      industryAboveMA50: r.industryAboveMA50 ?? null
+    };
+  }
+  return snapshot;
+}
+
+const fileStorage = {
+  loadSettings: () => readUserDataJson(SETTINGS_FILE, null),
+  saveSettings: (settings) => writeUserDataJson(SETTINGS_FILE, settings),
+  loadLastRun: () => readUserDataJson(LAST_RUN_FILE, null),
+  saveLastRun: (run) => writeUserDataJson(LAST_RUN_FILE, run)
+};
+
+// Tickers of the selected watchlists (every list when none are selected)
+function watchlistTickers(settings) {
+  const selected = new Set(settings.watchlistIds);
+  const lists = listWatchlists().filter((l) => selected.size === 0 || selected.has(l.id));
+  return Array.from(new Set(lists.flatMap((l) => l.tickers)));
+}
+
+/**
+ * Create a scheduler. Dependencies:
+ *   fetchRecords(tickers, settings) - required; resolves to fetch-sctr records
+ *   notify({ title, body })         - shows one notification (defaults to logging)
+ *   clock                           - { now, setTimeout, clearTimeout } (defaults to real time)
+ *   getTickers(settings)            - tickers to refresh (defaults to the selected watchlists)
+ *   storage                         - { loadSettings, saveSettings, loadLastRun, saveLastRun } (defaults to user data files)
+ */
+function createRefreshScheduler({
+  fetchRecords,
+  notify = ({ title, body }) => console.log(`[Refresh] ${title}: ${body}`),
+  clock = systemClock,
+  getTickers = watchlistTickers,
+  storage = fileStorage
+} = {}) {
+  if (typeof fetchRecords !== "function") {
+    throw new Error("createRefreshScheduler needs a fetchRecords function");
+  }
+
+  let started = false;
+  let timer = null;
+  let nextRunAt = null;
+  let inFlight = null;
+
+  function getSettings() {
+    return normalizeRefreshSettings(storage.loadSettings() || {});
+  }
+
+  function clearTimer() {
+    if (timer != null) clock.clearTimeout(timer);
+    timer = null;
+  }
+
+  function scheduleNext() {
+    clearTimer();
+    const settings = getSettings();
+    nextRunAt = settings.enabled ? computeNextRunTime(settings, clock.now()) : null;
+    if (!started || nextRunAt == null) return;
+    const delay = Math.max(0, Math.min(nextRunAt - clock.now(), MAX_TIMER_MS));
+    timer = clock.setTimeout(tick, delay);
+  }
+
+  async function tick() {
+    timer = null;
+    if (nextRunAt != null && clock.now() >= nextRunAt) {
+      try {
+        await runNow();
+      } catch (error) {
+        console.warn(`[Refresh] Scheduled refresh failed:`, error.message);
+      }
+    }
+    if (started) scheduleNext();
+  }
+
+  function sendNotifications(alerts) {
+    for (const alert of alerts.slice(0, MAX_NOTIFICATIONS)) {
+      try {
+        notify({ title: alert.title, body: alert.message });
+      } catch (error) {
+        console.warn(`[Refresh] Notification failed:`, error.message);
+      }
+    }
+    if (alerts.length > MAX_NOTIFICATIONS) {
+      try {
+        notify({ title: "SCTR alerts", body: `${alerts.length - MAX_NOTIFICATIONS} more alerts from the scheduled refresh` });
+      } catch (error) {
+        console.warn(`[Refresh] Notification failed:`, error.message);
+      }
+    }
+  }
+
+  async function refresh() {
+    const settings = getSettings();
+    const tickers = getTickers(settings);
+    const ranAt = new Date(clock.now()).toISOString();
+    if (tickers.length === 0) {
+      console.log(`[Refresh] No watchlist tickers to refresh`);
+      return { ranAt, tickerCount: 0, alerts: [] };
+    }
+
+    console.log(`[Refresh] Refreshing ${tickers.length} watchlist tickers`);
+    const records = await fetchRecords(tickers, settings);
+    const previous = storage.loadLastRun();
+    // The first run only records a baseline to diff against
+    const alerts = previous?.records ? evaluateAlertRules(settings.rules, previous.records, records) : [];
+    const run = { ranAt, tickerCount: tickers.length, alerts, records: snapshotRecords(records) };
+    storage.saveLastRun(run);
+    console.log(`[Refresh] ${alerts.length} alert(s) from ${records.length} records`);
+    sendNotifications(alerts);
+    return { ranAt, tickerCount: tickers.length, alerts };
+  }
+
+  /**
+   * Refresh now, outside the schedule. Concurrent calls share one run.
+   */
+  function runNow() {
+    if (!inFlight) {
+      inFlight = refresh().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  return {
+    start() {
+      started = true;
+      scheduleNext();
+    },
+    stop() {
+      started = false;
+      clearTimer();
+    },
+    getSettings,
+    updateSettings(settings) {
+      const normalized = normalizeRefreshSettings(settings);
+      storage.saveSettings(normalized);
+      scheduleNext();
+      return normalized;
+    },
+    runNow,
+    getStatus() {
+      const settings = getSettings();
+      const lastRun = storage.loadLastRun();
+      // A scheduler that was never started (e.g. the dev server) still reports when it would run
+      const next = !settings.enabled ? null : started ? nextRunAt : computeNextRunTime(settings, clock.now());
+      return {
+        enabled: settings.enabled,
+        scheduled: started,
+        running: Boolean(inFlight),
+        nextRunAt: next != null ? new Date(next).toISOString() : null,
+        lastRun: lastRun ? { ranAt: lastRun.ranAt, tickerCount: lastRun.tickerCount, alerts: lastRun.alerts || [] } : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_REFRESH_SETTINGS,
+  normalizeRefreshSettings,
+  computeNextRunTime,
+  evaluateAlertRules,
+  createRefreshScheduler
+};
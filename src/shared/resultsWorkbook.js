@@ -0,0 +1,162 @@
+/**
+ * Excel export of a results table: a "Results" sheet colored like ResultsTable
+ * (RS, MA50 and breadth columns) and a "Stats" sheet with the industry/sector SCTR stats
+ * of the groups in the results.
+ */
+
+const ExcelJS = require("exceljs");
+
+const { rsStrength } = require("./rsModes");
+
+// Light-theme --rs-* colors from src/renderer/index.html (ARGB)
+const COLORS = {
+  strong: "FF059669",
+  good: "FF10B981",
+  poor: "FFF59E0B",
+  weak: "FFDC2626"
+};
+
+const HEADER_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FFE2E8F0" } };
+
+// Same thresholds as getRSColor / getRatingColor / getBreadthColor / getMA50Color in ResultsTable
+function rsColor(rs) {
+  if (typeof rs !== "number") return null;
+  if (rs > 20) return COLORS.strong;
+  if (rs > 10) return COLORS.good;
+  if (rs < -20) return COLORS.weak;
+  if (rs < -10) return COLORS.poor;
+  return null;
+}
+
+function breadthColor(pct) {
+  if (typeof pct !== "number") return null;
+  if (pct >= 60) return COLORS.good;
+  if (pct <= 40) return COLORS.poor;
+  return null;
+}
+
+function ratingColor(rating) {
+  if (typeof rating !== "number") return null;
+  if (rating >= 90) return COLORS.strong;
+  if (rating >= 80) return COLORS.good;
+  if (rating < 30) return COLORS.weak;
+  if (rating < 50) return COLORS.poor;
+  return null;
+}
+
+function aboveColor(above) {
+  if (above == null) return null;
+  return above ? COLORS.good : COLORS.poor;
+}
+
+function cellColor(column, record) {
+  const value = record?.[column];
+  if (column === "industryRS" || column === "sectorRS") return COLORS[rsStrength(value, record?.rsMode, record?.[`${column}Of`])] || null;
+  if (column === "rsVsBenchmark") return rsColor(value);
+  if (column === "rsRating") return ratingColor(value);
+  if (column === "rsLineNewHigh") return value ? COLORS.strong : null;
+  if (column === "industryBreadthMA50" || column === "industryBreadthMA200") return breadthColor(value);
+  if (column === "industryAboveMA50" || column === "industryPercentAboveMA50") return aboveColor(record?.industryAboveMA50);
+  if (/^(dist|industryDist)[A-Z]+\d+$/.test(column)) return typeof value === "number" ? aboveColor(value > 0) : null;
+  return null;
+}
+
+function numberFormat(column) {
+  if (column === "SCTR" || column === "delta" || column === "close") return "0.00";
+  if (column === "marketCap" || column === "vol" || column === "avgDollarVolume") return "#,##0";
+  if (column === "atr" || column === "relVolume") return "0.00";
+  if (column === "rsRating") return "0";
+  if (/^perf\d+m$|^(weightedPerf|rsVsBenchmark)$/.test(column)) return "0.0";
+  if (/RS$|Percent|Breadth|Pct|pctFrom|^(dist|industryDist)/.test(column)) return "0.0";
+  return null;
+}
+
+function styleHeader(row) {
+  row.font = { bold: true };
+  row.eachCell((cell) => {
+    cell.fill = HEADER_FILL;
+  });
+}
+
+function addResultsSheet(workbook, records, columns) {
+  const sheet = workbook.addWorksheet("Results", { views: [{ state: "frozen", ySplit: 1, xSplit: 2 }] });
+  sheet.columns = columns.map((c) => ({
+    header: c,
+    key: c,
+    width: Math.min(40, Math.max(10, c.length + 2)),
+    style: numberFormat(c) ? { numFmt: numberFormat(c) } : {}
+  }));
+  styleHeader(sheet.getRow(1));
+  for (const record of records) {
+    const row = sheet.addRow(Object.fromEntries(columns.map((c) => [c, record?.[c] ?? null])));
+    columns.forEach((c, i) => {
+      // Group RS is a whole rank or a z-score outside the default percent mode
+      if ((c === "industryRS" || c === "sectorRS") && record?.rsMode === "rank") row.getCell(i + 1).numFmt = "0";
+      if ((c === "industryRS" || c === "sectorRS") && record?.rsMode === "zscore") row.getCell(i + 1).numFmt = "0.00";
+      const color = cellColor(c, record);
+      if (color) row.getCell(i + 1).font = { color: { argb: color }, bold: c === "industryRS" || c === "sectorRS" || c === "rsRating" };
+    });
+  }
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+}
+
+function addStatsSheet(workbook, records, stats) {
+  const sheet = workbook.addWorksheet("Stats", { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = [
+    { header: "Group", key: "group", width: 10 },
+    { header: "Name", key: "name", width: 36 },
+    { header: "Count", key: "count", width: 8 },
+    { header: "Avg SCTR", key: "avg", width: 10, style: { numFmt: "0.00" } },
+    { header: "Median", key: "median", width: 10, style: { numFmt: "0.00" } },
+    { header: "Min", key: "min", width: 10, style: { numFmt: "0.00" } },
+    { header: "Max", key: "max", width: 10, style: { numFmt: "0.00" } },
+    { header: "Std dev", key: "stddev", width: 10, style: { numFmt: "0.00" } },
+    { header: "Q1", key: "q1", width: 10, style: { numFmt: "0.00" } },
+    { header: "Q3", key: "q3", width: 10, style: { numFmt: "0.00" } },
+    { header: "Advancing", key: "advancing", width: 10 },
+    { header: "Advancing %", key: "advancingPct", width: 12, style: { numFmt: "0.0" } },
+    { header: "In results", key: "inResults", width: 10 }
+  ];
+  styleHeader(sheet.getRow(1));
+
+  // Groups of the exported records; the whole universe's groups when nothing is exported.
+  // Records name the stats group they were compared with (statsIndustry / statsSector), which
+  // differs from their own industry when another source classified them
+  for (const [group, key, field, statsField] of [
+    ["Industry", "industries", "industry", "statsIndustry"],
+    ["Sector", "sectors", "sector", "statsSector"]
+  ]) {
+    const groups = stats?.[key] || {};
+    const counts = new Map();
+    for (const r of records) {
+      const compared = String(r?.[statsField] || "").trim();
+      const name = compared && groups[compared] ? compared : String(r?.[field] || "").trim();
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    const entries = Object.entries(groups)
+      .filter(([name]) => records.length === 0 || counts.has(name))
+      .sort((a, b) => (b[1].avg ?? 0) - (a[1].avg ?? 0));
+    for (const [name, s] of entries) {
+      sheet.addRow({ group, name, ...s, inResults: counts.get(name) || 0 });
+    }
+  }
+}
+
+/**
+ * Build the workbook for `records` (exported in `columns` order) and `stats`
+ * ({ industries, sectors } as returned by calculateIndustrySectorStats). Resolves to a Buffer.
+ */
+async function buildResultsWorkbook({ records = [], columns = [], stats = null } = {}) {
+  const list = Array.isArray(records) ? records : [];
+  const cols = Array.isArray(columns) && columns.length > 0 ? columns.map(String) : Object.keys(list[0] || {});
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "stk-details";
+  workbook.created = new Date();
+  addResultsSheet(workbook, list, cols);
+  addStatsSheet(workbook, list, stats);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  buildResultsWorkbook
+};
@@ -0,0 +1,108 @@
+/**
+ * How a ticker's SCTR is compared with its industry/sector group (industryRS / sectorRS):
+ *   percent    - % above/below the group average SCTR (the original measure; null for one-member groups)
+ *   percentile - share of group members with a lower SCTR, 0–100 (ties count half)
+ *   zscore     - standard deviations above/below the group mean
+ *   rank       - position in the group by SCTR, 1 = highest, reported with the group size
+ */
+
+const RS_MODES = ["percent", "percentile", "zscore", "rank"];
+const DEFAULT_RS_MODE = "percent";
+// Labels for the mode picker
+const RS_MODE_LABELS = {
+  percent: "% vs group avg",
+  percentile: "Percentile in group",
+  zscore: "Z-score",
+  rank: "Rank of N"
+};
+
+function normalizeRsMode(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return RS_MODES.includes(v) ? v : DEFAULT_RS_MODE;
+}
+
+/**
+ * RS of `sctr` within a group summary from calculateIndustrySectorStats
+ * ({ avg, count, stddev, values (sorted SCTRs) }). Returns { value, of } (`of` is the group size
+ * in rank mode, otherwise null) or null when the mode has nothing meaningful to say.
+ */
+function groupRelativeStrength(sctr, group, mode = DEFAULT_RS_MODE) {
+  if (typeof sctr !== "number" || !group || !(group.count > 0)) return null;
+  const values = Array.isArray(group.values) ? group.values : [];
+
+  if (mode === "percentile") {
+    if (values.length === 0) return null;
+    let below = 0;
+    for (const v of values) {
+      if (v < sctr) below++;
+      else if (v === sctr) below += 0.5;
+    }
+    return { value: (below / values.length) * 100, of: null };
+  }
+  if (mode === "zscore") {
+    // A one-member (or flat) group has no spread: every member sits at the mean
+    return { value: group.stddev > 0 ? (sctr - group.avg) / group.stddev : 0, of: null };
+  }
+  if (mode === "rank") {
+    if (values.length === 0) return null;
+    const higher = values.filter((v) => v > sctr).length;
+    return { value: higher + 1, of: Math.max(values.length, higher + 1) };
+  }
+
+  // Relative strength as percentage above/below average.
+  // Only with more than 1 stock in the group (otherwise RS would always be 0)
+  if (group.avg > 0 && group.count > 1) {
+    return { value: ((sctr - group.avg) / group.avg) * 100, of: null };
+  }
+  return null;
+}
+
+/**
+ * Color band of an RS value: "strong", "good", "poor", "weak" or null (neutral).
+ * Percent mode keeps the ±10/±20% bands; the other modes use comparable places in the group.
+ */
+function rsStrength(value, mode = DEFAULT_RS_MODE, of = null) {
+  if (typeof value !== "number") return null;
+  if (mode === "zscore") {
+    if (value > 1) return "strong";
+    if (value > 0.5) return "good";
+    if (value < -1) return "weak";
+    if (value < -0.5) return "poor";
+    return null;
+  }
+  if (mode === "percentile" || mode === "rank") {
+    // Rank 1 of N is the 100th percentile, rank N the 0th
+    const pct = mode === "rank" ? (of > 1 ? ((of - value) / (of - 1)) * 100 : null) : value;
+    if (pct == null) return null;
+    if (pct >= 90) return "strong";
+    if (pct >= 75) return "good";
+    if (pct < 10) return "weak";
+    if (pct < 25) return "poor";
+    return null;
+  }
+  if (value > 20) return "strong";
+  if (value > 10) return "good";
+  if (value < -20) return "weak";
+  if (value < -10) return "poor";
+  return null;
+}
+
+// Display text: +12.3% / P87 / +1.25σ / 3/12
+function formatRS(value, mode = DEFAULT_RS_MODE, of = null) {
+  if (value == null || !Number.isFinite(Number(value))) return "—";
+  const n = Number(value);
+  if (mode === "percentile") return `P${n.toFixed(0)}`;
+  if (mode === "zscore") return `${n > 0 ? "+" : ""}${n.toFixed(2)}σ`;
+  if (mode === "rank") return of ? `${n}/${of}` : String(n);
+  return `${n > 0 ? "+" : ""}${n.toFixed(1)}%`;
+}
+
+module.exports = {
+  RS_MODES,
+  DEFAULT_RS_MODE,
+  RS_MODE_LABELS,
+  normalizeRsMode,
+  groupRelativeStrength,
+  rsStrength,
+  formatRS
+};
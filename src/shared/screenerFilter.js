@@ -0,0 +1,151 @@
+/**
+ * Screener filter expressions over fetch-sctr records, e.g.
+ *   SCTR >= 80 AND industryRS > 10 AND industryAboveMA50 = true AND marketCap > 2000
+ *
+ * Conditions are `field op value` joined by AND / OR (AND binds tighter, no parentheses).
+ * Operators: = != > >= < <= and ~ (case-insensitive "contains").
+ * Values: numbers, true / false / null, or text (quoted when it contains spaces).
+ *
+ * Also used by the renderer (imported through the shared-commonjs plugin in vite.config.mjs),
+ * so the table filter and /api/fetch-sctr?filter= always agree.
+ */
+
+const OPERATORS = ["=", "!=", ">", ">=", "<", "<=", "~"];
+
+function filterError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(>=|<=|!=|==|=|>|<|~)|([^\s=!<>~"']+))/y;
+  let pos = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw filterError(`Unexpected input at "${text.slice(pos).trim()}"`);
+    pos = re.lastIndex;
+    if (m[1] != null) tokens.push({ kind: "string", value: m[1].slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (m[2] != null) tokens.push({ kind: "op", value: m[2] === "==" ? "=" : m[2] });
+    else tokens.push({ kind: "word", value: m[3] });
+  }
+  return tokens;
+}
+
+function parseValue(token) {
+  if (token.kind === "string") return token.value;
+  const lower = token.value.toLowerCase();
+  if (lower === "true") return true;
+  if (lower === "false") return false;
+  if (lower === "null") return null;
+  const n = Number(token.value);
+  return Number.isFinite(n) ? n : token.value;
+}
+
+/**
+ * Parse a filter expression into OR-groups of AND-ed conditions: [[{ field, op, value }]].
+ * An empty expression parses to [] (matches everything). Invalid input throws with status 400.
+ */
+function parseFilter(text) {
+  const tokens = tokenize(String(text || ""));
+  const groups = [];
+  let group = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const [field, op, value] = tokens.slice(i, i + 3);
+    if (field?.kind !== "word" || !/^[A-Za-z_]\w*$/.test(field.value)) {
+      throw filterError(`Expected a column name at "${field?.value ?? "end of filter"}"`);
+    }
+    if (op?.kind !== "op") throw filterError(`Expected an operator after "${field.value}"`);
+    if (!value || value.kind === "op") throw filterError(`Expected a value after "${field.value} ${op.value}"`);
+    group.push({ field: field.value, op: op.value, value: parseValue(value) });
+    i += 3;
+
+    if (i >= tokens.length) break;
+    const joiner = tokens[i].kind === "word" ? tokens[i].value.toUpperCase() : "";
+    if (joiner !== "AND" && joiner !== "OR") throw filterError(`Expected AND or OR at "${tokens[i].value}"`);
+    if (joiner === "OR") {
+      groups.push(group);
+      group = [];
+    }
+    i += 1;
+    if (i >= tokens.length) throw filterError(`Expected a condition after ${joiner}`);
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+// Record value for a field, matching the column name case-insensitively
+function fieldValue(record, field) {
+  if (field in record) return record[field];
+  const lower = field.toLowerCase();
+  const key = Object.keys(record).find((k) => k.toLowerCase() === lower);
+  return key ? record[key] : undefined;
+}
+
+// Missing values (undefined, blank text, NaN / Infinity) compare as null
+function normalizeActual(value) {
+  if (value == null) return null;
+  if (typeof value === "number" && !Number.isFinite(value)) return null;
+  if (typeof value === "string" && value.trim() === "") return null;
+  return value;
+}
+
+function matchesCondition(record, { field, op, value }) {
+  const actual = normalizeActual(fieldValue(record, field));
+  if (value === null) {
+    if (op === "=") return actual === null;
+    if (op === "!=") return actual !== null;
+    return false;
+  }
+  if (actual === null) return op === "!=";
+
+  if (op === "~") return String(actual).toLowerCase().includes(String(value).toLowerCase());
+  if (typeof value === "boolean" || typeof actual === "boolean") {
+    const same = actual === value || String(actual).toLowerCase() === String(value).toLowerCase();
+    return op === "=" ? same : op === "!=" ? !same : false;
+  }
+
+  // Numbers compare numerically (numeric text such as "12.5" included); text only against a text value
+  const numeric = typeof value === "number";
+  if (numeric && !Number.isFinite(Number(actual))) return op === "!=";
+  const a = numeric ? Number(actual) : String(actual).toLowerCase();
+  const b = numeric ? value : String(value).toLowerCase();
+  switch (op) {
+    case "=":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    default:
+      return false;
+  }
+}
+
+function matchesFilter(record, groups) {
+  if (!groups || groups.length === 0) return true;
+  return groups.some((group) => group.every((condition) => matchesCondition(record || {}, condition)));
+}
+
+/**
+ * Records matching a filter expression (or parsed groups).
+ */
+function filterRecords(records, filter) {
+  const groups = typeof filter === "string" ? parseFilter(filter) : filter;
+  return (records || []).filter((r) => matchesFilter(r, groups));
+}
+
+module.exports = {
+  OPERATORS,
+  parseFilter,
+  matchesFilter,
+  filterRecords
+};
@@ -0,0 +1,208 @@
+/**
+ * Persist daily StockCharts SCTR snapshots and serve per-ticker time series.
+ * Each universe snapshot is stored as one JSON file keyed by its `date` field
+ * (under a per-universe, per-timeframe directory), so re-fetching the same trading day simply
+ * overwrites that day's file, and intraday and end-of-day values never overwrite each other.
+ * Snapshots saved before the timeframe was tracked (directly under the universe directory)
+ * are not read, since they may mix both timeframes. The first snapshots (directly under the
+ * history directory) all came from the Large Cap intraday table, so that series still reads them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { normalizeTimeframe, DEFAULT_TIMEFRAME } = require("./sctrService");
+
+// Persistent history directory (<universe>/<timeframe>/<date>.json)
+const HISTORY_DIR = path.join(__dirname, "../../.cache/sctr-history");
+const DEFAULT_UNIVERSE = "L";
+const DEFAULT_HISTORY_DAYS = 90;
+
+/**
+ * Rank every record within its industry by SCTR (1 = strongest).
+ * Returns a Map of symbol -> { industryRank, industryCount }.
+ */
+function rankWithinIndustries(records) {
+  const byIndustry = new Map();
+  for (const record of records) {
+    const industry = String(record.industry || "").trim();
+    if (!industry || typeof record.SCTR !== "number") continue;
+    if (!byIndustry.has(industry)) byIndustry.set(industry, []);
+    byIndustry.get(industry).push(record);
+  }
+
+  const ranks = new Map();
+  for (const members of byIndustry.values()) {
+    members.sort((a, b) => b.SCTR - a.SCTR);
+    members.forEach((record, idx) => {
+      ranks.set(String(record.symbol || "").toUpperCase(), {
+        industryRank: idx + 1,
+        industryCount: members.length
+      });
+    });
+  }
+  return ranks;
+}
+
+function universeDir(universe) {
+  return path.join(HISTORY_DIR, String(universe || DEFAULT_UNIVERSE).toUpperCase());
+}
+
+function timeframeDir(universe, timeframe) {
+  return path.join(universeDir(universe), normalizeTimeframe(timeframe));
+}
+
+function snapshotFile(universe, timeframe, date) {
+  return path.join(timeframeDir(universe, timeframe), `${date}.json`);
+}
+
+// Snapshots from before universes and timeframes were tracked: <date>.json directly in HISTORY_DIR
+function legacySnapshotFile(date) {
+  return path.join(HISTORY_DIR, `${date}.json`);
+}
+
+function readsLegacySnapshots(universe, timeframe) {
+  return String(universe || DEFAULT_UNIVERSE).toUpperCase() === DEFAULT_UNIVERSE && normalizeTimeframe(timeframe) === DEFAULT_TIMEFRAME;
+}
+
+// Snapshot dates (YYYY-MM-DD) of the <date>.json files in a directory
+function snapshotDatesIn(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((f) => f.match(/^(\d{4}-\d{2}-\d{2})\.json$/)?.[1])
+    .filter(Boolean);
+}
+
+function listUniverses() {
+  try {
+    if (!fs.existsSync(HISTORY_DIR)) return [];
+    const universes = fs
+      .readdirSync(HISTORY_DIR, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name);
+    // Legacy snapshots belong to the default universe even before it has a directory
+    if (!universes.includes(DEFAULT_UNIVERSE) && snapshotDatesIn(HISTORY_DIR).length > 0) universes.push(DEFAULT_UNIVERSE);
+    return universes;
+  } catch (error) {
+    console.warn(`[History] Failed to list universes:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Save a normalized SCTR universe (as returned by fetchSctrJson for `timeframe`) to the history store.
+ * Records are grouped by their `universe` and `date`; records without a date fall back
+ * to today's date. Returns the list of "universe/timeframe/date" keys written.
+ */
+function saveSctrSnapshot(records, timeframe) {
+  if (!Array.isArray(records) || records.length === 0) return [];
+
+  const today = new Date().toISOString().split("T")[0];
+  const byDate = new Map();
+  for (const record of records) {
+    const key = `${String(record.universe || DEFAULT_UNIVERSE).toUpperCase()}/${record.date || today}`;
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(record);
+  }
+
+  const written = [];
+  try {
+    for (const [key, dayRecords] of byDate.entries()) {
+      const [universe, date] = key.split("/");
+      const dir = timeframeDir(universe, timeframe);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const ranks = rankWithinIndustries(dayRecords);
+      const snapshot = {};
+      for (const record of dayRecords) {
+        const symbol = String(record.symbol || "").toUpperCase();
+        if (!symbol) continue;
+        const rank = ranks.get(symbol);
+        snapshot[symbol] = {
+          SCTR: record.SCTR,
+          delta: record.delta,
+          close: record.close,
+          industry: record.industry,
+          industryRank: rank?.industryRank ?? null,
+          industryCount: rank?.industryCount ?? null
+        };
+      }
+      fs.writeFileSync(snapshotFile(universe, timeframe, date), JSON.stringify(snapshot), "utf8");
+      written.push(`${universe}/${normalizeTimeframe(timeframe)}/${date}`);
+    }
+    console.log(`[History] Saved SCTR snapshot(s) for ${written.join(", ")}`);
+  } catch (error) {
+    console.warn(`[History] Failed to save SCTR snapshot:`, error.message);
+  }
+  return written;
+}
+
+/**
+ * List stored snapshot dates (YYYY-MM-DD) for a universe and timeframe, oldest first
+ * (legacy snapshots included for the default universe and timeframe).
+ */
+function listSnapshotDates(universe = DEFAULT_UNIVERSE, timeframe) {
+  try {
+    const dates = new Set(snapshotDatesIn(timeframeDir(universe, timeframe)));
+    if (readsLegacySnapshots(universe, timeframe)) {
+      for (const date of snapshotDatesIn(HISTORY_DIR)) dates.add(date);
+    }
+    return Array.from(dates).sort();
+  } catch (error) {
+    console.warn(`[History] Failed to list snapshots:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Build per-ticker time series from the stored snapshots of one timeframe ("I" or "D").
+ * Searches every stored universe unless one is given; a ticker's points carry the universe they came from.
+ * Returns { dates, series: { SYMBOL: [{ date, universe, SCTR, delta, close, industryRank, industryCount }] } }
+ */
+function getSctrHistory(tickers, { days = DEFAULT_HISTORY_DAYS, universe, timeframe } = {}) {
+  const wanted = Array.from(
+    new Set((tickers || []).map((t) => String(t || "").trim().toUpperCase()).filter(Boolean))
+  );
+  const series = {};
+  for (const symbol of wanted) series[symbol] = [];
+  if (wanted.length === 0) return { dates: [], series };
+
+  const limit = Math.max(1, Number(days) || DEFAULT_HISTORY_DAYS);
+  const universes = universe ? [String(universe).toUpperCase()] : listUniverses();
+  const allDates = new Set();
+  for (const u of universes) {
+    const dates = listSnapshotDates(u, timeframe).slice(-limit);
+    for (const date of dates) {
+      let snapshot;
+      try {
+        // A day saved under both layouts reads the newer file
+        const file = snapshotFile(u, timeframe, date);
+        const legacy = !fs.existsSync(file) && readsLegacySnapshots(u, timeframe);
+        snapshot = JSON.parse(fs.readFileSync(legacy ? legacySnapshotFile(date) : file, "utf8"));
+      } catch (error) {
+        console.warn(`[History] Failed to read snapshot ${u}/${date}:`, error.message);
+        continue;
+      }
+      allDates.add(date);
+      for (const symbol of wanted) {
+        const entry = snapshot[symbol];
+        if (entry) series[symbol].push({ date, universe: u, ...entry });
+      }
+    }
+  }
+
+  for (const symbol of wanted) {
+    series[symbol].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return { dates: Array.from(allDates).sort().slice(-limit), series };
+}
+
+module.exports = {
+  saveSctrSnapshot,
+  getSctrHistory,
+  listSnapshotDates
+};
@@ -1,13 +1,53 @@
-const DEFAULT_URL = "https://stockcharts.com/j-sum/sum?cmd=sctr&view=L&timeframe=I";
+const BASE_URL = "https://stockcharts.com/j-sum/sum?cmd=sctr";
+
+// StockCharts SCTR universes (the `view` query parameter)
+const SCTR_UNIVERSES = {
+  L: "Large Cap",
+  M: "Mid Cap",
+  S: "Small Cap",
+  E: "ETFs"
+};
+
+// StockCharts SCTR timeframes (the `timeframe` query parameter)
+const SCTR_TIMEFRAMES = {
+  I: "Intraday",
+  D: "End of Day"
+};
+
+const DEFAULT_UNIVERSE = "L";
+const DEFAULT_TIMEFRAME = "I";
+
+function normalizeUniverse(universe) {
+  const key = String(universe || "").trim().toUpperCase();
+  return SCTR_UNIVERSES[key] ? key : DEFAULT_UNIVERSE;
+}
+
+function normalizeTimeframe(timeframe) {
+  const key = String(timeframe || "").trim().toUpperCase();
+  return SCTR_TIMEFRAMES[key] ? key : DEFAULT_TIMEFRAME;
+}
+
+function buildSctrUrl({ universe = DEFAULT_UNIVERSE, timeframe = DEFAULT_TIMEFRAME } = {}) {
+  return `${BASE_URL}&view=${normalizeUniverse(universe)}&timeframe=${normalizeTimeframe(timeframe)}`;
+}
+
+const DEFAULT_URL = buildSctrUrl();
 
 /**
  * Fetch StockCharts SCTR JSON and return normalized records.
  * The upstream JSON is an array of objects with keys like:
  *   date, symbol, name, SCTR, delta, close, marketCap, vol, industry, sector
+ * Each normalized record is tagged with the universe it was fetched from.
+ * An optional `signal` cancels the request along with the timeout.
  */
-async function fetchSctrJson({ url = DEFAULT_URL, timeoutMs = 20000 } = {}) {
+async function fetchSctrJson({ universe = DEFAULT_UNIVERSE, timeframe = DEFAULT_TIMEFRAME, url, timeoutMs = 20000, signal } = {}) {
+  const resolvedUniverse = normalizeUniverse(universe);
+  url = url || buildSctrUrl({ universe: resolvedUniverse, timeframe });
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
   try {
     const resp = await fetch(url, {
       method: "GET",
@@ -24,9 +64,10 @@ async function fetchSctrJson({ url = DEFAULT_URL, timeoutMs = 20000 } = {}) {
     }
     const raw = await resp.json();
     if (!Array.isArray(raw)) return [];
-    return normalizeRecords(raw);
+    return normalizeRecords(raw).map((r) => ({ ...r, universe: resolvedUniverse }));
   } finally {
     clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
@@ -117,6 +158,13 @@ function monthToNum(mon) {
 
 module.exports = {
   DEFAULT_URL,
+  DEFAULT_UNIVERSE,
+  DEFAULT_TIMEFRAME,
+  SCTR_UNIVERSES,
+  SCTR_TIMEFRAMES,
+  buildSctrUrl,
+  normalizeUniverse,
+  normalizeTimeframe,
   fetchSctrJson
 };
 
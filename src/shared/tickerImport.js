@@ -0,0 +1,535 @@
+/**
+ * Ticker list import. Plain CSV/TSV files go through parseCsvForTickers; importTickerFile
+ * also detects and parses Excel workbooks and watchlist exports from TradingView,
+ * ThinkorSwim and Interactive Brokers.
+ *
+ * Every parser returns { format, columns, tickerColumnIndex, tickerColumnName, tickers, rejected, groups, rows, rowTickers }:
+ * `groups` ([{ name, tickers }]) keeps named sections such as TradingView's "###" headers,
+ * `rows` are the original rows (objects keyed by `columns`) in file order and `rowTickers[i]`
+ * is the ticker found in rows[i] (null when none), so results can be joined back onto the file.
+ * `rejected` ([{ value, reason, count }]) lists ticker-column values that could not be used.
+ */
+
+const path = require("path");
+const Papa = require("papaparse");
+const ExcelJS = require("exceljs");
+
+const IMPORT_FORMATS = {
+  csv: "CSV",
+  xlsx: "Excel workbook",
+  tradingview: "TradingView watchlist",
+  thinkorswim: "ThinkorSwim export",
+  ibkr: "IBKR portfolio"
+};
+
+// Delimiters detectDelimiter chooses between; the first wins ties
+const DELIMITERS = [",", "\t", ";", "|"];
+
+// Text encodings accepted by the import options (TextDecoder labels)
+const ENCODINGS = ["utf-8", "utf-16le", "windows-1252", "iso-8859-1"];
+
+function detectDelimiter(csvText) {
+  const line = String(csvText || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .find((l) => l.length > 0);
+  if (!line) return undefined; // let Papa decide
+  let best = ",";
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = line.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function detectTickerColumnIndex(rows, columns) {
+  if (!Array.isArray(columns) || columns.length === 0) return 0;
+
+  // Prefer common header names.
+  const normalized = columns.map((c) => String(c || "").trim().toLowerCase());
+  const preferred = ["ticker", "symbol", "tick", "sym", "symbols", "tickers"];
+  for (const p of preferred) {
+    const idx = normalized.findIndex((c) => c === p || c.includes(p));
+    if (idx >= 0) return idx;
+  }
+
+  // Otherwise, score columns based on how many values look like tickers.
+  let bestIdx = 0;
+  let bestScore = -1;
+  for (let i = 0; i < columns.length; i++) {
+    const name = columns[i];
+    let score = 0;
+    let seen = 0;
+    for (const row of rows) {
+      if (!row) continue;
+      const v = row[name];
+      const t = normalizeTickerCandidate(v);
+      if (t) score++;
+      seen++;
+      if (seen >= 200) break; // cap work
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestIdx = i;
+    }
+  }
+  return bestIdx;
+}
+
+// Share classes are written BRK.B, BRK-B, BRK/B or "BRK B"; StockCharts uses BRK/B
+const SHARE_CLASS = /^([A-Z]{1,6})\s*[.\-/ ]\s*([A-Z])$/;
+
+// Non-US listings carry an exchange suffix (SHOP.TO, VOD.L, BHP.AX) that StockCharts doesn't cover;
+// .L (London) and .V (TSX Venture) are the single-letter ones that would otherwise read as share classes
+const FOREIGN_SUFFIX = /^[A-Z0-9]{1,8}\.([A-Z]{2,3}|L|V)$/;
+
+function normalizeShareClass(symbol) {
+  const s = String(symbol || "").trim().toUpperCase();
+  const m = FOREIGN_SUFFIX.test(s) ? null : s.match(SHARE_CLASS);
+  return m ? `${m[1]}/${m[2]}` : s;
+}
+
+/**
+ * Classify one cell of a ticker column. Returns { ticker } for a usable symbol,
+ * { ticker: "", reason } for a value that was rejected, or null for blanks and header words.
+ */
+function classifyTickerCandidate(v) {
+  let s = v == null ? "" : String(v);
+  s = s.trim();
+  if (!s) return null;
+
+  // Strip wrapping quotes.
+  s = s.replace(/^"+|"+$/g, "");
+
+  // Match Go behavior: take text before a double quote if present.
+  const quoteIdx = s.indexOf('"');
+  if (quoteIdx >= 0) s = s.slice(0, quoteIdx);
+
+  s = s.trim();
+  if (!s) return null;
+
+  // Remove exchange prefixes like "NASDAQ:TSLA" → "TSLA"
+  const colonIdx = s.lastIndexOf(":");
+  if (colonIdx >= 0 && colonIdx < s.length - 1) s = s.slice(colonIdx + 1).trim();
+
+  const cand = s.toUpperCase().replace(/\s+/g, " ");
+  if (cand === "TICKER" || cand === "SYMBOL") return null;
+  const foreign = cand.match(FOREIGN_SUFFIX);
+  if (foreign) return { ticker: "", reason: `non-US listing (.${foreign[1]})` };
+  if (SHARE_CLASS.test(cand)) return { ticker: normalizeShareClass(cand) };
+
+  if (/\s/.test(cand)) return { ticker: "", reason: "contains spaces" };
+  if (!/^[A-Z0-9][A-Z0-9.\-/]*$/.test(cand)) return { ticker: "", reason: "invalid characters" };
+  if (cand.length > 10) return { ticker: "", reason: "longer than 10 characters" };
+  return { ticker: cand };
+}
+
+function normalizeTickerCandidate(v) {
+  return classifyTickerCandidate(v)?.ticker || "";
+}
+
+// Values of a ticker column that were dropped, once each: [{ value, reason, count }]
+function rejectedValues(rawValues) {
+  const rejected = new Map();
+  for (const raw of rawValues) {
+    const result = classifyTickerCandidate(raw);
+    if (!result?.reason) continue;
+    const value = String(raw).trim();
+    const entry = rejected.get(value) || { value, reason: result.reason, count: 0 };
+    entry.count++;
+    rejected.set(value, entry);
+  }
+  return Array.from(rejected.values());
+}
+
+// Rejects of several tables, merged by value
+function mergeRejected(lists) {
+  const merged = new Map();
+  for (const entry of lists.flat()) {
+    const prev = merged.get(entry.value);
+    merged.set(entry.value, prev ? { ...prev, count: prev.count + entry.count } : { ...entry });
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Parse delimited text. Options override detection:
+ *   delimiter    - e.g. "," or "\t" (detected from the first line otherwise)
+ *   headerRow    - 0-based line holding the header (lines above it are skipped); null for no header
+ *   tickerColumn - column name to read tickers from
+ */
+async function parseCsvForTickers(csvText, options = {}) {
+  const headerRow = options.headerRow === null ? null : Math.max(0, Number(options.headerRow) || 0);
+  // Preamble lines above the header row are dropped
+  const text = headerRow > 0 ? String(csvText).split(/\r?\n/).slice(headerRow).join("\n") : csvText;
+  const delimiter = options.delimiter || detectDelimiter(text);
+
+  // First try: header=true (common case).
+  const first =
+    headerRow === null
+      ? { data: [] }
+      : Papa.parse(text, {
+          header: true,
+          skipEmptyLines: true,
+          dynamicTyping: false,
+          delimiter
+        });
+
+  let rows = Array.isArray(first.data) ? first.data.filter((r) => r && typeof r === "object") : [];
+  let columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const hasHeader = columns.length > 0;
+
+  // Fallback: header=false (CSV without headers).
+  if (columns.length === 0) {
+    const second = Papa.parse(text, {
+      header: false,
+      skipEmptyLines: true,
+      dynamicTyping: false,
+      delimiter
+    });
+
+    const arrRows = Array.isArray(second.data) ? second.data : [];
+    if (arrRows.length > 0 && Array.isArray(arrRows[0])) {
+      const width = Math.max(...arrRows.map((r) => (Array.isArray(r) ? r.length : 0)), 0);
+      columns = Array.from({ length: width }, (_, i) => `col_${i}`);
+      rows = arrRows.map((r) => {
+        const obj = {};
+        for (let i = 0; i < width; i++) obj[columns[i]] = r?.[i];
+        return obj;
+      });
+    }
+  }
+
+  return { ...extractTickers(rows, columns, options.tickerColumn), delimiter, headerRow: hasHeader ? headerRow : null };
+}
+
+// Pick the ticker column of row objects (or use `tickerColumn` when it exists) and collect its unique tickers
+function extractTickers(rows, columns, tickerColumn) {
+  const detectedIndex = detectTickerColumnIndex(rows, columns);
+  const overrideIndex = tickerColumn != null ? columns.indexOf(String(tickerColumn)) : -1;
+  const tickerColumnIndex = overrideIndex >= 0 ? overrideIndex : detectedIndex;
+  const tickerColumnName = columns[tickerColumnIndex] || "";
+
+  const rowTickers = rows.map((row) => normalizeTickerCandidate(row?.[tickerColumnName]) || null);
+  const unique = Array.from(new Set(rowTickers.filter(Boolean)));
+  const rejected = rejectedValues(rows.map((row) => row?.[tickerColumnName]));
+
+  return {
+    columns,
+    tickerColumnIndex,
+    tickerColumnName,
+    detectedTickerColumnName: columns[detectedIndex] || "",
+    tickers: unique,
+    rejected,
+    rows,
+    rowTickers
+  };
+}
+
+// Column names of several tables in first-seen order
+function unionColumns(tables) {
+  return Array.from(new Set(tables.flatMap((t) => t.columns)));
+}
+
+
+// Encoding of a file: the requested one, a UTF-16 byte-order mark, or UTF-8
+function resolveEncoding(data, encoding) {
+  if (ENCODINGS.includes(encoding)) return encoding;
+  if (Buffer.isBuffer(data) && data[0] === 0xff && data[1] === 0xfe) return "utf-16le";
+  return "utf-8";
+}
+
+function decodeText(data, encoding) {
+  const text = Buffer.isBuffer(data) ? new TextDecoder(resolveEncoding(data, encoding)).decode(data) : String(data || "");
+  return text.replace(/^\uFEFF/, "");
+}
+
+// Split one CSV line into cells (quotes respected), for formats that need line-by-line handling
+function splitCsvLine(line) {
+  const parsed = Papa.parse(line, { header: false, delimiter: "," });
+  return Array.isArray(parsed.data?.[0]) ? parsed.data[0].map((c) => String(c ?? "").trim()) : [];
+}
+
+/**
+ * TradingView watchlist export: comma- or newline-separated "EXCHANGE:SYMBOL" entries,
+ * with "###Section" entries starting named groups.
+ */
+function parseTradingViewList(text) {
+  const groups = [];
+  const loose = [];
+  const rows = [];
+  const rowTickers = [];
+  const entries = [];
+  let current = null;
+  for (const entry of text.split(/[,\r\n]+/g).map((e) => e.trim()).filter(Boolean)) {
+    if (entry.startsWith("###")) {
+      current = { name: entry.replace(/^#+/, "").trim() || `Section ${groups.length + 1}`, tickers: [] };
+      groups.push(current);
+      continue;
+    }
+    const ticker = normalizeTickerCandidate(entry);
+    entries.push(entry);
+    rows.push({ Section: current?.name ?? "", Symbol: entry });
+    rowTickers.push(ticker || null);
+    if (!ticker) continue;
+    if (current) current.tickers.push(ticker);
+    else loose.push(ticker);
+  }
+  for (const g of groups) g.tickers = Array.from(new Set(g.tickers));
+  return {
+    format: "tradingview",
+    columns: ["Section", "Symbol"],
+    tickerColumnIndex: 1,
+    tickerColumnName: "Symbol",
+    tickers: Array.from(new Set([...loose, ...groups.flatMap((g) => g.tickers)])),
+    rejected: rejectedValues(entries),
+    groups: groups.filter((g) => g.tickers.length > 0),
+    rows,
+    rowTickers
+  };
+}
+
+// Header row of a ThinkorSwim table: a "Symbol" (or "Instrument") first cell
+const TOS_HEADER = /^"?(symbol|instrument)"?\s*,/i;
+
+/**
+ * ThinkorSwim watchlist/position export: preamble lines ("Watchlist: ...", account info),
+ * then one or more tables starting with a Symbol header and ending at a blank line.
+ * Each table that follows a title line becomes a group.
+ */
+function parseThinkorswimExport(text) {
+  const lines = text.split(/\r?\n/);
+  const groups = [];
+  const tables = [];
+  let lastTitle = "";
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!TOS_HEADER.test(line)) {
+      if (line && !line.includes(",")) lastTitle = line.replace(/^"+|"+$/g, "");
+      continue;
+    }
+    const columns = splitCsvLine(line);
+    const rows = [];
+    for (i = i + 1; i < lines.length && lines[i].trim(); i++) {
+      const cells = splitCsvLine(lines[i]);
+      rows.push(Object.fromEntries(columns.map((c, idx) => [c, cells[idx]])));
+    }
+    const rowTickers = rows.map((r) => normalizeTickerCandidate(r[columns[0]]) || null);
+    const tickers = Array.from(new Set(rowTickers.filter(Boolean)));
+    tables.push({ columns, rows, rowTickers, rejected: rejectedValues(rows.map((r) => r[columns[0]])) });
+    if (tickers.length > 0) groups.push({ name: lastTitle.replace(/^watchlist:\s*/i, "") || `Table ${groups.length + 1}`, tickers });
+    lastTitle = "";
+  }
+  const rowTickers = tables.flatMap((t) => t.rowTickers);
+  return {
+    format: "thinkorswim",
+    columns: unionColumns(tables),
+    tickerColumnIndex: 0,
+    tickerColumnName: tables[0]?.columns[0] || "Symbol",
+    tickers: Array.from(new Set(rowTickers.filter(Boolean))),
+    rejected: mergeRejected(tables.map((t) => t.rejected)),
+    groups: groups.length > 1 ? groups : [],
+    rows: tables.flatMap((t) => t.rows),
+    rowTickers
+  };
+}
+
+// IBKR asset categories without a stock ticker we can look up
+const IBKR_NON_EQUITY = /option|future|forex|bond|cfd|warrant/i;
+
+// TWS "Financial Instrument" cell → symbol: "AAPL NASDAQ.NMS" → "AAPL", "BRK B NYSE" → "BRK B"
+function instrumentSymbol(value) {
+  const parts = String(value || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length > 1 && /^[A-Z][A-Z.]{1,}$/.test(parts[parts.length - 1])) parts.pop();
+  return parts.join(" ");
+}
+
+/**
+ * Interactive Brokers exports. Activity/portfolio statements tag each line with its section
+ * ("Open Positions,Header,..." / "Open Positions,Data,..."); TWS portfolio exports have a
+ * "Financial Instrument" column holding values like "AAPL NASDAQ.NMS".
+ */
+function parseIbkrPortfolio(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  const headers = new Map();
+  const rows = [];
+  const rawTickers = [];
+  let sawStatement = false;
+  let tickerColumnName = "Symbol";
+  for (const line of lines) {
+    const cells = splitCsvLine(line);
+    const [section, kind] = cells;
+    if (kind === "Header") {
+      headers.set(section, cells.slice(2));
+      sawStatement = true;
+      continue;
+    }
+    if (kind !== "Data" || !/position|portfolio/i.test(section)) continue;
+    const columns = headers.get(section) || [];
+    const row = Object.fromEntries(columns.map((c, idx) => [c, cells[idx + 2]]));
+    if (/total/i.test(row.DataDiscriminator || "") || /total/i.test(row["Asset Category"] || "")) continue;
+    if (IBKR_NON_EQUITY.test(row["Asset Category"] || "")) continue;
+    rows.push(row);
+    rawTickers.push(row.Symbol);
+  }
+
+  if (!sawStatement) {
+    // TWS portfolio export: plain CSV with a "Financial Instrument" column
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const column = (parsed.meta?.fields || []).find((f) => /financial instrument|^symbol$/i.test(String(f).trim()));
+    tickerColumnName = column || tickerColumnName;
+    for (const row of parsed.data || []) {
+      rows.push(row);
+      rawTickers.push(instrumentSymbol(row?.[column]));
+    }
+  }
+
+  const columns = Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+  const rowTickers = rawTickers.map((t) => normalizeTickerCandidate(t) || null);
+  return {
+    format: "ibkr",
+    columns,
+    tickerColumnIndex: Math.max(0, columns.indexOf(tickerColumnName)),
+    tickerColumnName,
+    tickers: Array.from(new Set(rowTickers.filter(Boolean))),
+    rejected: rejectedValues(rawTickers),
+    groups: [],
+    rows,
+    rowTickers
+  };
+}
+
+function cellText(value) {
+  if (value == null) return "";
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((t) => t.text).join("");
+    if (value.text != null) return String(value.text);
+    if (value.result != null) return String(value.result);
+    if (value instanceof Date) return value.toISOString();
+    return "";
+  }
+  return String(value);
+}
+
+/**
+ * Excel workbook: the first non-empty row of each sheet is its header and the ticker column
+ * is detected like a CSV column. Sheets with tickers become groups when there are several.
+ */
+async function parseXlsxWorkbook(buffer, options = {}) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheets = [];
+  workbook.eachSheet((sheet) => {
+    const table = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+      table.push(values.map(cellText));
+    });
+    if (table.length === 0) return;
+    const width = Math.max(...table.map((r) => r.length));
+    // headerRow: index of the header among the non-empty rows, or null when there is none
+    const headerRow = options.headerRow === null ? null : Math.min(table.length - 1, Math.max(0, Number(options.headerRow) || 0));
+    const header =
+      headerRow === null
+        ? Array.from({ length: width }, (_, i) => `col_${i}`)
+        : table[headerRow].map((h, i) => String(h || "").trim() || `col_${i}`);
+    while (header.length < width) header.push(`col_${header.length}`);
+    const body = headerRow === null ? table : table.slice(headerRow + 1);
+    const rows = body.map((r) => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+    sheets.push({ name: sheet.name, ...extractTickers(rows, header, options.tickerColumn) });
+  });
+
+  const withTickers = sheets.filter((s) => s.tickers.length > 0);
+  const primary = withTickers[0] || sheets[0] || { columns: [], tickerColumnIndex: null, tickerColumnName: null };
+  // Rows of every sheet with tickers; a "Sheet" column tells them apart when there are several
+  const multi = withTickers.length > 1;
+  return {
+    format: "xlsx",
+    columns: multi ? ["Sheet", ...unionColumns(withTickers)] : primary.columns,
+    tickerColumnIndex: primary.tickerColumnIndex,
+    tickerColumnName: primary.tickerColumnName,
+    detectedTickerColumnName: primary.detectedTickerColumnName,
+    headerRow: options.headerRow === null ? null : Math.max(0, Number(options.headerRow) || 0),
+    tickers: Array.from(new Set(withTickers.flatMap((s) => s.tickers))),
+    rejected: mergeRejected(sheets.map((s) => s.rejected)),
+    groups: multi ? withTickers.map((s) => ({ name: s.name, tickers: s.tickers })) : [],
+    rows: withTickers.flatMap((s) => (multi ? s.rows.map((r) => ({ Sheet: s.name, ...r })) : s.rows)),
+    rowTickers: withTickers.flatMap((s) => s.rowTickers)
+  };
+}
+
+function isZip(data) {
+  return Buffer.isBuffer(data) && data.length > 4 && data[0] === 0x50 && data[1] === 0x4b;
+}
+
+// A comma-separated table with a header row: two or more header cells that are neither a section
+// nor EXCHANGE:SYMBOL entries, followed by a row with as many cells
+function isCommaTable(lines) {
+  const [first, second] = lines.filter((l) => l.trim());
+  if (!first || !second || first.trim().startsWith("###")) return false;
+  const header = splitCsvLine(first);
+  return header.length > 1 && !header.some((c) => /^[A-Z]+:[A-Z0-9.\-]+$/i.test(c)) && splitCsvLine(second).length === header.length;
+}
+
+/**
+ * Guess the format of an uploaded ticker file from its name and content.
+ * TradingView lists are recognised by "###Section" entries at the start of a line or after an
+ * EXCHANGE:SYMBOL entry (unless the file is a CSV table, whose cells may hold "###" anywhere)
+ * or, in .txt files, by leading EXCHANGE:SYMBOL entries.
+ */
+function detectImportFormat(fileName, data, encoding) {
+  const ext = path.extname(String(fileName || "")).toLowerCase();
+  if (ext === ".xlsx" || ext === ".xlsm" || isZip(data)) return "xlsx";
+
+  const text = decodeText(data, encoding);
+  const head = text.split(/\r?\n/).slice(0, 40);
+  if (head.some((l) => /^[^,]+,(Header|Data),/.test(l.trim())) || head.some((l) => /financial instrument/i.test(l))) return "ibkr";
+  const sections = /^\s*###/m.test(text) || /[A-Z]+:[A-Z0-9.\-]+\s*,\s*###/i.test(text);
+  if ((sections && !isCommaTable(head)) || (ext === ".txt" && /^[\s,]*[A-Z]+:[A-Z0-9.\-]+/i.test(text))) return "tradingview";
+  const firstHeader = head.findIndex((l) => TOS_HEADER.test(l.trim()));
+  if (firstHeader > 0 || head.some((l) => /^"?(watchlist|account statement)/i.test(l.trim()))) return "thinkorswim";
+  return "csv";
+}
+
+/**
+ * Parse an uploaded ticker file (Buffer or text) in any supported format.
+ * `options` override detection: { format, encoding, delimiter, headerRow, tickerColumn }
+ * (delimiter applies to CSV; headerRow and tickerColumn to CSV and Excel).
+ * Returns the parser result plus `formatLabel` and the `encoding` used for text formats.
+ */
+async function importTickerFile({ fileName, data, format, options = {} } = {}) {
+  const requested = format || options.format;
+  const resolved = IMPORT_FORMATS[requested] ? requested : detectImportFormat(fileName, data, options.encoding);
+  let result;
+  if (resolved === "xlsx") {
+    result = await parseXlsxWorkbook(Buffer.isBuffer(data) ? data : Buffer.from(data || []), options);
+  } else {
+    const encoding = resolveEncoding(data, options.encoding);
+    const text = decodeText(data, encoding);
+    if (resolved === "tradingview") result = parseTradingViewList(text);
+    else if (resolved === "thinkorswim") result = parseThinkorswimExport(text);
+    else if (resolved === "ibkr") result = parseIbkrPortfolio(text);
+    else result = { format: "csv", ...(await parseCsvForTickers(text, options)), groups: [] };
+    result.encoding = encoding;
+  }
+  console.log(
+    `[Import] ${fileName || "input"}: ${IMPORT_FORMATS[resolved]}, ${result.tickers.length} tickers, ${result.rejected.length} rejected, ${result.groups.length} groups`
+  );
+  return { ...result, formatLabel: IMPORT_FORMATS[resolved] };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  DELIMITERS,
+  ENCODINGS,
+  classifyTickerCandidate,
+  normalizeTickerCandidate,
+  normalizeShareClass,
+  parseCsvForTickers,
+  detectImportFormat,
+  importTickerFile
+};
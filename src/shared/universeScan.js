@@ -0,0 +1,89 @@
+/**
+ * Universe scan: pick the top SCTR records of a whole StockCharts universe that match
+ * simple criteria, instead of looking up a known ticker list.
+ * Criteria apply to the StockCharts fields (marketCap is in millions).
+ */
+
+// Market cap bands in millions: [min, max)
+const MARKET_CAP_BANDS = {
+  mega: { label: "Mega (> $200B)", min: 200000, max: null },
+  large: { label: "Large ($10B–$200B)", min: 10000, max: 200000 },
+  mid: { label: "Mid ($2B–$10B)", min: 2000, max: 10000 },
+  small: { label: "Small ($300M–$2B)", min: 300, max: 2000 },
+  micro: { label: "Micro (< $300M)", min: null, max: 300 }
+};
+
+const DEFAULT_SCAN_LIMIT = 50;
+const MAX_SCAN_LIMIT = 500;
+
+function optionalNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function optionalText(value) {
+  const s = String(value ?? "").trim();
+  return s || null;
+}
+
+/**
+ * Normalize scan criteria:
+ *   { minSCTR, sector, industry, marketCapBand, minMarketCap, maxMarketCap, minDelta, maxDelta, limit }
+ * A market cap band fills in minMarketCap/maxMarketCap unless those are given explicitly.
+ */
+function normalizeScanCriteria(criteria = {}) {
+  const c = criteria || {};
+  const band = MARKET_CAP_BANDS[String(c.marketCapBand || "").toLowerCase()] ? String(c.marketCapBand).toLowerCase() : null;
+  const limit = Math.floor(optionalNumber(c.limit) ?? DEFAULT_SCAN_LIMIT);
+  return {
+    minSCTR: optionalNumber(c.minSCTR),
+    sector: optionalText(c.sector),
+    industry: optionalText(c.industry),
+    marketCapBand: band,
+    minMarketCap: optionalNumber(c.minMarketCap) ?? (band ? MARKET_CAP_BANDS[band].min : null),
+    maxMarketCap: optionalNumber(c.maxMarketCap) ?? (band ? MARKET_CAP_BANDS[band].max : null),
+    minDelta: optionalNumber(c.minDelta),
+    maxDelta: optionalNumber(c.maxDelta),
+    limit: Math.min(MAX_SCAN_LIMIT, Math.max(1, limit))
+  };
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === b.toLowerCase();
+}
+
+function matchesScanCriteria(record, c) {
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+  const sctr = num(record.SCTR);
+  const cap = num(record.marketCap);
+  const delta = num(record.delta);
+  if (c.minSCTR != null && (sctr == null || sctr < c.minSCTR)) return false;
+  if (c.sector && !sameText(record.sector, c.sector)) return false;
+  if (c.industry && !sameText(record.industry, c.industry)) return false;
+  if (c.minMarketCap != null && (cap == null || cap < c.minMarketCap)) return false;
+  if (c.maxMarketCap != null && (cap == null || cap >= c.maxMarketCap)) return false;
+  if (c.minDelta != null && (delta == null || delta < c.minDelta)) return false;
+  if (c.maxDelta != null && (delta == null || delta > c.maxDelta)) return false;
+  return true;
+}
+
+/**
+ * Universe records matching the criteria, highest SCTR first.
+ * Returns { candidates (at most criteria.limit), matched (total matches) }.
+ */
+function selectScanCandidates(universeRecords, criteria) {
+  const c = normalizeScanCriteria(criteria);
+  const matching = (universeRecords || [])
+    .filter((r) => r?.symbol && matchesScanCriteria(r, c))
+    .sort((a, b) => (b.SCTR ?? -Infinity) - (a.SCTR ?? -Infinity) || String(a.symbol).localeCompare(String(b.symbol)));
+  return { candidates: matching.slice(0, c.limit), matched: matching.length };
+}
+
+module.exports = {
+  MARKET_CAP_BANDS,
+  DEFAULT_SCAN_LIMIT,
+  MAX_SCAN_LIMIT,
+  normalizeScanCriteria,
+  selectScanCandidates
+};
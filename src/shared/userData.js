@@ -0,0 +1,69 @@
+/**
+ * Location of user data that must survive cache clears (watchlists, settings).
+ * The Electron main process points this at app.getPath("userData"); the standalone
+ * dev server falls back to the same per-platform location Electron would use,
+ * or STK_DETAILS_DATA_DIR when set.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const APP_DIR_NAME = "stk-details";
+
+let userDataDir = null;
+
+function defaultUserDataDir() {
+  if (process.env.STK_DETAILS_DATA_DIR) return process.env.STK_DETAILS_DATA_DIR;
+  const home = os.homedir();
+  if (process.platform === "win32") {
+    return path.join(process.env.APPDATA || path.join(home, "AppData", "Roaming"), APP_DIR_NAME);
+  }
+  if (process.platform === "darwin") {
+    return path.join(home, "Library", "Application Support", APP_DIR_NAME);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(home, ".config"), APP_DIR_NAME);
+}
+
+function setUserDataDir(dir) {
+  userDataDir = dir ? String(dir) : null;
+}
+
+function getUserDataDir() {
+  return userDataDir || defaultUserDataDir();
+}
+
+/**
+ * Read a JSON file from the user data directory, returning `fallback` when it is missing or unreadable.
+ */
+function readUserDataJson(fileName, fallback) {
+  const file = path.join(getUserDataDir(), fileName);
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.warn(`[UserData] Failed to read ${file}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to the user data directory (via a temp file, so a crash never leaves it half-written).
+ */
+function writeUserDataJson(fileName, data) {
+  const dir = getUserDataDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const file = path.join(dir, fileName);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  setUserDataDir,
+  getUserDataDir,
+  readUserDataJson,
+  writeUserDataJson
+};
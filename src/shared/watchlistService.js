@@ -0,0 +1,116 @@
+/**
+ * Named ticker watchlists, persisted as one JSON file in the user data directory.
+ * Every operation reads the file fresh, so the Electron main process and the dev
+ * server see the same lists.
+ */
+
+const crypto = require("crypto");
+const { readUserDataJson, writeUserDataJson } = require("./userData");
+
+const WATCHLISTS_FILE = "watchlists.json";
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function normalizeTickers(tickers) {
+  const list = Array.isArray(tickers) ? tickers : [tickers];
+  return Array.from(new Set(list.map((t) => String(t || "").trim().toUpperCase()).filter(Boolean)));
+}
+
+function normalizeName(name) {
+  const s = String(name || "").trim();
+  if (!s) throw httpError("Watchlist name is required", 400);
+  return s;
+}
+
+function loadLists() {
+  const data = readUserDataJson(WATCHLISTS_FILE, null);
+  return Array.isArray(data?.lists) ? data.lists : [];
+}
+
+function saveLists(lists) {
+  writeUserDataJson(WATCHLISTS_FILE, { lists });
+}
+
+function assertUniqueName(lists, name, exceptId) {
+  const lower = name.toLowerCase();
+  if (lists.some((l) => l.id !== exceptId && l.name.toLowerCase() === lower)) {
+    throw httpError(`A watchlist named "${name}" already exists`, 400);
+  }
+}
+
+// Apply `change(list)` to one watchlist and save; returns the updated watchlist
+function updateList(id, change) {
+  const lists = loadLists();
+  const list = lists.find((l) => l.id === id);
+  if (!list) throw httpError("Watchlist not found", 404);
+  change(list, lists);
+  list.updatedAt = new Date().toISOString();
+  saveLists(lists);
+  return list;
+}
+
+/**
+ * All watchlists, sorted by name: [{ id, name, tickers, createdAt, updatedAt }]
+ */
+function listWatchlists() {
+  return loadLists().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getWatchlist(id) {
+  const list = loadLists().find((l) => l.id === id);
+  if (!list) throw httpError("Watchlist not found", 404);
+  return list;
+}
+
+function createWatchlist({ name, tickers } = {}) {
+  const lists = loadLists();
+  const cleanName = normalizeName(name);
+  assertUniqueName(lists, cleanName);
+  const now = new Date().toISOString();
+  const list = { id: crypto.randomUUID(), name: cleanName, tickers: normalizeTickers(tickers || []), createdAt: now, updatedAt: now };
+  lists.push(list);
+  saveLists(lists);
+  console.log(`[Watchlists] Created "${list.name}" with ${list.tickers.length} tickers`);
+  return list;
+}
+
+function renameWatchlist(id, name) {
+  const cleanName = normalizeName(name);
+  return updateList(id, (list, lists) => {
+    assertUniqueName(lists, cleanName, id);
+    list.name = cleanName;
+  });
+}
+
+function deleteWatchlist(id) {
+  const lists = loadLists();
+  const remaining = lists.filter((l) => l.id !== id);
+  if (remaining.length === lists.length) throw httpError("Watchlist not found", 404);
+  saveLists(remaining);
+  return { deleted: true, id };
+}
+
+function addTickersToWatchlist(id, tickers) {
+  return updateList(id, (list) => {
+    list.tickers = normalizeTickers([...list.tickers, ...normalizeTickers(tickers)]);
+  });
+}
+
+function removeTickersFromWatchlist(id, tickers) {
+  const removed = new Set(normalizeTickers(tickers));
+  return updateList(id, (list) => {
+    list.tickers = list.tickers.filter((t) => !removed.has(t));
+  });
+}
+
+module.exports = {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addTickersToWatchlist,
+  removeTickersFromWatchlist
+};
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeNextRunTime, evaluateAlertRules, createRefreshScheduler } = require("../src/shared/refreshScheduler");
+
+const NY = { enabled: true, time: "16:30", timeZone: "America/New_York", weekdaysOnly: true };
+const utc = (iso) => Date.parse(iso);
+
+// Timers run only when the test fires them, at whatever time the test sets
+function fakeClock(start) {
+  const clock = {
+    time: start,
+    timers: new Map(),
+    nextId: 1,
+    now: () => clock.time,
+    setTimeout: (fn, ms) => {
+      const id = clock.nextId++;
+      clock.timers.set(id, { fn, at: clock.time + ms });
+      return id;
+    },
+    clearTimeout: (id) => clock.timers.delete(id),
+    // Fire every timer due by now (as a machine waking from sleep would)
+    async fireDue() {
+      for (const [id, timer] of Array.from(clock.timers)) {
+        if (timer.at > clock.time) continue;
+        clock.timers.delete(id);
+        await timer.fn();
+      }
+    }
+  };
+  return clock;
+}
+
+function memoryStorage(settings) {
+  const state = { settings, lastRun: null };
+  return {
+    state,
+    loadSettings: () => state.settings,
+    saveSettings: (next) => {
+      state.settings = next;
+    },
+    loadLastRun: () => state.lastRun,
+    saveLastRun: (run) => {
+      state.lastRun = run;
+    }
+  };
+}
+
+test("next run keeps 16:30 New York time across the spring DST change", () => {
+  // Friday 17:00 EST → Monday 16:30 EDT (UTC-4 after 8 March 2026)
+  assert.equal(computeNextRunTime(NY, utc("2026-03-06T22:00:00Z")), utc("2026-03-09T20:30:00Z"));
+  // Every day: Saturday 17:00 EST → Sunday 16:30 EDT, the day the clocks change
+  assert.equal(computeNextRunTime({ ...NY, weekdaysOnly: false }, utc("2026-03-07T22:00:00Z")), utc("2026-03-08T20:30:00Z"));
+});
+
+test("next run keeps 16:30 New York time across the autumn DST change", () => {
+  // Friday 17:00 EDT → Monday 16:30 EST (UTC-5 after 1 November 2026)
+  assert.equal(computeNextRunTime(NY, utc("2026-10-30T21:00:00Z")), utc("2026-11-02T21:30:00Z"));
+});
+
+test("a run missed while the machine slept starts when the next timer fires", async () => {
+  const clock = fakeClock(utc("2026-03-02T15:00:00Z")); // Monday 10:00 EST
+  const storage = memoryStorage(NY);
+  const fetched = [];
+  const scheduler = createRefreshScheduler({
+    fetchRecords: async (tickers) => {
+      fetched.push(clock.now());
+      return tickers.map((symbol) => ({ symbol, SCTR: 50, delta: 0 }));
+    },
+    notify: () => {},
+    clock,
+    getTickers: () => ["AAPL"],
+    storage
+  });
+  scheduler.start();
+  assert.equal(scheduler.getStatus().nextRunAt, "2026-03-02T21:30:00.000Z");
+  // The timer sleeps at most an hour, however far off the run is
+  assert.deepEqual(Array.from(clock.timers.values(), (t) => t.at), [utc("2026-03-02T16:00:00Z")]);
+
+  // Asleep through 16:30; the pending timer fires on waking at 18:00 EST
+  clock.time = utc("2026-03-02T23:00:00Z");
+  await clock.fireDue();
+  assert.deepEqual(fetched, [utc("2026-03-02T23:00:00Z")]);
+  assert.equal(storage.state.lastRun.ranAt, "2026-03-02T23:00:00.000Z");
+  assert.equal(scheduler.getStatus().nextRunAt, "2026-03-03T21:30:00.000Z");
+  scheduler.stop();
+  assert.equal(clock.timers.size, 0);
+});
+
+test("the first run records a baseline and later runs notify new alerts", async () => {
+  const clock = fakeClock(utc("2026-03-02T15:00:00Z"));
+  const storage = memoryStorage({ ...NY, rules: [{ id: "above-90", type: "sctrCrossAbove", value: 90 }] });
+  const notes = [];
+  let sctr = 85;
+  const scheduler = createRefreshScheduler({
+    fetchRecords: async () => [{ symbol: "AAPL", SCTR: sctr, delta: 0 }],
+    notify: (note) => notes.push(note),
+    clock,
+    getTickers: () => ["AAPL"],
+    storage
+  });
+  assert.deepEqual((await scheduler.runNow()).alerts, []);
+  sctr = 92;
+  const { alerts } = await scheduler.runNow();
+  assert.deepEqual(alerts.map((a) => a.ruleId), ["above-90"]);
+  assert.deepEqual(notes, [{ title: "AAPL SCTR above 90", body: "AAPL SCTR crossed above 90 (85.0 → 92.0)" }]);
+});
+
+test("each alert rule type fires only on a new crossing", () => {
+  const rules = [
+    { id: "a", type: "sctrCrossAbove", value: 90, enabled: true },
+    { id: "b", type: "sctrCrossBelow", value: 20, enabled: true },
+    { id: "c", type: "deltaAbove", value: 10, enabled: true },
+    { id: "d", type: "deltaBelow", value: -10, enabled: true },
+    { id: "e", type: "industryBelowMA50", value: null, enabled: true },
+    { id: "f", type: "industryAboveMA50", value: null, enabled: true },
+    { id: "off", type: "sctrCrossAbove", value: 0, enabled: false }
+  ];
+  const previous = {
+    UP: { SCTR: 85, delta: 0 },
+    DOWN: { SCTR: 25, delta: 0 },
+    JUMP: { SCTR: 50, delta: 2 },
+    STILL: { SCTR: 50, delta: 12 },
+    DROP: { SCTR: 50, delta: 0 },
+    OIL1: { SCTR: 50, delta: 0, industryAboveMA50: true },
+    OIL2: { SCTR: 50, delta: 0, industryAboveMA50: true },
+    CHIP: { SCTR: 50, delta: 0, industryAboveMA50: false },
+    HIGH: { SCTR: 95, delta: 0 }
+  };
+  const records = [
+    { symbol: "UP", SCTR: 91, delta: 0 },
+    { symbol: "DOWN", SCTR: 15, delta: 0 },
+    { symbol: "JUMP", SCTR: 50, delta: 11 },
+    { symbol: "STILL", SCTR: 50, delta: 13 },
+    { symbol: "DROP", SCTR: 50, delta: -12 },
+    { symbol: "OIL1", SCTR: 50, delta: 0, industry: "Oil", industryAboveMA50: false },
+    { symbol: "OIL2", SCTR: 50, delta: 0, industry: "Oil", industryAboveMA50: false },
+    { symbol: "CHIP", SCTR: 50, delta: 0, industry: "Semis", industryAboveMA50: true },
+    { symbol: "HIGH", SCTR: 96, delta: 0 },
+    { symbol: "NEW", SCTR: 99, delta: 0 }
+  ];
+  const alerts = evaluateAlertRules(rules, previous, records);
+  assert.deepEqual(
+    alerts.map((a) => [a.ruleId, a.symbol ?? a.industry]),
+    [
+      ["a", "UP"],
+      ["b", "DOWN"],
+      ["c", "JUMP"],
+      ["d", "DROP"],
+      ["e", "Oil"],
+      ["f", "Semis"]
+    ]
+  );
+  assert.deepEqual(alerts.find((a) => a.ruleId === "e").symbols, ["OIL1", "OIL2"]);
+});
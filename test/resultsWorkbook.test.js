@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+
+const { buildResultsWorkbook } = require("../src/shared/resultsWorkbook");
+
+// Universe stats keyed by StockCharts group names, as runFetchSctr returns them
+const stats = {
+  industries: {
+    "Computer Hardware": { avg: 60, count: 2, min: 40, max: 80, median: 60, advancing: 1, advancingPct: 50 },
+    Software: { avg: 60, count: 1, min: 60, max: 60, median: 60, advancing: 1, advancingPct: 100 }
+  },
+  sectors: {
+    Technology: { avg: 60, count: 3, min: 40, max: 80, median: 60, advancing: 2, advancingPct: 66.7 }
+  }
+};
+
+async function statsRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const rows = [];
+  workbook.getWorksheet("Stats").eachRow((row, i) => {
+    if (i > 1) rows.push({ group: row.getCell(1).value, name: row.getCell(2).value, inResults: row.getCell(13).value });
+  });
+  return rows;
+}
+
+test("Stats sheet lists the groups of Finviz-classified records (the default industry source)", async () => {
+  const records = [
+    { symbol: "AAPL", SCTR: 80, industry: "Consumer Electronics", sector: "Technology", statsIndustry: "Computer Hardware", statsSector: "Technology" },
+    { symbol: "MSFT", SCTR: 60, industry: "Software - Infrastructure", sector: "Technology", statsIndustry: "Software", statsSector: "Technology" }
+  ];
+  const rows = await statsRows(await buildResultsWorkbook({ records, columns: ["symbol", "SCTR", "industry"], stats }));
+  assert.deepEqual(rows, [
+    { group: "Industry", name: "Computer Hardware", inResults: 1 },
+    { group: "Industry", name: "Software", inResults: 1 },
+    { group: "Sector", name: "Technology", inResults: 2 }
+  ]);
+});
+
+test("Stats sheet falls back to the records' own groups for stats built from the export", async () => {
+  const records = [{ symbol: "AAPL", SCTR: 80, industry: "Consumer Electronics", sector: "Technology", statsIndustry: "Computer Hardware" }];
+  const ownStats = { industries: { "Consumer Electronics": { avg: 80, count: 1 } }, sectors: {} };
+  const rows = await statsRows(await buildResultsWorkbook({ records, columns: ["symbol"], stats: ownStats }));
+  assert.deepEqual(rows, [{ group: "Industry", name: "Consumer Electronics", inResults: 1 }]);
+});
+
+test("Stats sheet lists every group when no records are exported", async () => {
+  const rows = await statsRows(await buildResultsWorkbook({ records: [], columns: [], stats }));
+  assert.equal(rows.length, 3);
+});
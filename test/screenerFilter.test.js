@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseFilter, filterRecords } = require("../src/shared/screenerFilter");
+
+const records = [
+  { symbol: "AAPL", SCTR: 80, industry: "Computer Hardware" },
+  { symbol: "MSFT", SCTR: "5", industry: "Software" },
+  { symbol: "GONE", SCTR: "", industry: "Software" },
+  { symbol: "NANA", SCTR: NaN, industry: "" },
+  { symbol: "NONE", industry: "Software" }
+];
+
+const symbols = (filter) => filterRecords(records, filter).map((r) => r.symbol);
+
+test("missing numeric values never satisfy a numeric comparison", () => {
+  assert.deepEqual(symbols("SCTR < 10"), ["MSFT"]);
+  assert.deepEqual(symbols("SCTR >= 0"), ["AAPL", "MSFT"]);
+  assert.deepEqual(symbols("SCTR != 80"), ["MSFT", "GONE", "NANA", "NONE"]);
+});
+
+test("blank and non-finite values match null", () => {
+  assert.deepEqual(symbols("SCTR = null"), ["GONE", "NANA", "NONE"]);
+  assert.deepEqual(symbols("industry = null"), ["NANA"]);
+});
+
+test("non-numeric text is not ordered against a number", () => {
+  assert.deepEqual(filterRecords([{ symbol: "X", SCTR: "n/a" }], "SCTR < 10"), []);
+});
+
+test("text values compare as text", () => {
+  assert.deepEqual(symbols("industry = software AND SCTR < 10"), ["MSFT"]);
+  assert.deepEqual(symbols('industry ~ "hard"'), ["AAPL"]);
+});
+
+test("invalid expressions throw with status 400", () => {
+  assert.throws(() => parseFilter("SCTR >"), (e) => e.status === 400);
+});
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectImportFormat } = require("../src/shared/tickerImport");
+
+const detect = (fileName, text) => detectImportFormat(fileName, Buffer.from(text, "utf8"));
+
+test("TradingView lists with sections are detected", () => {
+  assert.equal(detect("list.csv", "###Tech,NASDAQ:AAPL,NASDAQ:MSFT,###Energy,NYSE:XOM\n"), "tradingview");
+  assert.equal(detect("list.csv", "NASDAQ:AAPL,###Tech,NASDAQ:MSFT\n"), "tradingview");
+  assert.equal(detect("list.csv", "###Tech\nNASDAQ:AAPL\nNASDAQ:MSFT\n"), "tradingview");
+  assert.equal(detect("list.txt", "NASDAQ:AAPL,NYSE:XOM\n"), "tradingview");
+});
+
+test("CSV tables with ### in their cells stay CSV", () => {
+  assert.equal(detect("notes.csv", "Symbol,Notes\nAAPL,### watch earnings\nMSFT,ok\n"), "csv");
+  assert.equal(detect("notes.csv", "Notes,Symbol\n###hot,AAPL\nfine,MSFT\n"), "csv");
+  assert.equal(detect("notes.csv", 'Symbol,Notes\nAAPL,"see ### below"\n'), "csv");
+});
@@ -1,6 +1,6 @@
 import path from "path";
 import { fileURLToPath } from "url";
-import { defineConfig } from "vite";
+import { defineConfig, transformWithEsbuild } from "vite";
 import react from "@vitejs/plugin-react";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -8,10 +8,24 @@ const __dirname = path.dirname(__filename);
 
 const preferredPort = Number(process.env.VITE_PORT || 5173);
 
+// src/shared is CommonJS for the main process. The renderer imports its browser-safe modules
+// (no Node built-ins) through this transform, which exposes `module.exports` as the default export.
+function sharedCommonJs() {
+  const sharedDir = path.resolve(__dirname, "src/shared") + path.sep;
+  return {
+    name: "shared-commonjs",
+    async transform(code, id) {
+      if (!id.startsWith(sharedDir)) return null;
+      const result = await transformWithEsbuild(code, id, { loader: "js", format: "esm" });
+      return { code: result.code, map: result.map };
+    }
+  };
+}
+
 // Backend is expected to run separately on http://localhost:3002 (via VSCode launch config).
 export default defineConfig({
   root: path.resolve(__dirname, "src/renderer"),
-  plugins: [react()],
+  plugins: [react(), sharedCommonJs()],
   server: {
     port: preferredPort,
     // If the preferred port is busy, Vite will pick the next available port.